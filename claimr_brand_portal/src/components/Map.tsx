@@ -17,7 +17,7 @@ interface MapComponentProps {
 }
 
 export default function MapComponent({ onDesignClick, focusTerritory, openModalOnFocus = false }: MapComponentProps) {
-    const [territories, setTerritories] = useState<Territory[]>([]);
+    const [tileVersion, setTileVersion] = useState(0);
     const [selectedTerritory, setSelectedTerritory] = useState<Territory | null>(null);
     const [showRentModal, setShowRentModal] = useState(false);
     const [viewState, setViewState] = useState({
@@ -56,15 +56,6 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
         }
     }, [focusTerritory]);
 
-    const loadTerritories = async () => {
-        try {
-            const data = await api.getTerritories();
-            setTerritories(data);
-        } catch (error) {
-            console.error('Failed to fetch territories:', error);
-        }
-    };
-
     const previewCoordinates = useMemo(() => {
         if (!baseCoordinates) return null;
         const centerLng = (baseCoordinates[0][0] + baseCoordinates[2][0]) / 2;
@@ -86,8 +77,15 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
         });
     }, [baseCoordinates, rotation, scale, stretchX, stretchY]);
 
-    const handleTerritoryClick = useCallback((territory: Territory) => {
-        setSelectedTerritory(territory);
+    // Tiles only carry clipped geometry, so fetch the full territory before opening it
+    const openTerritory = useCallback(async (id: number) => {
+        try {
+            const territory = await api.getTerritory(id);
+            setSelectedTerritory(territory);
+            setShowRentModal(true);
+        } catch (error) {
+            console.error('Failed to fetch territory:', error);
+        }
     }, []);
 
     useEffect(() => {
@@ -106,60 +104,36 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
     }, [focusTerritory]);
 
     useEffect(() => {
-        const loadTerritories = async () => {
+        if (focusTerritory) return; // Only auto-center if not focusing
+        const centerOnTerritories = async () => {
             try {
-                const data = await api.getTerritories();
-                setTerritories(data);
-                if (data.length > 0 && !focusTerritory) { // Only auto-center if not focusing
-                    let minLat = Infinity, maxLat = -Infinity;
-                    let minLng = Infinity, maxLng = -Infinity;
-                    data.forEach(t => {
-                        if (t.center.lat < minLat) minLat = t.center.lat;
-                        if (t.center.lat > maxLat) maxLat = t.center.lat;
-                        if (t.center.lng < minLng) minLng = t.center.lng;
-                        if (t.center.lng > maxLng) maxLng = t.center.lng;
-                    });
-                    const centerLat = (minLat + maxLat) / 2;
-                    const centerLng = (minLng + maxLng) / 2;
+                const { center } = await api.getTerritoryBounds('areaCapture');
+                if (center) {
                     setViewState(prev => ({
                         ...prev,
-                        latitude: centerLat,
-                        longitude: centerLng,
+                        latitude: center.lat,
+                        longitude: center.lng,
                         zoom: 14
                     }));
                 }
             } catch (err) {
-                console.error('Failed to load territories', err);
+                console.error('Failed to load territory bounds', err);
             }
         };
-        loadTerritories();
+        centerOnTerritories();
     }, [focusTerritory]);
 
-    const geoJsonData = useMemo(() => {
-        return {
-            type: 'FeatureCollection' as const,
-            features: territories.map(t => ({
-                type: 'Feature' as const,
-                geometry: t.geometry,
-                properties: {
-                    id: t.id,
-                    name: t.name || '',
-                    price: t.rentPrice || 0,
-                    // Check if rented (has activeAd) -> RED, else GREEN
-                    color: (t as any).activeAd ? '#FF0000' : '#00FF00',
-                    isRented: !!(t as any).activeAd,
-                    ownerName: t.ownerName || '',
-                    ownerImage: (t as any).ownerImage || ''
-                }
-            }))
-        };
-    }, [territories]);
+    const tilesUrl = useMemo(() => api.territoryTilesUrl('areaCapture', tileVersion), [tileVersion]);
+
+    // Rented (has an active ad) -> RED, else GREEN
+    const territoryColor = ['case', ['get', 'hasActiveAd'], '#FF0000', '#00FF00'];
 
     const fillLayer: LayerProps = {
         id: 'territory-fill',
         type: 'fill',
+        'source-layer': 'territories',
         paint: {
-            'fill-color': ['get', 'color'],
+            'fill-color': territoryColor as any,
             'fill-opacity': 0.4,
             'fill-outline-color': '#FFFFFF'
         }
@@ -168,8 +142,9 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
     const lineLayer: LayerProps = {
         id: 'territory-outline',
         type: 'line',
+        'source-layer': 'territories',
         paint: {
-            'line-color': ['get', 'color'],
+            'line-color': territoryColor as any,
             'line-width': 4,
             'line-blur': 2
         }
@@ -227,18 +202,16 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
                     const feature = features?.[0];
                     if (feature) {
                         console.log('Feature properties:', feature.properties);
-                        const id = feature.properties?.id;
-                        const territory = territories.find(t => t.id === id);
-                        if (territory) {
-                            setSelectedTerritory(territory);
-                            setShowRentModal(true);
+                        const id = Number(feature.id ?? feature.properties?.id);
+                        if (id) {
+                            openTerritory(id);
                         }
                     } else {
                         console.log('No features found at click location');
                     }
                 }}
             >
-                <Source id="territories" type="geojson" data={geoJsonData}>
+                <Source id="territories" type="vector" tiles={[tilesUrl]} minzoom={0} maxzoom={16}>
                     <Layer {...fillLayer} />
                     <Layer {...lineLayer} />
                 </Source>
@@ -353,7 +326,7 @@ export default function MapComponent({ onDesignClick, focusTerritory, openModalO
                         setShowRentModal(false);
                     }}
                     onRentSuccess={() => {
-                        loadTerritories(); // Refresh map data
+                        setTileVersion(Date.now()); // Refresh map tiles
                     }}
                     onDesignClick={onDesignClick ? () => {
                         if (selectedTerritory) {
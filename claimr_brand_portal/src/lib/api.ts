@@ -21,6 +21,20 @@ export const api = {
         return response.data;
     },
 
+    getTerritory: async (id: number): Promise<Territory> => {
+        const response = await axios.get(`${API_URL}/api/brands/territories/${id}`);
+        return response.data;
+    },
+
+    getTerritoryBounds: async (gameMode = 'areaCapture'): Promise<{ center: { lat: number, lng: number } | null }> => {
+        const response = await axios.get(`${API_URL}/tiles/${gameMode}/bounds`);
+        return response.data;
+    },
+
+    // Vector tile URL template for maplibre; `version` busts the tile cache after a change
+    territoryTilesUrl: (gameMode = 'areaCapture', version = 0) =>
+        `${API_URL}/tiles/${gameMode}/{z}/{x}/{y}.mvt${version ? `?v=${version}` : ''}`,
+
     calculatePrice: async (areaSqFt: number, laps: number) => {
         const response = await axios.post(`${API_URL}/api/brands/calculate-price`, { areaSqFt, laps });
         return response.data;
@@ -0,0 +1,47 @@
+// claimr_server/cluster.js
+
+/*
+================================================================================
+LOCAL MULTI-INSTANCE RUN:
+- Start: CLUSTER_INSTANCES=2 DEBUG=server:* npm run cluster
+- Instance i listens on PORT + i (10000, 10001, ... by default). Point two clients at
+  different ports to play against each other across instances.
+- No Redis needed: this primary holds the shared state store (IpcStateStore in the
+  workers) and relays Socket.IO adapter traffic between them (@socket.io/cluster-adapter).
+  With REDIS_URL set the workers use Redis instead, like separate hosts would.
+================================================================================
+*/
+
+require('dotenv').config();
+const cluster = require('cluster');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { serveStateStore } = require('./game_logic/state_store');
+
+const INSTANCES = parseInt(process.env.CLUSTER_INSTANCES, 10) || 2;
+const BASE_PORT = parseInt(process.env.PORT, 10) || 10000;
+
+if (cluster.isPrimary) {
+    setupPrimary();
+    serveStateStore();
+
+    for (let i = 0; i < INSTANCES; i++) {
+        cluster.fork({ PORT: String(BASE_PORT + i), INSTANCE_ID: `local-${i}` });
+    }
+    console.log(`[CLUSTER] Started ${INSTANCES} instance(s) on ports ${BASE_PORT}-${BASE_PORT + INSTANCES - 1}.`);
+
+    // An instance that dies is not restarted, so its players have to reconnect to another one
+    // (the same thing that happens when a host goes away behind a load balancer).
+    cluster.on('exit', (worker, code, signal) => {
+        console.error(`[CLUSTER] Instance ${worker.id} exited (${signal || code}).`);
+        if (Object.keys(cluster.workers).length === 0) process.exit(0);
+    });
+
+    // Each worker drains on its own (see shutdown in server.js) and the primary exits after them.
+    // Ctrl+C already reaches every worker through the terminal, so SIGINT is not forwarded.
+    process.on('SIGTERM', () => {
+        Object.values(cluster.workers).forEach(worker => worker.process.kill('SIGTERM'));
+    });
+    process.on('SIGINT', () => {});
+} else {
+    require('./server');
+}
@@ -0,0 +1,212 @@
+// game_logic/claim_rollback.js
+
+const debug = require('debug')('server:game:history');
+const { captureTerritories, recordTerritoryEvents } = require('./territory_events');
+const { emitTerritoryUpdate } = require('./viewport_streaming');
+
+const CLAIM_EVENT_TYPES = ['claim', 'steal', 'wipeout'];
+const EMPTY = `ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326)`;
+
+const TERRITORY_COLUMNS = `
+    id, owner_id as "ownerId", username as "ownerName", profile_image_url as "profileImageUrl",
+    identity_color, ST_AsGeoJSON(area) as geojson, area_sqm as area, laps_required, brand_wrapper, brand_url`;
+
+
+// Every event written by one claim shares the transaction's NOW(), so `created_at` groups them.
+async function loadClaimEvents(db, playerId, { from, to, gameMode = null, claimEventIds = null }) {
+    const res = await db.query(`
+        SELECT e.id, e.territory_id, e.event_type, e.game_mode, e.owner_before, e.owner_after, e.details,
+               e.created_at, e.created_at::text AS claim_key,
+               ST_Area(e.before_area::geography) AS area_before, ST_Area(e.after_area::geography) AS area_after
+        FROM territory_events e
+        WHERE e.actor_id = $1 AND e.event_type = ANY($2::varchar[])
+          AND e.created_at >= $3 AND e.created_at <= $4
+          AND ($5::varchar IS NULL OR e.game_mode = $5)
+          AND NOT EXISTS (
+              SELECT 1 FROM territory_events r
+              WHERE r.event_type = 'rollback' AND r.details->'rolledBackEventIds' @> to_jsonb(e.id)
+          )
+        ORDER BY e.created_at, e.id
+    `, [playerId, CLAIM_EVENT_TYPES, from, to, gameMode]);
+
+    const claims = new Map();
+    for (const event of res.rows) {
+        if (!claims.has(event.claim_key)) claims.set(event.claim_key, { events: [] });
+        claims.get(event.claim_key).events.push(event);
+    }
+    const wanted = claimEventIds ? new Set(claimEventIds.map(Number)) : null;
+    return [...claims.values()].filter(claim => {
+        const claimEvent = claim.events.find(e => e.event_type === 'claim');
+        return claimEvent && (!wanted || wanted.has(Number(claimEvent.id)));
+    });
+}
+
+
+/**
+ * Lists a player's claims in a time range that have not been rolled back yet,
+ * each with the steals and wipeouts it caused.
+ * @param {object} db - The PostgreSQL connection pool.
+ * @param {string} playerId - Google ID of the claiming player.
+ * @param {{from: Date, to: Date, gameMode?: string}} range
+ * @returns {Promise<Array<object>>}
+ */
+async function listClaims(db, playerId, range) {
+    const claims = await loadClaimEvents(db, playerId, range);
+    return claims.map(({ events }) => {
+        const claimEvent = events.find(e => e.event_type === 'claim');
+        return {
+            claimEventId: Number(claimEvent.id),
+            gameMode: claimEvent.game_mode,
+            claimedAt: claimEvent.created_at,
+            areaClaimed: claimEvent.details?.areaClaimed ?? null,
+            victims: events.filter(e => e.event_type !== 'claim').map(e => ({
+                type: e.event_type,
+                territoryId: e.territory_id,
+                ownerId: e.owner_before,
+                areaLost: (e.area_before || 0) - (e.area_after || 0)
+            }))
+        };
+    });
+}
+
+
+/**
+ * Reverses a player's claims in one transaction: the land those claims added is removed
+ * from the player, stolen pieces go back to their victims and wiped-out players are
+ * re-created. Land a third player has claimed since is left with them. The changes are
+ * recorded as `rollback` events and broadcast to the mode room.
+ * @param {object} pool - The PostgreSQL connection pool.
+ * @param {object} io - The Socket.IO server instance.
+ * @param {string} playerId - Google ID of the claiming player.
+ * @param {{from: Date, to: Date, gameMode: string, claimEventIds?: number[]}} range - Narrow to
+ *   specific claims with `claimEventIds` (from listClaims).
+ * @returns {Promise<{rolledBackClaims: number, restoredTerritoryIds: number[], skipped: Array<object>}>}
+ */
+async function rollbackClaims(pool, io, playerId, range) {
+    const { gameMode } = range;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const claims = await loadClaimEvents(client, playerId, range);
+        const events = claims.flatMap(claim => claim.events);
+        if (events.length === 0) {
+            await client.query('ROLLBACK');
+            return { rolledBackClaims: 0, restoredTerritoryIds: [], skipped: [] };
+        }
+
+        const eventIds = events.map(e => e.id);
+        const stealIds = events.filter(e => e.event_type === 'steal').map(e => e.territory_id);
+        const wipeouts = events.filter(e => e.event_type === 'wipeout');
+        const ownerIds = [playerId, ...wipeouts.map(e => e.owner_before)];
+        const scope = 'id = ANY($1::int[]) OR (owner_id = ANY($2::varchar[]) AND game_mode = $3)';
+
+        await client.query(`SELECT id FROM territories WHERE ${scope} FOR UPDATE`, [stealIds, ownerIds, gameMode]);
+        const before = await captureTerritories(client, scope, [stealIds, ownerIds, gameMode]);
+
+        // 1. Take back everything the claims added to the player
+        await client.query(`
+            UPDATE territories t
+            SET area = ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Difference(t.area, g.gained)), 3))
+            FROM (
+                SELECT ST_Union(ST_CollectionExtract(ST_MakeValid(
+                    ST_Difference(COALESCE(after_area, ${EMPTY}), COALESCE(before_area, ${EMPTY}))
+                ), 3)) AS gained
+                FROM territory_events WHERE id = ANY($1::bigint[]) AND event_type = 'claim'
+            ) g
+            WHERE t.owner_id = $2 AND t.game_mode = $3 AND g.gained IS NOT NULL
+        `, [eventIds, playerId, gameMode]);
+
+        // 2. Give stolen pieces back, minus anything someone else holds now
+        await client.query(`
+            UPDATE territories t
+            SET area = ST_Multi(ST_CollectionExtract(ST_MakeValid(
+                ST_Union(COALESCE(t.area, ${EMPTY}), ST_Difference(s.taken, COALESCE(o.others, ${EMPTY})))
+            ), 3))
+            FROM (
+                SELECT territory_id, ST_Union(ST_CollectionExtract(ST_MakeValid(
+                    ST_Difference(before_area, COALESCE(after_area, ${EMPTY}))
+                ), 3)) AS taken
+                FROM territory_events
+                WHERE id = ANY($1::bigint[]) AND event_type = 'steal'
+                GROUP BY territory_id
+            ) s
+            LEFT JOIN LATERAL (
+                SELECT ST_Union(o.area) AS others FROM territories o
+                WHERE o.game_mode = $2 AND o.id != s.territory_id AND o.area && s.taken
+            ) o ON TRUE
+            WHERE t.id = s.territory_id
+        `, [eventIds, gameMode]);
+
+        // 3. Re-create wiped-out players
+        const skipped = [];
+        const restoredIds = new Set([...before.keys()]);
+        for (const wipeout of wipeouts) {
+            const restored = await client.query(`
+                SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Difference(e.before_area, COALESCE((
+                    SELECT ST_Union(o.area) FROM territories o WHERE o.game_mode = e.game_mode AND o.area && e.before_area
+                ), ${EMPTY}))), 3)) AS area
+                FROM territory_events e WHERE e.id = $1
+            `, [wipeout.id]);
+            const area = restored.rows[0].area;
+
+            const existing = await client.query('SELECT id, game_mode FROM territories WHERE owner_id = $1', [wipeout.owner_before]);
+            if (existing.rowCount > 0) {
+                if (existing.rows[0].game_mode !== gameMode) {
+                    skipped.push({ territoryId: wipeout.territory_id, ownerId: wipeout.owner_before, reason: 'player_switched_mode' });
+                    continue;
+                }
+                await client.query(
+                    `UPDATE territories SET area = ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Union(COALESCE(area, ${EMPTY}), $2::geometry)), 3))
+                     WHERE id = $1`,
+                    [existing.rows[0].id, area]
+                );
+                restoredIds.add(existing.rows[0].id);
+                continue;
+            }
+
+            const snapshot = (wipeout.details?.profiles || []).find(p => p.profile?.id === wipeout.territory_id);
+            if (!snapshot) {
+                skipped.push({ territoryId: wipeout.territory_id, ownerId: wipeout.owner_before, reason: 'no_profile_snapshot' });
+                continue;
+            }
+            const inserted = await client.query(`
+                INSERT INTO territories
+                SELECT * FROM jsonb_populate_record(NULL::territories, $1::jsonb)
+                ON CONFLICT DO NOTHING
+                RETURNING id
+            `, [JSON.stringify(snapshot.profile)]);
+            if (inserted.rowCount === 0) {
+                skipped.push({ territoryId: wipeout.territory_id, ownerId: wipeout.owner_before, reason: 'profile_conflict' });
+                continue;
+            }
+            await client.query(
+                'UPDATE territories SET area = $2::geometry, original_base_point = $3::geometry WHERE id = $1',
+                [inserted.rows[0].id, area, snapshot.basePoint || null]
+            );
+            restoredIds.add(inserted.rows[0].id);
+        }
+
+        const affectedIds = [...restoredIds];
+        await client.query('UPDATE territories SET area_sqm = COALESCE(ST_Area(area::geography), 0) WHERE id = ANY($1::int[])', [affectedIds]);
+        const after = await captureTerritories(client, 'id = ANY($1::int[])', [affectedIds]);
+        await recordTerritoryEvents(client, 'rollback', before, after, {
+            actorId: 'admin',
+            details: { playerId, rolledBackEventIds: eventIds.map(Number), skipped }
+        });
+
+        const updated = await client.query(`SELECT ${TERRITORY_COLUMNS} FROM territories WHERE id = ANY($1::int[])`, [affectedIds]);
+        await client.query('COMMIT');
+
+        emitTerritoryUpdate(io, gameMode, updated.rows.map(r => ({ ...r, geojson: r.geojson ? JSON.parse(r.geojson) : null })));
+        debug(`Rolled back ${claims.length} claim(s) by ${playerId} in [${gameMode}], ${affectedIds.length} territories restored.`);
+        return { rolledBackClaims: claims.length, restoredTerritoryIds: affectedIds, skipped };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+
+module.exports = { listClaims, rollbackClaims };
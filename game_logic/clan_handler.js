@@ -2,7 +2,8 @@
 
 const turf = require('@turf/turf');
 
-async function handleClanClaim(io, socket, player, trail, baseClaim, client) {
+async function handleClanClaim(io, socket, player, players, req, client, superpowerManager, geofenceService) {
+    const { trail = [] } = req;
     const clanId = player.clanId;
     const userId = player.googleId;
 
@@ -34,6 +35,15 @@ async function handleClanClaim(io, socket, player, trail, baseClaim, client) {
         return null;
     }
 
+    if (geofenceService) {
+        const { geometry: playableGeometry } = await geofenceService.clipToPlayableArea(client, newAreaPolygon.geometry);
+        if (!playableGeometry) {
+            socket.emit('claimRejected', { reason: 'This area is inside a restricted zone and cannot be claimed.' });
+            return null;
+        }
+        newAreaPolygon = turf.feature(playableGeometry);
+    }
+
     const newAreaSqM = turf.area(newAreaPolygon);
     if (newAreaSqM < 100) {
         socket.emit('claimRejected', { reason: 'Area is too small to claim (min 100sqm).' });
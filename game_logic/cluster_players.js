@@ -0,0 +1,241 @@
+// game_logic/cluster_players.js
+
+const debug = require('debug')('server:socket:players');
+const { INSTANCE_ID, CLUSTERED } = require('./state_store');
+const { localSocketIdOf } = require('./player_directory');
+
+const SYNC_EVENT = 'players:sync'; // server-to-server, see publish
+const RESYNC_EVENT = 'players:resync';
+
+const SYNC_RULES = {
+    intervalMs: parseInt(process.env.PLAYER_SYNC_INTERVAL_MS, 10) || 250,
+    heartbeatMs: 2000, // an instance with nothing to report still says so this often
+    instanceTimeoutMs: 10 * 1000, // players of an instance that went quiet this long are dropped
+    resyncAfterMs: 1000 // at most one full-state request per instance this often
+};
+
+// What other instances need to draw a player, send it to viewports and find its trail to cut
+const SHARED_FIELDS = ['googleId', 'name', 'gameMode', 'lastKnownPosition', 'isDrawing', 'isGhostRunnerActive'];
+
+/**
+ * Every instance's online players, for work that has to see the whole cluster rather than the
+ * sockets of this process: player broadcasts, viewport snapshots and trail cuts.
+ *
+ * Local players are the `players` entries themselves. Players on other instances are read-only
+ * mirrors, kept current from what each instance publishes every SYNC_RULES.intervalMs: changed
+ * fields, and trail growth as appended points so a mirrored trail keeps its array the way a local
+ * one does (PlayerBroadcaster and TrailIndex rely on that). Messages carry a sequence number; an
+ * instance that misses one asks for full state instead of guessing.
+ */
+class ClusterPlayers {
+    /**
+     * @param {object} io - The Socket.IO server instance.
+     * @param {object} players - Reference to the global players object.
+     * @param {{onTrailChanged?: function(object): void, onRemoved?: function(string): void}} [hooks] -
+     *   `onTrailChanged` gets a mirrored player whose trail changed, `onRemoved` the socket id of a
+     *   mirrored player that went away.
+     */
+    constructor(io, players, { onTrailChanged, onRemoved } = {}) {
+        this.io = io;
+        this.players = players;
+        this.onTrailChanged = onTrailChanged || (() => {});
+        this.onRemoved = onRemoved || (() => {});
+        this.remote = new Map(); // socketId -> { id, instanceId, ...SHARED_FIELDS, activeTrail }
+        this.byGoogleId = new Map(); // googleId -> socketId, mirrored players only
+        this.instances = new Map(); // instanceId -> { seq, lastSeen, resyncRequestedAt, socketIds }
+        this.published = new Map(); // local socketId -> { fields, trail, trailLength } as last sent
+        this.seq = 0;
+        this.lastPublishAt = 0;
+        this.fullStateRequested = true; // a starting instance introduces itself with full state
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer || !CLUSTERED) return;
+        this.io.on(SYNC_EVENT, message => this._apply(message));
+        this.io.on(RESYNC_EVENT, (instanceId) => {
+            if (instanceId === INSTANCE_ID) this.fullStateRequested = true;
+        });
+        this.timer = setInterval(() => {
+            try {
+                this.publish();
+                this._expireSilentInstances();
+            } catch (err) {
+                console.error('[CLUSTER] Failed to sync players:', err);
+            }
+        }, SYNC_RULES.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // --- LOOKUPS ---
+
+    /** Local players in `players` order, then mirrored ones. */
+    all() {
+        return [...Object.values(this.players), ...this.remote.values()];
+    }
+
+    get(socketId) {
+        return this.players[socketId] || this.remote.get(socketId) || null;
+    }
+
+    isLocal(socketId) {
+        return !!this.players[socketId];
+    }
+
+    /** The connected player with this Google ID on any instance, local first. */
+    findByGoogleId(googleId) {
+        const localId = localSocketIdOf(this.io, this.players, googleId);
+        if (localId) return this.players[localId];
+        const remoteId = this.byGoogleId.get(googleId);
+        return remoteId ? this.remote.get(remoteId) : null;
+    }
+
+    // --- PUBLISHING ---
+
+    /** Sends what changed about this instance's players since the last call to the other instances. */
+    publish() {
+        const fullState = this.fullStateRequested;
+        this.fullStateRequested = false;
+        const updates = [];
+        const current = new Set();
+        for (const player of Object.values(this.players)) {
+            if (!player.googleId) continue;
+            current.add(player.id);
+            const update = this._changesOf(player, fullState);
+            if (update) updates.push(update);
+        }
+        const removed = [...this.published.keys()].filter(socketId => !current.has(socketId));
+        removed.forEach(socketId => this.published.delete(socketId));
+
+        const now = Date.now();
+        if (!fullState && updates.length === 0 && removed.length === 0 && now - this.lastPublishAt < SYNC_RULES.heartbeatMs) return;
+        this.lastPublishAt = now;
+        this.seq++;
+        this.io.serverSideEmit(SYNC_EVENT, { instanceId: INSTANCE_ID, seq: this.seq, fullState, players: updates, removed });
+    }
+
+    _changesOf(player, fullState) {
+        const fields = {};
+        SHARED_FIELDS.forEach(field => { fields[field] = player[field] ?? null; });
+        const serialized = JSON.stringify(fields);
+        const trail = player.activeTrail || [];
+        const previous = this.published.get(player.id);
+        this.published.set(player.id, { fields: serialized, trail, trailLength: trail.length });
+
+        const update = { id: player.id };
+        if (fullState || !previous || serialized !== previous.fields) Object.assign(update, fields);
+        if (fullState || !previous || trail !== previous.trail || trail.length < previous.trailLength) {
+            update.activeTrail = trail;
+        } else if (trail.length > previous.trailLength) {
+            update.trailFrom = previous.trailLength;
+            update.trailAppend = trail.slice(previous.trailLength);
+        }
+        return Object.keys(update).length > 1 ? update : null;
+    }
+
+    // --- MIRRORING ---
+
+    _apply({ instanceId, seq, fullState, players, removed }) {
+        if (instanceId === INSTANCE_ID) return;
+        let instance = this.instances.get(instanceId);
+        if (!instance) {
+            instance = { seq: null, lastSeen: 0, resyncRequestedAt: 0, socketIds: new Set() };
+            this.instances.set(instanceId, instance);
+        }
+        instance.lastSeen = Date.now();
+
+        if (fullState) {
+            const listed = new Set(players.map(update => update.id));
+            [...instance.socketIds].filter(socketId => !listed.has(socketId)).forEach(socketId => this._removeRemote(socketId));
+        } else if (instance.seq === null || seq !== instance.seq + 1) {
+            this._requestFullState(instanceId, instance);
+            return;
+        }
+        instance.seq = seq;
+
+        for (const update of players) {
+            if (!this._applyUpdate(instanceId, instance, update)) {
+                this._requestFullState(instanceId, instance);
+                return;
+            }
+        }
+        removed.forEach(socketId => this._removeRemote(socketId));
+    }
+
+    // False when the update does not fit what is mirrored, e.g. appended points after a gap
+    _applyUpdate(instanceId, instance, update) {
+        let mirror = this.remote.get(update.id);
+        if (!mirror) {
+            if (!('googleId' in update)) return false;
+            mirror = { id: update.id, instanceId, activeTrail: [] };
+            this.remote.set(update.id, mirror);
+            instance.socketIds.add(update.id);
+        }
+        SHARED_FIELDS.forEach(field => {
+            if (field in update) mirror[field] = update[field];
+        });
+        if (mirror.googleId) this.byGoogleId.set(mirror.googleId, mirror.id);
+
+        if ('activeTrail' in update) {
+            // Full state repeats trails that did not change; keep the array so nothing re-indexes
+            if (sameTrail(mirror.activeTrail, update.activeTrail)) return true;
+            mirror.activeTrail = update.activeTrail;
+        } else if ('trailAppend' in update) {
+            if (update.trailFrom !== mirror.activeTrail.length) return false;
+            mirror.activeTrail.push(...update.trailAppend);
+        } else {
+            return true;
+        }
+        this.onTrailChanged(mirror);
+        return true;
+    }
+
+    _requestFullState(instanceId, instance) {
+        instance.seq = null; // ignore deltas until the full state arrives
+        const now = Date.now();
+        if (now - instance.resyncRequestedAt < SYNC_RULES.resyncAfterMs) return;
+        instance.resyncRequestedAt = now;
+        this.io.serverSideEmit(RESYNC_EVENT, instanceId);
+        debug(`Asked instance ${instanceId} for its full player state.`);
+    }
+
+    _removeRemote(socketId) {
+        const mirror = this.remote.get(socketId);
+        if (!mirror) return;
+        this.remote.delete(socketId);
+        this.instances.get(mirror.instanceId)?.socketIds.delete(socketId);
+        if (this.byGoogleId.get(mirror.googleId) === socketId) this.byGoogleId.delete(mirror.googleId);
+        this.onRemoved(socketId);
+    }
+
+    // An instance that died cannot say goodbye: its players are dropped here and this instance's
+    // own sockets are told, the way the owner would have told everyone
+    _expireSilentInstances() {
+        const cutoff = Date.now() - SYNC_RULES.instanceTimeoutMs;
+        for (const [instanceId, instance] of this.instances) {
+            if (instance.lastSeen > cutoff) continue;
+            for (const socketId of [...instance.socketIds]) {
+                this._removeRemote(socketId);
+                this.io.local.emit('trailCleared', { id: socketId });
+                this.io.local.emit('playerLeft', { id: socketId });
+            }
+            this.instances.delete(instanceId);
+            debug(`Instance ${instanceId} went quiet; dropped its players.`);
+        }
+    }
+}
+
+function sameTrail(a, b) {
+    if (a.length !== b.length) return false;
+    if (a.length === 0) return true;
+    const lastA = a[a.length - 1];
+    const lastB = b[b.length - 1];
+    return lastA.lat === lastB.lat && lastA.lng === lastB.lng && lastA.timestamp === lastB.timestamp;
+}
+
+
+module.exports = { ClusterPlayers, SYNC_RULES };
@@ -1,24 +1,279 @@
 const turf = require('@turf/turf');
 const debug = require('debug')('server:game:conquest');
-
+const { validateLap } = require('./lap_validator');
+const { comparePaths } = require('./path_similarity');
+const { captureTerritories, recordTerritoryEvents } = require('./territory_events');
+const { emitTerritoryUpdate } = require('./viewport_streaming');
+const { emitToPlayer } = require('./player_directory');
+const { metrics } = require('./metrics');
+
+const ARENA_TIMEOUT_MS = 5 * 60 * 1000;
+const CONQUEST_TIME_LIMIT_MS = 30 * 60 * 1000;
+const BASE_LINK_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BASE_LINK_CORRIDOR_METERS = parseFloat(process.env.BASE_LINK_CORRIDOR_METERS) || 20; // total corridor width
+
+// Defender tuning. Reinforcement laps raise the attacker's lap count up to the cap, then cut
+// the clock instead; fortification permanently raises laps_required, once per cooldown.
+const DEFENSE_RULES = {
+    maxExtraLaps: parseInt(process.env.CONQUEST_DEFENSE_MAX_EXTRA_LAPS, 10) || 3,
+    timePenaltyMs: (parseInt(process.env.CONQUEST_DEFENSE_TIME_PENALTY_MINUTES, 10) || 5) * 60 * 1000,
+    fortifyCooldownMs: (parseInt(process.env.FORTIFY_COOLDOWN_HOURS, 10) || 6) * 60 * 60 * 1000,
+    maxFortifiedLaps: parseInt(process.env.FORTIFY_MAX_LAPS_REQUIRED, 10) || 10
+};
+
+// Shared state store namespace for arenas and conquests: `${kind}:${attackerGoogleId}` -> session.
+// Every instance reads the same sessions, so attackers, defenders and the expiry sweep can be
+// on different instances.
+const SESSIONS_NAMESPACE = 'conquestSessions';
+const SESSION_GRACE_MS = 5 * 60 * 1000; // store records outlive their deadline this long, so the sweep still sees them
+
+// Arenas and conquests live in the shared state store keyed by Google ID and are mirrored to
+// Postgres so they survive a restart of every instance (see restoreState). Each session has an
+// `id`; removing it from the store by that id is what ends it, so only one instance reports the end.
+// Base links are kept here while their player is connected and handed over through Postgres.
 class ConquestHandler {
-    constructor(pool, io, players) {
+    /**
+     * @param {object} pool - The PostgreSQL connection pool.
+     * @param {object} io - The Socket.IO server instance.
+     * @param {object} players - Reference to the global players object.
+     * @param {{store: object}} shared - The shared state store.
+     */
+    constructor(pool, io, players, { store }) {
         this.pool = pool;
         this.io = io;
         this.players = players;
-        this.activeConquests = new Map(); // attackerId -> { territoryId, lapsCompleted, referencePath, startTime, expiresAt }
-        this.activeArenas = new Map(); // attackerId -> { territoryId, center, radius, status, createdAt, timeoutTimer }
-        this.baseLinks = new Map(); // linkId -> { playerId, baseA, baseB, trail, expiresAt }
+        this.store = store;
+        this.arenaWatch = new Map(); // attackerSocketId -> { id, center, radius } of an arena waiting for entry
+        this.baseLinks = new Map(); // playerGoogleId -> { id, baseA, baseB, trail, expiresAt }, players connected here
+        this.activeDefenses = new Map(); // defenderSocketId -> { territoryId, center, radius, lastLapAt }
+    }
+
+    // --- PERSISTENCE & RECOVERY ---
+
+    /**
+     * Seeds the state store with the arenas and conquests saved in Postgres. Sessions the store
+     * already holds (other instances kept running) win over the saved copy. Attackers are
+     * re-attached when they rejoin (handlePlayerJoined).
+     */
+    async restoreState() {
+        await this.pool.query('DELETE FROM conquest_sessions WHERE expires_at <= NOW()');
+        await this.pool.query('DELETE FROM base_links WHERE expires_at <= NOW()');
+
+        const sessions = await this.pool.query('SELECT * FROM conquest_sessions');
+        let seeded = 0;
+        for (const row of sessions.rows) {
+            const state = this._sessionFromRow(row);
+            let missing = false;
+            await this.store.update(SESSIONS_NAMESPACE, sessionKey(row.kind, row.attacker_id), (current) => {
+                missing = !current;
+                return missing ? state : undefined;
+            }, { ttlMs: sessionTtl(state) });
+            if (missing) seeded++;
+        }
+
+        debug(`Restored ${seeded} of ${sessions.rowCount} saved conquest session(s).`);
+    }
+
+    _sessionFromRow(row) {
+        const createdAt = new Date(row.created_at).getTime();
+        return {
+            id: sessionIdOf(row.kind, row.attacker_id, createdAt),
+            attackerGoogleId: row.attacker_id,
+            attackerName: row.attacker_name,
+            territoryId: row.territory_id,
+            victimOwnerId: row.victim_owner_id,
+            victimOwnerName: row.victim_owner_name,
+            center: row.center_lat !== null ? { lat: row.center_lat, lng: row.center_lng } : null,
+            radius: row.radius_m,
+            lapsRequired: row.laps_required,
+            // Rows saved before the column existed: take the reinforcement laps back off
+            baseLapsRequired: row.base_laps_required ?? row.laps_required - Math.min(row.defense_laps || 0, DEFENSE_RULES.maxExtraLaps),
+            lapsCompleted: row.laps_completed,
+            defenseLaps: row.defense_laps,
+            partIndex: row.part_index,
+            partCount: row.part_count,
+            targetPart: row.target_part,
+            referencePath: row.reference_path,
+            status: row.status,
+            createdAt,
+            startTime: row.started_at ? new Date(row.started_at).getTime() : null,
+            expiresAt: new Date(row.expires_at).getTime()
+        };
+    }
+
+    /**
+     * Re-attaches a joining attacker to their arena/conquest, wherever it was started, and
+     * re-sends every live threat against the player's own territories, so stale alerts can be
+     * replaced. Also picks up the player's base link.
+     */
+    async handlePlayerJoined(socketId) {
+        const player = this.players[socketId];
+        if (!player || !player.googleId) return;
+
+        const arena = await this._getSession('arena', player.googleId);
+        const conquest = await this._getSession('conquest', player.googleId);
+        if (arena) {
+            if (arena.status === 'waiting_for_entry') this._watchArena(socketId, arena);
+            this.io.to(socketId).emit('conquestResumed', {
+                kind: 'arena',
+                territoryId: arena.territoryId,
+                center: arena.center,
+                radius: arena.radius,
+                status: arena.status,
+                lapsRequired: arena.lapsRequired,
+                expiresAt: arena.expiresAt
+            });
+        }
+        if (conquest) {
+            this.io.to(socketId).emit('conquestResumed', {
+                kind: 'conquest',
+                territoryId: conquest.territoryId,
+                lapsCompleted: conquest.lapsCompleted,
+                lapsRequired: conquest.lapsRequired,
+                expiresAt: conquest.expiresAt
+            });
+        }
+        if (arena || conquest) debug(`Re-attached conquest state for ${player.name} to socket ${socketId}.`);
+
+        if (!this.baseLinks.has(player.googleId)) await this._loadBaseLink(player.googleId);
+
+        this.io.to(socketId).emit('conquestThreatsSync', { threats: await this._threatsAgainst(player.googleId) });
+    }
+
+    /**
+     * Forgets what this instance kept for a socket. Arenas and conquests stay in the store and
+     * their clocks keep running, so the clock is not paused by disconnecting; the base link is
+     * saved so the next instance the player joins can pick it up.
+     */
+    handleDisconnect(socketId) {
+        this.activeDefenses.delete(socketId);
+        this.arenaWatch.delete(socketId);
+        const googleId = this.players[socketId]?.googleId;
+        const link = googleId && this.baseLinks.get(googleId);
+        if (link) {
+            this.baseLinks.delete(googleId);
+            this._persistBaseLink(link);
+        }
+    }
+
+    /**
+     * Ends arenas and conquests that ran out of time. Called periodically by one instance at a
+     * time (see runExclusively in server.js).
+     */
+    async sweepExpired() {
+        const now = Date.now();
+        for (const [key, state] of await this.store.getAll(SESSIONS_NAMESPACE)) {
+            if (now <= state.expiresAt) continue;
+            if (key.startsWith('arena:')) {
+                await this._handleArenaTimeout(state);
+            } else {
+                await this._handleConquestTimeout(state);
+            }
+        }
+    }
+
+    async _threatsAgainst(victimGoogleId) {
+        return (await this._sessionsWhere(state => state.victimOwnerId === victimGoogleId)).map(({ kind, state }) => ({
+            kind,
+            territoryId: state.territoryId,
+            partIndex: state.partIndex ?? null,
+            targetPart: state.targetPart || null,
+            attackerName: state.attackerName,
+            lapsCompleted: state.lapsCompleted || 0,
+            lapsRequired: state.lapsRequired,
+            defenseLaps: state.defenseLaps || 0,
+            expiresAt: state.expiresAt
+        }));
+    }
+
+    /** @returns {Promise<Array<{kind: string, state: object}>>} Live sessions matching `filter`. */
+    async _sessionsWhere(filter) {
+        const sessions = [];
+        for (const [key, state] of await this.store.getAll(SESSIONS_NAMESPACE)) {
+            if (filter(state)) sessions.push({ kind: key.slice(0, key.indexOf(':')), state });
+        }
+        return sessions;
+    }
+
+    _getSession(kind, attackerGoogleId) {
+        return this.store.get(SESSIONS_NAMESPACE, sessionKey(kind, attackerGoogleId));
+    }
+
+    async _saveSession(kind, state) {
+        await this.store.set(SESSIONS_NAMESPACE, sessionKey(kind, state.attackerGoogleId), state, { ttlMs: sessionTtl(state) });
+        await this._persistSession(kind, state);
+    }
+
+    /**
+     * Changes a session in place. `mutate` gets the stored session and returns the new one, or
+     * undefined to leave it; it is not called once the session was ended or replaced.
+     * @returns {Promise<object|null>} The new session, or null when nothing was changed.
+     */
+    async _updateSession(kind, state, mutate) {
+        let updated = null;
+        await this.store.update(SESSIONS_NAMESPACE, sessionKey(kind, state.attackerGoogleId), (current) => {
+            updated = current && current.id === state.id ? mutate(current) || null : null;
+            return updated || undefined;
+        }, { ttlMs: sessionTtl(state) });
+        if (updated) await this._persistSession(kind, updated);
+        return updated;
+    }
+
+    /** @returns {Promise<boolean>} Whether this call ended the session (false if someone else did). */
+    async _removeSession(kind, state) {
+        const removed = await this.store.deleteIf(SESSIONS_NAMESPACE, sessionKey(kind, state.attackerGoogleId), 'id', state.id);
+        if (!removed) return false;
+        this.pool.query('DELETE FROM conquest_sessions WHERE attacker_id = $1 AND kind = $2', [state.attackerGoogleId, kind])
+            .catch(err => console.error(`[CONQUEST] Failed to delete ${kind} session for ${state.attackerGoogleId}:`, err));
+        return true;
+    }
+
+    _persistSession(kind, state) {
+        return this.pool.query(
+            `INSERT INTO conquest_sessions
+                (attacker_id, kind, attacker_name, territory_id, victim_owner_id, victim_owner_name, status,
+                 center_lat, center_lng, radius_m, laps_required, laps_completed, reference_path,
+                 created_at, started_at, expires_at, defense_laps, part_index, part_count, target_part, base_laps_required)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+                     to_timestamp($14 / 1000.0), to_timestamp($15 / 1000.0), to_timestamp($16 / 1000.0), $17, $18, $19, $20, $21)
+             ON CONFLICT (attacker_id, kind) DO UPDATE SET
+                territory_id = EXCLUDED.territory_id, victim_owner_id = EXCLUDED.victim_owner_id,
+                victim_owner_name = EXCLUDED.victim_owner_name, status = EXCLUDED.status,
+                center_lat = EXCLUDED.center_lat, center_lng = EXCLUDED.center_lng, radius_m = EXCLUDED.radius_m,
+                laps_required = EXCLUDED.laps_required, laps_completed = EXCLUDED.laps_completed,
+                reference_path = EXCLUDED.reference_path, started_at = EXCLUDED.started_at, expires_at = EXCLUDED.expires_at,
+                defense_laps = EXCLUDED.defense_laps, part_index = EXCLUDED.part_index,
+                part_count = EXCLUDED.part_count, target_part = EXCLUDED.target_part,
+                base_laps_required = EXCLUDED.base_laps_required`,
+            [
+                state.attackerGoogleId, kind, state.attackerName, state.territoryId, state.victimOwnerId, state.victimOwnerName,
+                state.status || null, state.center?.lat ?? null, state.center?.lng ?? null, state.radius ?? null,
+                state.lapsRequired, state.lapsCompleted || 0,
+                state.referencePath ? JSON.stringify(state.referencePath) : null,
+                state.createdAt || Date.now(), state.startTime || null, state.expiresAt, state.defenseLaps || 0,
+                state.partIndex ?? null, state.partCount ?? null, state.targetPart ? JSON.stringify(state.targetPart) : null,
+                state.baseLapsRequired ?? state.lapsRequired
+            ]
+        ).catch(err => console.error(`[CONQUEST] Failed to persist ${kind} session for ${state.attackerGoogleId}:`, err));
+    }
+
+    _persistBaseLink(link) {
+        return this.pool.query(
+            `INSERT INTO base_links (link_id, player_id, base_a, base_b, status, trail, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7 / 1000.0))
+             ON CONFLICT (link_id) DO UPDATE SET status = EXCLUDED.status, trail = EXCLUDED.trail`,
+            [link.id, link.playerGoogleId, link.baseA, link.baseB, link.status, JSON.stringify(link.trail || []), link.expiresAt]
+        ).catch(err => console.error(`[CONQUEST] Failed to persist base link ${link.id}:`, err));
     }
 
     // --- ARENA & CONQUERING LOGIC ---
 
-    async createConquestArena(attackerId, territoryId) {
+    async createConquestArena(attackerId, territoryId, partIndex) {
         const attacker = this.players[attackerId];
         if (!attacker) throw new Error("Player not found.");
 
         // Check if attacker already has an active arena
-        if (this.activeArenas.has(attackerId)) {
+        if (await this._getSession('arena', attacker.googleId)) {
             throw new Error("You already have an active conquest arena. Complete or cancel it first.");
         }
 
@@ -34,92 +289,157 @@ class ConquestHandler {
             throw new Error("You already own this territory.");
         }
 
-        // Parse GeoJSON to calculate center and radius
-        let center, maxRadius;
-        if (territory.geojson) {
-            const geojson = JSON.parse(territory.geojson);
-            const polygon = geojson.type === 'Polygon'
-                ? turf.polygon(geojson.coordinates)
-                : turf.polygon(geojson.coordinates[0]);
-
-            const centerPoint = turf.center(polygon);
-            center = { lat: centerPoint.geometry.coordinates[1], lng: centerPoint.geometry.coordinates[0] };
-
-            // Calculate max distance from center to any boundary point
-            const coords = geojson.type === 'Polygon' ? geojson.coordinates[0] : geojson.coordinates[0][0];
-            maxRadius = 0;
-            coords.forEach(coord => {
-                const point = turf.point(coord);
-                const distance = turf.distance(centerPoint, point, { units: 'meters' });
-                if (distance > maxRadius) maxRadius = distance;
-            });
-        } else {
-            throw new Error("Territory has no geometry.");
-        }
-
-        const arenaRadius = maxRadius * 1.5; // 50% beyond territory edge
+        // Split territories are attacked one island at a time.
+        const targetIndex = Number.isInteger(partIndex)
+            ? partIndex
+            : this._nearestPartIndex(territory.geojson, attacker.lastKnownPosition);
+        const { center, radius: arenaRadius, part, partCount } = this._arenaFor(territory.geojson, targetIndex);
 
         // Create arena with 5-minute timeout
-        const timeoutTimer = setTimeout(() => {
-            this._handleArenaTimeout(attackerId);
-        }, 5 * 60 * 1000); // 5 minutes
-
-        this.activeArenas.set(attackerId, {
+        const createdAt = Date.now();
+        const arena = {
+            id: sessionIdOf('arena', attacker.googleId, createdAt),
+            attackerGoogleId: attacker.googleId,
+            attackerName: attacker.name,
             territoryId,
             victimOwnerId: territory.owner_id,
             victimOwnerName: territory.owner_name,
             center,
             radius: arenaRadius,
+            partIndex: targetIndex,
+            partCount,
+            targetPart: part,
             lapsRequired: territory.laps_required + 1, // Progressive difficulty
+            baseLapsRequired: territory.laps_required + 1, // kept by the conquered land; reinforcements only raise lapsRequired
             status: 'waiting_for_entry',
-            createdAt: Date.now(),
-            timeoutTimer
-        });
+            createdAt,
+            expiresAt: createdAt + ARENA_TIMEOUT_MS
+        };
+        await this._saveSession('arena', arena);
+        this._watchArena(attackerId, arena);
 
         // Notify attacker
         this.io.to(attackerId).emit('arenaCreated', {
             territoryId,
             center,
             radius: arenaRadius,
+            partIndex: targetIndex,
+            partCount,
+            targetPart: part,
             lapsRequired: territory.laps_required + 1,
             victimName: territory.owner_name
         });
 
         // Notify victim
-        const victimSocketId = Object.keys(this.players).find(k => this.players[k].googleId === territory.owner_id);
-        if (victimSocketId) {
-            this.io.to(victimSocketId).emit('territoryThreatened', {
-                territoryId,
-                attackerName: attacker.name,
-                message: `⚠️ ${attacker.name} is preparing to attack your territory!`
-            });
-        }
+        emitToPlayer(this.io, territory.owner_id, 'territoryThreatened', {
+            territoryId,
+            partIndex: targetIndex,
+            targetPart: part,
+            attackerName: attacker.name,
+            message: `⚠️ ${attacker.name} is preparing to attack your territory!`
+        });
 
         debug(`Arena created: ${attacker.name} targeting Territory ${territoryId}`);
     }
 
-    _handleArenaTimeout(attackerId) {
-        const arena = this.activeArenas.get(attackerId);
-        if (!arena) return;
+    /**
+     * Builds the arena for a territory. Split territories are MultiPolygons; with a part index
+     * the arena surrounds just that island, otherwise it surrounds every part.
+     * @returns {{center: {lat, lng}, radius: number, part: object, partIndex: number|null, partCount: number}}
+     */
+    _arenaFor(geojsonText, partIndex = null) {
+        if (!geojsonText) throw new Error("Territory has no geometry.");
+        const geojson = JSON.parse(geojsonText);
+        const polygons = this._polygonsOf(geojson);
+        if (polygons.length === 0) throw new Error("Territory has no geometry.");
+        if (partIndex !== null && !(partIndex >= 0 && partIndex < polygons.length)) {
+            throw new Error("That part of the territory no longer exists.");
+        }
+
+        const selected = partIndex === null ? polygons : [polygons[partIndex]];
+        const part = selected.length === 1
+            ? { type: 'Polygon', coordinates: selected[0] }
+            : { type: 'MultiPolygon', coordinates: selected };
+
+        const centerPoint = turf.center(part);
+        const center = { lat: centerPoint.geometry.coordinates[1], lng: centerPoint.geometry.coordinates[0] };
+
+        // Calculate max distance from center to any outer boundary point
+        let maxRadius = 0;
+        selected.forEach(rings => rings[0].forEach(coord => {
+            const distance = turf.distance(centerPoint, turf.point(coord), { units: 'meters' });
+            if (distance > maxRadius) maxRadius = distance;
+        }));
+
+        return { center, radius: maxRadius * 1.5, part, partIndex, partCount: polygons.length }; // 50% beyond territory edge
+    }
+
+    _polygonsOf(geojson) {
+        if (geojson.type === 'Polygon') return [geojson.coordinates];
+        if (geojson.type === 'MultiPolygon') return geojson.coordinates;
+        if (geojson.type === 'GeometryCollection') return geojson.geometries.flatMap(g => this._polygonsOf(g));
+        return [];
+    }
+
+    // Picks the island the attacker is standing in, or the closest one.
+    _nearestPartIndex(geojsonText, position) {
+        const polygons = this._polygonsOf(JSON.parse(geojsonText));
+        if (polygons.length <= 1 || !position) return 0;
+        const point = turf.point([position.lng, position.lat]);
+        let best = 0;
+        let bestDistance = Infinity;
+        polygons.forEach((rings, index) => {
+            const polygon = turf.polygon(rings);
+            const distance = turf.booleanPointInPolygon(point, polygon)
+                ? 0
+                : turf.distance(point, turf.center(polygon), { units: 'meters' });
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    async _handleArenaTimeout(arena) {
+        if (!(await this._removeSession('arena', arena))) return;
 
-        this.activeArenas.delete(attackerId);
-        this.io.to(attackerId).emit('arenaTimeout', {
+        emitToPlayer(this.io, arena.attackerGoogleId, 'arenaTimeout', {
             message: 'Arena timed out. Click "Conquer" again to create a new arena.'
         });
+        emitToPlayer(this.io, arena.victimOwnerId, 'territoryThreatEnded', { territoryId: arena.territoryId });
 
-        debug(`Arena timeout for attacker ${attackerId}`);
+        debug(`Arena timeout for attacker ${arena.attackerGoogleId}`);
     }
 
-    checkArenaEntry(attackerId, currentLocation) {
-        const arena = this.activeArenas.get(attackerId);
-        if (!arena || arena.status !== 'waiting_for_entry') return false;
+    async _handleConquestTimeout(conquest) {
+        if (!(await this._removeSession('conquest', conquest))) return;
+
+        metrics.conquestOutcomes.inc({ outcome: 'expired' });
+        emitToPlayer(this.io, conquest.attackerGoogleId, 'conquestFailed', {
+            territoryId: conquest.territoryId,
+            message: 'Conquest time expired!'
+        });
+        emitToPlayer(this.io, conquest.victimOwnerId, 'territoryThreatEnded', { territoryId: conquest.territoryId });
+
+        debug(`Conquest timeout for attacker ${conquest.attackerGoogleId}`);
+    }
+
+    // Arena entry is checked on every location update, so the attacker's instance keeps the circle at hand
+    _watchArena(attackerId, arena) {
+        this.arenaWatch.set(attackerId, { id: arena.id, attackerGoogleId: arena.attackerGoogleId, center: arena.center, radius: arena.radius });
+    }
+
+    async checkArenaEntry(attackerId, currentLocation) {
+        const watched = this.arenaWatch.get(attackerId);
+        if (!watched) return false;
 
         // Calculate distance to arena center
         const R = 6371e3; // Earth radius in meters
         const φ1 = currentLocation.lat * Math.PI / 180;
-        const φ2 = arena.center.lat * Math.PI / 180;
-        const Δφ = (arena.center.lat - currentLocation.lat) * Math.PI / 180;
-        const Δλ = (arena.center.lng - currentLocation.lng) * Math.PI / 180;
+        const φ2 = watched.center.lat * Math.PI / 180;
+        const Δφ = (watched.center.lat - currentLocation.lat) * Math.PI / 180;
+        const Δλ = (watched.center.lng - currentLocation.lng) * Math.PI / 180;
 
         const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
             Math.cos(φ1) * Math.cos(φ2) *
@@ -127,65 +447,74 @@ class ConquestHandler {
         const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
         const distance = R * c;
 
-        if (distance <= arena.radius) {
-            // Attacker entered arena!
-            arena.status = 'ready_to_start';
+        if (distance > watched.radius) return false;
 
-            this.io.to(attackerId).emit('arenaEntered', {
-                territoryId: arena.territoryId,
-                lapsRequired: arena.lapsRequired,
-                timeLimit: 30, // minutes
-                message: `Complete ${arena.lapsRequired} lap${arena.lapsRequired > 1 ? 's' : ''} in 30 minutes`
-            });
+        // Attacker entered arena! (unless it timed out or was replaced in the meantime)
+        this.arenaWatch.delete(attackerId);
+        const arena = await this._updateSession('arena', watched, current => (
+            current.status === 'waiting_for_entry' ? { ...current, status: 'ready_to_start' } : undefined
+        ));
+        if (!arena) return false;
 
-            // Notify victim
-            const victimSocketId = Object.keys(this.players).find(k => this.players[k].googleId === arena.victimOwnerId);
-            if (victimSocketId) {
-                const attacker = this.players[attackerId];
-                this.io.to(victimSocketId).emit('territoryUnderAttack', {
-                    territoryId: arena.territoryId,
-                    attackerName: attacker?.name || 'Unknown',
-                    message: `🚨 ${attacker?.name || 'Unknown'} has entered the conquest zone!`
-                });
-            }
+        this.io.to(attackerId).emit('arenaEntered', {
+            territoryId: arena.territoryId,
+            lapsRequired: arena.lapsRequired,
+            timeLimit: 30, // minutes
+            message: `Complete ${arena.lapsRequired} lap${arena.lapsRequired > 1 ? 's' : ''} in 30 minutes`
+        });
 
-            debug(`Arena entered: ${attackerId} for territory ${arena.territoryId}`);
-            return true;
-        }
+        // Notify victim
+        const attacker = this.players[attackerId];
+        emitToPlayer(this.io, arena.victimOwnerId, 'territoryUnderAttack', {
+            territoryId: arena.territoryId,
+            attackerName: attacker?.name || 'Unknown',
+            message: `🚨 ${attacker?.name || 'Unknown'} has entered the conquest zone!`
+        });
 
-        return false;
+        debug(`Arena entered: ${attackerId} for territory ${arena.territoryId}`);
+        return true;
     }
 
-    startConquest(attackerId) {
-        const arena = this.activeArenas.get(attackerId);
+    async startConquest(attackerId) {
+        const attacker = this.players[attackerId];
+        const arena = attacker && await this._getSession('arena', attacker.googleId);
         if (!arena) throw new Error("No active arena found.");
         if (arena.status !== 'ready_to_start') throw new Error("Arena not ready. Enter the arena first.");
 
         // Check if another player is already conquering this territory
-        const existingConquest = Array.from(this.activeConquests.values()).find(c => c.territoryId === arena.territoryId);
-        if (existingConquest) {
+        const rivals = await this._sessionsWhere(state => state.territoryId === arena.territoryId);
+        if (rivals.some(({ kind }) => kind === 'conquest')) {
             // Multiple attackers allowed - they race to complete first
             debug(`Multiple attackers on territory ${arena.territoryId}`);
         }
 
-        // Clear arena timeout
-        if (arena.timeoutTimer) {
-            clearTimeout(arena.timeoutTimer);
-        }
+        // Remove arena once conquest starts; whoever removes it starts the one conquest
+        if (!(await this._removeSession('arena', arena))) throw new Error("No active arena found.");
 
         // Create conquest state
+        const startTime = Date.now();
         const conquestState = {
+            id: sessionIdOf('conquest', arena.attackerGoogleId, startTime),
+            attackerGoogleId: arena.attackerGoogleId,
+            attackerName: arena.attackerName,
             territoryId: arena.territoryId,
             victimOwnerId: arena.victimOwnerId,
+            victimOwnerName: arena.victimOwnerName,
+            center: arena.center,
+            radius: arena.radius,
+            partIndex: arena.partIndex,
+            partCount: arena.partCount,
+            targetPart: arena.targetPart,
             lapsRequired: arena.lapsRequired,
+            baseLapsRequired: arena.baseLapsRequired,
+            defenseLaps: arena.defenseLaps || 0,
             lapsCompleted: 0,
             referencePath: null, // Will be set on first lap
-            startTime: Date.now(),
-            expiresAt: Date.now() + 30 * 60 * 1000, // 30 minutes
+            createdAt: startTime,
+            startTime,
+            expiresAt: startTime + CONQUEST_TIME_LIMIT_MS,
         };
-
-        this.activeConquests.set(attackerId, conquestState);
-        this.activeArenas.delete(attackerId); // Remove arena once conquest starts
+        await this._saveSession('conquest', conquestState);
 
         this.io.to(attackerId).emit('conquestStarted', {
             territoryId: arena.territoryId,
@@ -197,8 +526,9 @@ class ConquestHandler {
     }
 
 
-    recordLap(attackerId, lapPath) {
-        const conquest = this.activeConquests.get(attackerId);
+    async recordLap(attackerId, lapPath) {
+        const attacker = this.players[attackerId];
+        const conquest = attacker && await this._getSession('conquest', attacker.googleId);
         if (!conquest) {
             debug(`No active conquest for attacker ${attackerId}`);
             return { success: false, message: 'No active conquest found.' };
@@ -206,241 +536,724 @@ class ConquestHandler {
 
         // Check if conquest has expired
         if (Date.now() > conquest.expiresAt) {
-            this.activeConquests.delete(attackerId);
+            if (await this._removeSession('conquest', conquest)) metrics.conquestOutcomes.inc({ outcome: 'expired' });
             return { success: false, message: 'Conquest time expired!' };
         }
 
+        // Every lap must be a plausible closed loop around the territory, inside the arena.
+        // A rejected lap doesn't count but doesn't end the conquest either.
+        const lapCheck = await validateLap(lapPath, {
+            center: conquest.center,
+            radius: conquest.radius,
+            activityType: attacker.movementValidator?.activityType,
+            elapsedMs: Date.now() - (conquest.lastLapAt || conquest.startTime),
+            measureCoverage: lapPolygon => this._measureLapCoverage(conquest.territoryId, lapPolygon, conquest.targetPart)
+        });
+        if (!lapCheck.valid) {
+            debug(`Lap rejected for ${attackerId} on territory ${conquest.territoryId}: ${lapCheck.rule}`);
+            metrics.conquestLaps.inc({ result: 'rejected' });
+            return {
+                success: false,
+                lapRejected: true,
+                rule: lapCheck.rule,
+                message: lapCheck.message,
+                details: lapCheck.details,
+                lapsCompleted: conquest.lapsCompleted,
+                lapsRequired: conquest.lapsRequired
+            };
+        }
+        metrics.conquestLaps.inc({ result: 'accepted' });
+
         // First lap - store as reference
         if (conquest.lapsCompleted === 0) {
-            conquest.referencePath = lapPath;
-            conquest.lapsCompleted = 1;
+            const updated = await this._updateSession('conquest', conquest, current => ({
+                ...current,
+                lastLapAt: Date.now(),
+                referencePath: current.referencePath || lapPath,
+                lapsCompleted: current.lapsCompleted + 1
+            }));
+            if (!updated) return { success: false, message: 'Conquest is no longer active.' };
 
             // Notify victim of first lap
-            const victimSocketId = Object.keys(this.players).find(k => this.players[k].googleId === conquest.victimOwnerId);
-            if (victimSocketId) {
-                const attacker = this.players[attackerId];
-                this.io.to(victimSocketId).emit('conquestProgress', {
-                    territoryId: conquest.territoryId,
-                    attackerName: attacker?.name || 'Unknown',
-                    lapsCompleted: 1,
-                    lapsRequired: conquest.lapsRequired,
-                    message: `⏱️ ${attacker?.name || 'Unknown'} completed lap 1/${conquest.lapsRequired}`
-                });
-            }
+            emitToPlayer(this.io, updated.victimOwnerId, 'conquestProgress', {
+                territoryId: updated.territoryId,
+                attackerName: attacker.name,
+                lapsCompleted: updated.lapsCompleted,
+                lapsRequired: updated.lapsRequired,
+                message: `⏱️ ${attacker.name} completed lap ${updated.lapsCompleted}/${updated.lapsRequired}`
+            });
 
             debug(`Lap 1 recorded for attacker ${attackerId}. Reference path set.`);
             return {
                 success: true,
-                message: `Lap 1/${conquest.lapsRequired} complete! Follow the same route.`,
-                lapsCompleted: 1,
-                lapsRequired: conquest.lapsRequired
+                message: `Lap ${updated.lapsCompleted}/${updated.lapsRequired} complete! Follow the same route.`,
+                lapsCompleted: updated.lapsCompleted,
+                lapsRequired: updated.lapsRequired
             };
         }
 
         // Subsequent laps - validate path similarity
-        const similarity = this._calculatePathSimilarity(lapPath, conquest.referencePath);
+        const comparison = comparePaths(lapPath, conquest.referencePath);
+        const similarity = comparison.similarity;
+        const offRouteSegments = comparison.segments.filter(segment => segment.offRoute);
 
         if (similarity < 0.7) { // 70% similarity threshold (flexible)
-            debug(`Conquest failed for ${attackerId}: Similarity ${Math.round(similarity * 100)}% < 70%. AvgError: ${Math.round((1 - similarity) * 50)}m`);
-            this.activeConquests.delete(attackerId);
+            debug(`Conquest failed for ${attackerId}: Similarity ${Math.round(similarity * 100)}% < 70%. ${comparison.method} distance: ${Math.round(comparison.distanceMeters)}m`);
+            if (!(await this._removeSession('conquest', conquest))) {
+                return { success: false, message: 'Conquest is no longer active.' };
+            }
+            metrics.conquestOutcomes.inc({ outcome: 'route_mismatch' });
             return {
                 success: false,
+                rule: 'route_mismatch',
                 message: 'Route too different from first lap! Conquest failed.',
-                similarity: Math.round(similarity * 100)
+                similarity: Math.round(similarity * 100),
+                offRouteSegments
             };
         }
 
-        conquest.lapsCompleted++;
+        // Counted on the stored session, so reinforcements that landed meanwhile are kept
+        const updated = await this._updateSession('conquest', conquest, current => ({
+            ...current,
+            lastLapAt: Date.now(),
+            lapsCompleted: current.lapsCompleted + 1
+        }));
+        if (!updated) return { success: false, message: 'Conquest is no longer active.' };
 
         // Notify victim of lap progress
-        const victimSocketId = Object.keys(this.players).find(k => this.players[k].googleId === conquest.victimOwnerId);
-        if (victimSocketId) {
-            const attacker = this.players[attackerId];
-            this.io.to(victimSocketId).emit('conquestProgress', {
-                territoryId: conquest.territoryId,
-                attackerName: attacker?.name || 'Unknown',
-                lapsCompleted: conquest.lapsCompleted,
-                lapsRequired: conquest.lapsRequired,
-                message: `⏱️ ${attacker?.name || 'Unknown'} completed lap ${conquest.lapsCompleted}/${conquest.lapsRequired}`
-            });
-        }
+        emitToPlayer(this.io, updated.victimOwnerId, 'conquestProgress', {
+            territoryId: updated.territoryId,
+            attackerName: attacker.name,
+            lapsCompleted: updated.lapsCompleted,
+            lapsRequired: updated.lapsRequired,
+            message: `⏱️ ${attacker.name} completed lap ${updated.lapsCompleted}/${updated.lapsRequired}`
+        });
 
-        debug(`Lap ${conquest.lapsCompleted} recorded for attacker ${attackerId}. Similarity: ${Math.round(similarity * 100)}%`);
+        debug(`Lap ${updated.lapsCompleted} recorded for attacker ${attackerId}. Similarity: ${Math.round(similarity * 100)}%`);
 
         // Check if conquest is complete
-        if (conquest.lapsCompleted >= conquest.lapsRequired) {
-            this._finalizeConquest(attackerId);
+        if (updated.lapsCompleted >= updated.lapsRequired) {
+            if (!(await this._finalizeConquest(attackerId, updated))) {
+                return {
+                    success: false,
+                    message: 'The conquest could not be completed.',
+                    lapsCompleted: updated.lapsCompleted,
+                    lapsRequired: updated.lapsRequired
+                };
+            }
             return {
                 success: true,
                 message: 'Conquest successful! Territory claimed!',
-                lapsCompleted: conquest.lapsCompleted,
-                lapsRequired: conquest.lapsRequired,
+                lapsCompleted: updated.lapsCompleted,
+                lapsRequired: updated.lapsRequired,
                 complete: true
             };
         }
 
         return {
             success: true,
-            message: `Lap ${conquest.lapsCompleted}/${conquest.lapsRequired} complete!`,
-            lapsCompleted: conquest.lapsCompleted,
-            lapsRequired: conquest.lapsRequired
+            message: `Lap ${updated.lapsCompleted}/${updated.lapsRequired} complete!`,
+            lapsCompleted: updated.lapsCompleted,
+            lapsRequired: updated.lapsRequired,
+            similarity: Math.round(similarity * 100),
+            offRouteSegments
         };
     }
 
-    _calculatePathSimilarity(path1, path2) {
-        // Robust similarity check using Symmetric Average Minimum Distance
-        // This handles different sampling rates and speed variations better than index matching
-        if (!path1 || !path2 || path1.length === 0 || path2.length === 0) return 0;
-
-        const getAverageMinDistance = (sourcePath, targetPath) => {
-            let totalMinDist = 0;
-            for (const p1 of sourcePath) {
-                let minDist = Infinity;
-                for (const p2 of targetPath) {
-                    // Simple Euclidean approximation for speed (sufficient for small areas)
-                    // Or use Haversine if precision needed. Using Haversine here for consistency.
-                    const R = 6371e3;
-                    const φ1 = p1.lat * Math.PI / 180;
-                    const φ2 = p2.lat * Math.PI / 180;
-                    const Δφ = (p2.lat - p1.lat) * Math.PI / 180;
-                    const Δλ = (p2.lng - p1.lng) * Math.PI / 180;
-                    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-                        Math.cos(φ1) * Math.cos(φ2) *
-                        Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-                    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-                    const d = R * c;
-
-                    if (d < minDist) minDist = d;
-                }
-                totalMinDist += minDist;
-            }
-            return totalMinDist / sourcePath.length;
-        };
+    /**
+     * Share (0..1) of the territory's current area enclosed by a lap polygon, measured on the
+     * geography so large and small territories are treated alike. With `targetPart` only the
+     * targeted island (as it is now) counts.
+     */
+    async _measureLapCoverage(territoryId, lapPolygon, targetPart = null) {
+        const res = await this.pool.query(`
+            WITH lap AS (
+                SELECT ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($2), 4326)), 3) AS geom
+            ), target AS (
+                SELECT CASE WHEN $3::text IS NULL THEN t.area
+                            ELSE ST_Intersection(t.area, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326)) END AS geom
+                FROM territories t
+                WHERE t.id = $1
+            )
+            SELECT ST_Area(ST_Intersection(target.geom, lap.geom)::geography) / NULLIF(ST_Area(target.geom::geography), 0) AS coverage
+            FROM target, lap
+        `, [territoryId, JSON.stringify(lapPolygon), targetPart ? JSON.stringify(targetPart) : null]);
+        return res.rowCount > 0 ? parseFloat(res.rows[0].coverage) || 0 : 0;
+    }
+
+    // --- DEFENSE LOGIC ---
 
-        // Check forward and backward to ensure paths cover each other
-        const avgDist1 = getAverageMinDistance(path1, path2);
-        const avgDist2 = getAverageMinDistance(path2, path1);
+    /**
+     * Starts the lap clock for an owner defending one of their territories. If the territory is
+     * under attack the laps reinforce it against the attackers; otherwise they fortify it.
+     */
+    async startDefense(defenderId, territoryId) {
+        const defender = this.players[defenderId];
+        if (!defender) throw new Error("Player not found.");
+
+        const res = await this.pool.query(
+            'SELECT id, owner_id, laps_required, fortified_at, ST_AsGeoJSON(area) as geojson FROM territories WHERE id = $1 AND game_mode = \'areaCapture\'',
+            [territoryId]
+        );
+        if (res.rowCount === 0) throw new Error("Territory not found.");
+        const territory = res.rows[0];
+        if (territory.owner_id !== defender.googleId) throw new Error("You can only defend your own territory.");
+
+        // Reinforcement laps go around the island under attack; fortification laps around the whole territory.
+        const threatened = (await this._sessionsOnTerritory(territory.id))[0];
+        const { center, radius, part } = threatened
+            ? this._arenaFor(JSON.stringify(threatened.state.targetPart || JSON.parse(territory.geojson)))
+            : this._arenaFor(territory.geojson);
+        this.activeDefenses.set(defenderId, {
+            territoryId: territory.id,
+            center,
+            radius,
+            targetPart: threatened ? part : null,
+            lastLapAt: Date.now()
+        });
 
-        // If average deviation is less than 30 meters, consider it a match
-        // We convert this to a 0-1 score. 0m error = 1.0, 50m error = 0.0
-        const avgError = (avgDist1 + avgDist2) / 2;
-        const threshold = 50; // meters
+        const threats = (await this._threatsAgainst(defender.googleId)).filter(t => t.territoryId === territory.id);
+        const mode = threats.length > 0 ? 'reinforce' : 'fortify';
+        const fortifyAvailableAt = territory.fortified_at
+            ? new Date(territory.fortified_at).getTime() + DEFENSE_RULES.fortifyCooldownMs
+            : Date.now();
 
-        if (avgError > threshold) return 0;
-        return 1 - (avgError / threshold);
+        this.io.to(defenderId).emit('defenseStarted', {
+            territoryId: territory.id,
+            mode,
+            center,
+            radius,
+            lapsRequired: territory.laps_required,
+            fortifyAvailableAt: mode === 'fortify' ? fortifyAvailableAt : undefined,
+            threats
+        });
+        debug(`Defense started: ${defender.name} ${mode} territory ${territory.id}`);
     }
 
-    async _finalizeConquest(attackerId) {
-        const conquest = this.activeConquests.get(attackerId);
-        if (!conquest) return;
+    /**
+     * Validates a defender's lap with the same geometric rules as attack laps, then applies it
+     * as a reinforcement (live attack) or a fortification (no attack).
+     */
+    async recordDefenseLap(defenderId, lapPath) {
+        const defense = this.activeDefenses.get(defenderId);
+        const defender = this.players[defenderId];
+        if (!defense || !defender) {
+            return { success: false, message: 'Start defending a territory first.' };
+        }
 
-        const attacker = this.players[attackerId];
-        if (!attacker) {
-            this.activeConquests.delete(attackerId);
-            return;
+        const lapCheck = await validateLap(lapPath, {
+            center: defense.center,
+            radius: defense.radius,
+            activityType: defender.movementValidator?.activityType,
+            elapsedMs: Date.now() - defense.lastLapAt,
+            measureCoverage: lapPolygon => this._measureLapCoverage(defense.territoryId, lapPolygon, defense.targetPart)
+        });
+        if (!lapCheck.valid) {
+            return { success: false, lapRejected: true, rule: lapCheck.rule, message: lapCheck.message, details: lapCheck.details };
         }
+        defense.lastLapAt = Date.now();
 
-        // Check if another attacker already conquered this territory (race condition)
-        const currentOwner = await this.pool.query('SELECT owner_id FROM territories WHERE id = $1', [conquest.territoryId]);
-        if (currentOwner.rows[0]?.owner_id === attacker.googleId) {
-            // Already owned (shouldn't happen, but handle gracefully)
-            this.activeConquests.delete(attackerId);
-            return;
+        const sessions = await this._sessionsOnTerritory(defense.territoryId);
+        if (sessions.length > 0) {
+            return this._reinforce(defender, defense.territoryId, sessions);
+        }
+        return this._fortify(defender, defense.territoryId);
+    }
+
+    _sessionsOnTerritory(territoryId) {
+        return this._sessionsWhere(state => state.territoryId === territoryId);
+    }
+
+    async _reinforce(defender, territoryId, sessions) {
+        const updates = [];
+        for (const { kind, state: session } of sessions) {
+            let effect = null;
+            const state = await this._updateSession(kind, session, (current) => {
+                const next = { ...current, defenseLaps: (current.defenseLaps || 0) + 1 };
+                effect = null;
+                if (next.defenseLaps <= DEFENSE_RULES.maxExtraLaps) {
+                    next.lapsRequired++;
+                    effect = 'extra_lap';
+                } else if (kind === 'conquest') {
+                    next.expiresAt -= DEFENSE_RULES.timePenaltyMs;
+                    effect = 'time_penalty';
+                }
+                // The arena clock is the attacker's window to enter, not the conquest clock.
+                return next;
+            });
+            if (!state || !effect) continue;
+
+            const update = {
+                territoryId,
+                attackerName: state.attackerName,
+                effect,
+                lapsCompleted: state.lapsCompleted || 0,
+                lapsRequired: state.lapsRequired,
+                expiresAt: state.expiresAt
+            };
+            updates.push(update);
+            emitToPlayer(this.io, state.attackerGoogleId, 'conquestReinforced', {
+                ...update,
+                defenderName: defender.name,
+                timePenaltyMs: effect === 'time_penalty' ? DEFENSE_RULES.timePenaltyMs : 0,
+                message: effect === 'extra_lap'
+                    ? `🛡️ ${defender.name} reinforced their territory! You now need ${state.lapsRequired} laps.`
+                    : `🛡️ ${defender.name} reinforced their territory! ${DEFENSE_RULES.timePenaltyMs / 60000} minutes taken off your clock.`
+            });
         }
 
-        // Cancel all other conquest attempts on this territory (first wins!)
-        for (const [otherAttackerId, otherConquest] of this.activeConquests.entries()) {
-            if (otherConquest.territoryId === conquest.territoryId && otherAttackerId !== attackerId) {
-                this.activeConquests.delete(otherAttackerId);
-                this.io.to(otherAttackerId).emit('conquestFailed', {
-                    territoryId: conquest.territoryId,
-                    message: `Another player conquered this territory first!`
-                });
-                debug(`Conquest cancelled for ${otherAttackerId} - territory ${conquest.territoryId} already conquered`);
+        debug(`Territory ${territoryId} reinforced by ${defender.name} against ${updates.length} attacker(s)`);
+        return {
+            success: true,
+            mode: 'reinforce',
+            territoryId,
+            attackers: updates,
+            message: updates.length > 0 ? 'Reinforcement lap counted!' : 'Lap counted, but attackers are already at maximum difficulty.'
+        };
+    }
+
+    async _fortify(defender, territoryId) {
+        const res = await this.pool.query(
+            `UPDATE territories
+             SET laps_required = LEAST(laps_required + 1, $3), fortified_at = NOW()
+             WHERE id = $1 AND owner_id = $2
+               AND laps_required < $3
+               AND (fortified_at IS NULL OR fortified_at <= NOW() - $4 * INTERVAL '1 millisecond')
+             RETURNING laps_required, fortified_at`,
+            [territoryId, defender.googleId, DEFENSE_RULES.maxFortifiedLaps, DEFENSE_RULES.fortifyCooldownMs]
+        );
+        if (res.rowCount === 0) {
+            const current = await this.pool.query('SELECT owner_id, laps_required, fortified_at FROM territories WHERE id = $1', [territoryId]);
+            const row = current.rows[0];
+            if (!row || row.owner_id !== defender.googleId) {
+                return { success: false, mode: 'fortify', rule: 'not_owner', message: 'You no longer own this territory.' };
+            }
+            if (row.laps_required >= DEFENSE_RULES.maxFortifiedLaps) {
+                return { success: false, mode: 'fortify', rule: 'max_fortified', message: 'This territory is already fully fortified.', lapsRequired: row.laps_required };
             }
+            return {
+                success: false,
+                mode: 'fortify',
+                rule: 'fortify_cooldown',
+                message: 'You fortified this territory recently. Try again later.',
+                fortifyAvailableAt: new Date(row.fortified_at).getTime() + DEFENSE_RULES.fortifyCooldownMs
+            };
         }
 
+        const { laps_required: lapsRequired, fortified_at: fortifiedAt } = res.rows[0];
+        this.io.to('areaCapture').emit('territoryFortified', { territoryId, lapsRequired });
+        debug(`Territory ${territoryId} fortified by ${defender.name} to ${lapsRequired} laps`);
+        return {
+            success: true,
+            mode: 'fortify',
+            territoryId,
+            lapsRequired,
+            fortifyAvailableAt: new Date(fortifiedAt).getTime() + DEFENSE_RULES.fortifyCooldownMs,
+            message: `Territory fortified! Attackers now need ${lapsRequired + 1} laps.`
+        };
+    }
+
+    stopDefense(defenderId) {
+        this.activeDefenses.delete(defenderId);
+    }
+
+    /**
+     * Hands the conquered land to the attacker. Failures are reported to the attacker here.
+     * @returns {Promise<boolean>} Whether the territory changed hands.
+     */
+    async _finalizeConquest(attackerId, conquest) {
+        const attacker = this.players[attackerId];
+        // The land keeps the difficulty it was attacked at, not the laps a defender added on top
+        const lapsRequired = conquest.baseLapsRequired ?? conquest.lapsRequired;
+        let client = null;
         try {
-            await this.pool.query('BEGIN');
-
-            // Transfer ownership and increment laps_required
-            await this.pool.query(
-                `UPDATE territories 
-                 SET owner_id = $1, owner_name = $2, username = $3, profile_image_url = $4, 
-                     laps_required = $5, identity_color = $6, brand_wrapper = NULL
-                 WHERE id = $7`,
-                [attacker.googleId, attacker.name, attacker.name, attacker.profileImageUrl, conquest.lapsRequired, attacker.identityColor, conquest.territoryId]
+            // Taking the conquest out of the store is what finalizes it, so it happens once
+            if (!(await this._removeSession('conquest', conquest)) || !attacker) return false;
+
+            // Check if another attacker already conquered this territory (race condition)
+            const currentOwner = await this.pool.query('SELECT owner_id FROM territories WHERE id = $1', [conquest.territoryId]);
+            if (currentOwner.rows[0]?.owner_id === attacker.googleId) {
+                // Already owned (shouldn't happen, but handle gracefully)
+                return false;
+            }
+
+            // Cancel all other conquest attempts on the same island (first wins!)
+            const rivals = await this._sessionsWhere(state => state.territoryId === conquest.territoryId);
+            for (const { kind, state: otherConquest } of rivals) {
+                if (kind === 'conquest' && otherConquest.attackerGoogleId !== conquest.attackerGoogleId
+                    && this._samePart(otherConquest.targetPart, conquest.targetPart)) {
+                    if (!(await this._removeSession('conquest', otherConquest))) continue;
+                    metrics.conquestOutcomes.inc({ outcome: 'beaten' });
+                    emitToPlayer(this.io, otherConquest.attackerGoogleId, 'conquestFailed', {
+                        territoryId: conquest.territoryId,
+                        message: `Another player conquered this territory first!`
+                    });
+                    debug(`Conquest cancelled for ${otherConquest.attackerGoogleId} - territory ${conquest.territoryId} already conquered`);
+                }
+            }
+
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            const victimRes = await client.query(
+                `SELECT owner_id, ST_NumGeometries(ST_Multi(area)) AS parts FROM territories WHERE id = $1 FOR UPDATE`,
+                [conquest.territoryId]
             );
+            if (victimRes.rowCount === 0) throw new Error("Territory no longer exists.");
+            const conquestBefore = await captureTerritories(client, 'id = $1', [conquest.territoryId]);
+
+            let conqueredTerritoryId = conquest.territoryId;
+            if (victimRes.rows[0].parts <= 1 || !conquest.targetPart) {
+                // Single island: transfer ownership of the whole row and raise laps_required by one
+                await client.query(
+                    `UPDATE territories 
+                     SET owner_id = $1, owner_name = $2, username = $3, profile_image_url = $4, 
+                         laps_required = $5, identity_color = $6, brand_wrapper = NULL
+                     WHERE id = $7`,
+                    [attacker.googleId, attacker.name, attacker.name, attacker.profileImageUrl, lapsRequired, attacker.identityColor, conquest.territoryId]
+                );
+            } else {
+                // Split territory: carve the conquered island (as it is now) off the victim's row
+                const splitRes = await client.query(`
+                    WITH island AS (
+                        SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(
+                            ST_Intersection(area, ST_SetSRID(ST_GeomFromGeoJSON($2), 4326))
+                        ), 3)) AS geom
+                        FROM territories WHERE id = $1
+                    ), remainder AS (
+                        UPDATE territories t
+                        SET area = ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Difference(t.area, island.geom)), 3)),
+                            area_sqm = ST_Area(ST_Difference(t.area, island.geom)::geography)
+                        FROM island
+                        WHERE t.id = $1 AND NOT ST_IsEmpty(island.geom)
+                        RETURNING t.id
+                    )
+                    SELECT ST_AsGeoJSON(island.geom) AS geojson, ST_Area(island.geom::geography) AS area_sqm,
+                           (SELECT COUNT(*) FROM remainder) AS updated
+                    FROM island
+                `, [conquest.territoryId, JSON.stringify(conquest.targetPart)]);
+                const island = splitRes.rows[0];
+                if (!island || Number(island.updated) === 0) throw new Error("That part of the territory no longer exists.");
+
+                const insertRes = await client.query(
+                    `INSERT INTO territories (owner_id, owner_name, username, profile_image_url, identity_color, area, area_sqm, laps_required, claimed_at, game_mode)
+                     VALUES ($1, $2, $3, $4, $5, ST_GeomFromGeoJSON($6), $7, $8, NOW(), 'areaCapture')
+                     RETURNING id`,
+                    [attacker.googleId, attacker.name, attacker.name, attacker.profileImageUrl, attacker.identityColor, island.geojson, island.area_sqm, lapsRequired]
+                );
+                conqueredTerritoryId = insertRes.rows[0].id;
+            }
 
-            await this.pool.query('COMMIT');
+            const conquestAfter = await captureTerritories(client, 'id = ANY($1::int[])', [[conquest.territoryId, conqueredTerritoryId]]);
+            await recordTerritoryEvents(client, 'conquest', conquestBefore, conquestAfter, {
+                actorId: attacker.googleId,
+                details: { sourceTerritoryId: conquest.territoryId, lapsRequired, partIndex: conquest.partIndex ?? null }
+            });
+
+            const updatedRes = await client.query(
+                `SELECT id, owner_id as "ownerId", username as "ownerName", profile_image_url as "profileImageUrl",
+                        identity_color, ST_AsGeoJSON(area) as geojson, area_sqm as area, laps_required, brand_wrapper, brand_url
+                 FROM territories WHERE id = ANY($1::int[])`,
+                [[conquest.territoryId, conqueredTerritoryId]]
+            );
 
-            this.activeConquests.delete(attackerId);
+            await client.query('COMMIT');
 
+            emitTerritoryUpdate(this.io, 'areaCapture',
+                updatedRes.rows.map(r => ({ ...r, geojson: r.geojson ? JSON.parse(r.geojson) : null })));
             this.io.emit('conquerAttemptSuccessful', {
                 territoryId: conquest.territoryId,
+                conqueredTerritoryId,
+                partial: conqueredTerritoryId !== conquest.territoryId,
                 newOwnerId: attacker.googleId,
                 newOwnerName: attacker.name
             });
 
-            debug(`Conquest successful: Territory ${conquest.territoryId} now owned by ${attacker.name}`);
-
+            metrics.conquestOutcomes.inc({ outcome: 'conquered' });
+            debug(`Conquest successful: Territory ${conqueredTerritoryId} (from ${conquest.territoryId}) now owned by ${attacker.name}`);
+            return true;
         } catch (err) {
-            await this.pool.query('ROLLBACK');
+            if (client) await client.query('ROLLBACK').catch(() => {});
             console.error("Error finalizing conquest:", err);
-            this.activeConquests.delete(attackerId);
+            metrics.conquestOutcomes.inc({ outcome: 'error' });
+            emitToPlayer(this.io, conquest.attackerGoogleId, 'conquestFailed', { territoryId: conquest.territoryId, message: err.message });
+            return false;
+        } finally {
+            client?.release();
         }
     }
 
+    _samePart(partA, partB) {
+        if (!partA || !partB) return true;
+        return turf.booleanIntersects(turf.feature(partA), turf.feature(partB));
+    }
+
     // --- BASE LINKING LOGIC ---
 
+    /**
+     * Starts a link between two of the player's separate territory rows (multi-base owners).
+     * The player must then run from base A to base B and back within the 24h window; the
+     * corridor is recorded by checkBaseLinkProgress and merged by finalizeBaseLink.
+     */
     async startBaseLink(playerId, baseA_Id, baseB_Id) {
-        // Validate ownership of both bases
-        // Create a temporary "bridge" state
-        // This is complex geometry logic, simplified for now:
-        // Just tracking that a link attempt is active.
+        const player = this.players[playerId];
+        if (!player) throw new Error("Player not found.");
+        if (!baseA_Id || !baseB_Id || baseA_Id === baseB_Id) throw new Error("Pick two different bases to link.");
+        if (this.baseLinks.has(player.googleId)) throw new Error("You already have an active base link.");
 
-        const linkId = `link-${playerId}-${Date.now()}`;
-        this.baseLinks.set(linkId, {
+        const res = await this.pool.query(
+            'SELECT id, owner_id, game_mode FROM territories WHERE id = ANY($1::int[]) AND area IS NOT NULL AND NOT ST_IsEmpty(area)',
+            [[baseA_Id, baseB_Id]]
+        );
+        if (res.rowCount < 2) throw new Error("Base not found.");
+        if (res.rows.some(row => row.owner_id !== player.googleId)) throw new Error("You must own both bases to link them.");
+        if (res.rows[0].game_mode !== res.rows[1].game_mode) throw new Error("Both bases must be in the same game mode.");
+
+        const linkId = `link-${player.googleId}-${Date.now()}`;
+        const link = {
             id: linkId,
-            playerId,
+            playerGoogleId: player.googleId,
             baseA: baseA_Id,
             baseB: baseB_Id,
-            status: 'active',
-            expiresAt: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
-        });
+            status: 'awaiting_departure', // -> outbound -> at_base_b -> returning -> returned
+            trail: [],
+            expiresAt: Date.now() + BASE_LINK_WINDOW_MS // 24 hours
+        };
+        this.baseLinks.set(player.googleId, link);
+        await this._persistBaseLink(link);
 
+        debug(`Base link ${linkId} started: ${baseA_Id} <-> ${baseB_Id}`);
         return linkId;
     }
 
-    async finalizeBaseLink(playerId) {
-        // Find active link for player
-        const linkId = Array.from(this.baseLinks.keys()).find(k => this.baseLinks.get(k).playerId === playerId);
-        if (!linkId) throw new Error("No active base link found.");
+    async _loadBaseLink(googleId) {
+        const res = await this.pool.query('SELECT * FROM base_links WHERE player_id = $1 AND expires_at > NOW()', [googleId]);
+        const row = res.rows[0];
+        if (!row || this.baseLinks.has(googleId)) return;
+        this.baseLinks.set(googleId, {
+            id: row.link_id,
+            playerGoogleId: row.player_id,
+            baseA: row.base_a,
+            baseB: row.base_b,
+            status: row.status,
+            trail: row.trail || [],
+            expiresAt: new Date(row.expires_at).getTime()
+        });
+    }
+
+    async _loadBaseLinkGeometry(link) {
+        const res = await this.pool.query(
+            'SELECT id, ST_AsGeoJSON(area) as geojson FROM territories WHERE id = ANY($1::int[]) AND owner_id = $2',
+            [[link.baseA, link.baseB], link.playerGoogleId]
+        );
+        const byId = Object.fromEntries(res.rows.map(row => [row.id, row.geojson ? JSON.parse(row.geojson) : null]));
+        link.geometry = { a: byId[link.baseA] || null, b: byId[link.baseB] || null };
+    }
+
+    /**
+     * Advances a player's base link from a validated location update: leave A, reach B, and
+     * come back to A. Every point after leaving A is recorded as the corridor trail.
+     */
+    async checkBaseLinkProgress(playerId, location) {
+        const player = this.players[playerId];
+        const link = player && this.baseLinks.get(player.googleId);
+        if (!link || link.status === 'returned') return;
+
+        if (Date.now() > link.expiresAt) {
+            await this._dropBaseLink(link);
+            this.io.to(playerId).emit('baseLinkFailed', { linkId: link.id, message: 'Base link expired. You must return to your first base within 24 hours.' });
+            return;
+        }
+
+        if (!link.geometry) await this._loadBaseLinkGeometry(link);
+        if (!link.geometry.a || !link.geometry.b) {
+            await this._dropBaseLink(link);
+            this.io.to(playerId).emit('baseLinkFailed', { linkId: link.id, message: 'You no longer own both bases.' });
+            return;
+        }
+
+        const point = turf.point([location.lng, location.lat]);
+        const inA = turf.booleanPointInPolygon(point, link.geometry.a);
+        const inB = turf.booleanPointInPolygon(point, link.geometry.b);
+        const previousStatus = link.status;
+
+        if (link.status !== 'awaiting_departure') {
+            const last = link.trail[link.trail.length - 1];
+            if (!last || turf.distance(turf.point([last.lng, last.lat]), point, { units: 'meters' }) >= 5) {
+                link.trail.push({ lat: location.lat, lng: location.lng });
+            }
+        }
+
+        if (link.status === 'awaiting_departure') {
+            if (inA) link.departurePoint = { lat: location.lat, lng: location.lng };
+            else if (link.departurePoint) {
+                link.status = 'outbound';
+                link.trail = [link.departurePoint, { lat: location.lat, lng: location.lng }];
+            }
+        } else if (link.status === 'outbound' && inB) {
+            link.status = 'at_base_b';
+        } else if (link.status === 'at_base_b' && !inB) {
+            link.status = 'returning';
+        } else if (link.status === 'returning' && inA) {
+            link.status = 'returned';
+        }
 
-        const link = this.baseLinks.get(linkId);
+        if (link.status !== previousStatus) {
+            this._persistBaseLink(link);
+            this.io.to(playerId).emit('baseLinkProgress', { linkId: link.id, status: link.status, expiresAt: link.expiresAt });
+            debug(`Base link ${link.id}: ${previousStatus} -> ${link.status}`);
+        }
+    }
+
+    async _dropBaseLink(link) {
+        this.baseLinks.delete(link.playerGoogleId);
+        await this.pool.query('DELETE FROM base_links WHERE link_id = $1', [link.id]);
+    }
 
-        // In a real implementation, we would verify the trail geometry here.
-        // For now, we assume the client enforced the "run back" rule.
+    /**
+     * Merges both bases and a buffered corridor around the recorded trail into base A's row,
+     * moves base B's ads onto it and deletes base B. The corridor never takes ground from other
+     * players and is clipped to the playable area.
+     */
+    async finalizeBaseLink(playerId, geofenceService) {
+        const player = this.players[playerId];
+        const link = player && this.baseLinks.get(player.googleId);
+        if (!link) throw new Error("No active base link found.");
+        if (Date.now() > link.expiresAt) {
+            await this._dropBaseLink(link);
+            throw new Error("Base link expired. You must return to your first base within 24 hours.");
+        }
+        if (link.status !== 'returned') {
+            throw new Error("Run from your first base to your second base and back before linking.");
+        }
+        if (link.trail.length < 2) throw new Error("No corridor was recorded for this link.");
 
+        const client = await this.pool.connect();
         try {
-            await this.pool.query('BEGIN');
-            // Create a permanent link record in DB (assuming a table exists, or just log it)
-            // For this MVP, we'll just log success and maybe merge the areas if they touch?
-            // Or just store the link.
+            await client.query('BEGIN');
 
-            // Let's assume we just want to acknowledge the link for now.
-            debug(`Base link finalized for ${playerId}: ${link.baseA} <-> ${link.baseB}`);
+            const basesRes = await client.query(
+                'SELECT id, owner_id, game_mode, laps_required FROM territories WHERE id = ANY($1::int[]) FOR UPDATE',
+                [[link.baseA, link.baseB]]
+            );
+            if (basesRes.rowCount < 2 || basesRes.rows.some(row => row.owner_id !== player.googleId)) {
+                throw new Error("You no longer own both bases.");
+            }
+            const gameMode = basesRes.rows[0].game_mode;
+            const mergeBefore = await captureTerritories(client, 'id = ANY($1::int[])', [[link.baseA, link.baseB]]);
+
+            const corridorLine = { type: 'LineString', coordinates: link.trail.map(p => [p.lng, p.lat]) };
+            const corridorRes = await client.query(`
+                WITH corridor AS (
+                    SELECT ST_Buffer(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)::geography, $2)::geometry AS geom
+                ),
+                others AS (
+                    SELECT ST_Union(area) AS geom FROM territories
+                    WHERE owner_id <> $3 AND game_mode = $4 AND ST_Intersects(area, (SELECT geom FROM corridor))
+                )
+                SELECT ST_AsGeoJSON(
+                    CASE WHEN others.geom IS NULL THEN corridor.geom
+                         ELSE ST_CollectionExtract(ST_MakeValid(ST_Difference(corridor.geom, others.geom)), 3) END
+                ) AS geojson
+                FROM corridor, others
+            `, [JSON.stringify(corridorLine), BASE_LINK_CORRIDOR_METERS / 2, player.googleId, gameMode]);
+            let corridor = corridorRes.rows[0]?.geojson ? JSON.parse(corridorRes.rows[0].geojson) : null;
+
+            if (corridor && geofenceService) {
+                const clipped = await geofenceService.clipToPlayableArea(client, corridor);
+                corridor = clipped.geometry;
+            }
 
-            await this.pool.query('COMMIT');
+            const mergeRes = await client.query(`
+                WITH merged AS (
+                    SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Union(ARRAY[
+                        (SELECT area FROM territories WHERE id = $1),
+                        (SELECT area FROM territories WHERE id = $2),
+                        COALESCE(ST_SetSRID(ST_GeomFromGeoJSON($3), 4326), ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326))
+                    ])), 3)) AS geom
+                )
+                UPDATE territories t
+                SET area = merged.geom,
+                    area_sqm = ST_Area(merged.geom::geography),
+                    laps_required = GREATEST(t.laps_required, (SELECT laps_required FROM territories WHERE id = $2))
+                FROM merged
+                WHERE t.id = $1
+                RETURNING ST_NumGeometries(merged.geom) AS parts
+            `, [link.baseA, link.baseB, corridor ? JSON.stringify(corridor) : null]);
+
+            if (mergeRes.rows[0].parts > 1) {
+                // Trail didn't connect the bases (e.g. the corridor crossed someone else's land).
+                // Let the player run a new corridor without starting the link over.
+                link.status = 'awaiting_departure';
+                link.trail = [];
+                link.departurePoint = null;
+                this._persistBaseLink(link);
+                throw new Error("Your corridor doesn't connect the two bases. Stay off other players' territory.");
+            }
 
-            this.baseLinks.delete(linkId);
-            this.io.to(playerId).emit('baseLinkFinalized', { linkId });
+            await client.query('UPDATE ads SET territory_id = $1 WHERE territory_id = $2', [link.baseA, link.baseB]);
+            await client.query('DELETE FROM territories WHERE id = $1', [link.baseB]);
+            const mergeAfter = await captureTerritories(client, 'id = $1', [link.baseA]);
+            await recordTerritoryEvents(client, 'merge', mergeBefore, mergeAfter, {
+                actorId: player.googleId,
+                details: { reason: 'base_link', mergedTerritoryId: link.baseB }
+            });
+            await client.query('DELETE FROM base_links WHERE link_id = $1', [link.id]);
+
+            const updatedRes = await client.query(`
+                SELECT
+                    t.id,
+                    t.owner_id as "ownerId",
+                    t.username as "ownerName",
+                    t.profile_image_url as "profileImageUrl",
+                    t.identity_color,
+                    ST_AsGeoJSON(t.area) as geojson,
+                    t.area_sqm as area,
+                    t.laps_required,
+                    t.brand_wrapper,
+                    t.brand_url,
+                    a.background_color as "adBackgroundColor",
+                    a.overlay_url as "adOverlayUrl",
+                    a.ad_content_url as "adContentUrl"
+                FROM territories t
+                LEFT JOIN ads a ON t.id = a.territory_id AND a.payment_status = 'PAID' AND (a.status IS NULL OR a.status != 'DELETED') AND a.start_time <= NOW() AND a.end_time >= NOW()
+                WHERE t.id = $1
+            `, [link.baseA]);
+
+            await client.query('COMMIT');
+
+            this.baseLinks.delete(link.playerGoogleId);
+            const updatedTerritories = updatedRes.rows.map(r => ({ ...r, geojson: r.geojson ? JSON.parse(r.geojson) : null }));
+            updatedTerritories.push({ id: link.baseB, ownerId: player.googleId, area: 0, geojson: null });
+            emitTerritoryUpdate(this.io, gameMode, updatedTerritories);
+            this.io.to(playerId).emit('baseLinkFinalized', {
+                linkId: link.id,
+                territoryId: link.baseA,
+                mergedTerritoryId: link.baseB,
+                area: updatedTerritories[0]?.area
+            });
+            debug(`Base link finalized for ${player.name}: ${link.baseB} merged into ${link.baseA}`);
 
         } catch (err) {
-            await this.pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             throw err;
+        } finally {
+            client.release();
         }
     }
 }
 
+function sessionKey(kind, attackerGoogleId) {
+    return `${kind}:${attackerGoogleId}`;
+}
+
+// Stable across restores: the Postgres copy keeps created_at
+function sessionIdOf(kind, attackerGoogleId, createdAt) {
+    return `${kind}:${attackerGoogleId}:${createdAt}`;
+}
+
+function sessionTtl(state) {
+    return Math.max(0, state.expiresAt - Date.now()) + SESSION_GRACE_MS;
+}
+
 module.exports = ConquestHandler;
@@ -1,6 +1,7 @@
 // /game_logic/interactions/infiltrator_interaction.js
 
 const turf = require('@turf/turf');
+const { emitToPlayer } = require('../player_directory');
 
 
 /**
@@ -51,8 +52,7 @@ async function handleInfiltratorClaim(io, socket, player, players, trail, baseCl
        await client.query(`UPDATE territories SET is_shield_active = false WHERE owner_id = $1`, [victim.owner_id]);
 
 
-       const vSocketId = Object.keys(players).find(id => players[id]?.googleId === victim.owner_id);
-       if (vSocketId) io.to(vSocketId).emit('lastStandActivated', { chargesLeft: 0 });
+       emitToPlayer(io, victim.owner_id, 'lastStandActivated', { chargesLeft: 0 });
 
 
        player.isInfiltratorActive = false;
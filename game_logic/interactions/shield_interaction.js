@@ -3,6 +3,8 @@
 * @description Handles the interaction when an attacker's claim hits a shielded player.
 */
 
+const { emitToPlayer } = require('../player_directory');
+
 
 /**
 * Breaks a victim's shield and calculates the attacker's resulting geometry
@@ -25,11 +27,8 @@ async function handleShieldHit(victim, attackerNetGainGeom, client, io, players)
  
  
     // Notify the victim that their shield was used and broken
-    const victimSocketId = Object.keys(players).find(id => players[id]?.googleId === victim.owner_id);
-    if (victimSocketId) {
-        io.to(victimSocketId).emit('lastStandActivated', { chargesLeft: 0 });
-        console.log(`[SHIELD] Notified ${victim.username} of shield break.`);
-    }
+    emitToPlayer(io, victim.owner_id, 'lastStandActivated', { chargesLeft: 0 });
+    console.log(`[SHIELD] Shield break emitted to ${victim.username}'s user room.`);
  
  
     // Calculate the new geometry for the attacker's claim by subtracting the shielded area
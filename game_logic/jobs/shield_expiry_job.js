@@ -1,5 +1,7 @@
 // game_logic/jobs/shield_expiry_job.js
 
+const { emitToPlayer, updatePlayer } = require('../player_directory');
+
 
 /**
 * Checks for and deactivates shields that have expired (older than 48 hours).
@@ -32,17 +34,11 @@ async function checkExpiredShields(pool, io, players) {
                     [shield.owner_id]
                 );
                
-                // Find the player's socket to notify them
-                const playerSocketId = Object.keys(players).find(id => players[id]?.googleId === shield.owner_id);
-                if (playerSocketId) {
-                    // Update the in-memory state
-                    if (players[playerSocketId]) {
-                        players[playerSocketId].isLastStandActive = false;
-                    }
-                    // Send the notification
-                    io.to(playerSocketId).emit('shieldExpired');
-                    console.log(`[SHIELD EXPIRY] Notified player ${shield.username}.`);
-                }
+                // Update the in-memory state on whichever instance holds the player
+                updatePlayer(io, players, shield.owner_id, { isLastStandActive: false });
+                // Send the notification
+                emitToPlayer(io, shield.owner_id, 'shieldExpired');
+                console.log(`[SHIELD EXPIRY] Expiry emitted to ${shield.username}'s user room.`);
             }
         }
     } catch (err) {
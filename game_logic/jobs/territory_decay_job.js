@@ -0,0 +1,179 @@
+// game_logic/jobs/territory_decay_job.js
+
+const { captureTerritories, recordTerritoryEvents } = require('../territory_events');
+const { emitTerritoryUpdate } = require('../viewport_streaming');
+const { emitToPlayer } = require('../player_directory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-mode decay settings. Override any of them with TERRITORY_DECAY_CONFIG, e.g.
+// {"areaCapture": {"graceDays": 21}, "singleRun": {"enabled": false}}
+const DEFAULT_DECAY_CONFIG = {
+    areaCapture: { enabled: true, graceDays: 14, warningDays: 3, shrinkMetersPerDay: 5, lapsDropPerDay: 1, freeBelowSqm: 500, freeAfterDays: 60 },
+    territoryWar: { enabled: true, graceDays: 7, warningDays: 2, shrinkMetersPerDay: 10, lapsDropPerDay: 1, freeBelowSqm: 500, freeAfterDays: 30 },
+    singleRun: { enabled: true, graceDays: 30, warningDays: 5, shrinkMetersPerDay: 3, lapsDropPerDay: 1, freeBelowSqm: 300, freeAfterDays: 90 }
+};
+
+function loadDecayConfig() {
+    let overrides = {};
+    try {
+        overrides = process.env.TERRITORY_DECAY_CONFIG ? JSON.parse(process.env.TERRITORY_DECAY_CONFIG) : {};
+    } catch (err) {
+        console.error('[TERRITORY DECAY] Ignoring invalid TERRITORY_DECAY_CONFIG:', err.message);
+    }
+    const config = {};
+    for (const mode of new Set([...Object.keys(DEFAULT_DECAY_CONFIG), ...Object.keys(overrides)])) {
+        config[mode] = { ...(DEFAULT_DECAY_CONFIG[mode] || DEFAULT_DECAY_CONFIG.areaCapture), ...(overrides[mode] || {}) };
+    }
+    return config;
+}
+
+const DECAY_CONFIG = loadDecayConfig();
+
+const TERRITORY_COLUMNS = `
+    id, owner_id as "ownerId", username as "ownerName", profile_image_url as "profileImageUrl",
+    identity_color, ST_AsGeoJSON(area) as geojson, area_sqm as area, laps_required, brand_wrapper, brand_url`;
+
+
+/**
+* Warns, shrinks and eventually frees territories whose owners have gone inactive.
+* Activity is the later of the territory's `claimed_at` and the owner's last `daily_logins` entry.
+* Owners are warned once, then decay starts `warningDays` later at most one step per day:
+* `laps_required` drops first, then the area shrinks with a negative buffer until it is freed.
+* Territories with an active paid ad are left alone.
+* @param {object} pool - The PostgreSQL connection pool.
+* @param {object} io - The Socket.IO server instance.
+*/
+async function checkTerritoryDecay(pool, io) {
+    const client = await pool.connect();
+    try {
+        for (const [gameMode, config] of Object.entries(DECAY_CONFIG)) {
+            if (!config.enabled) continue;
+
+            const candidates = await client.query(`
+                WITH activity AS (
+                    SELECT user_id, MAX(login_date)::timestamptz AS last_login FROM daily_logins GROUP BY user_id
+                )
+                SELECT t.id, t.owner_id, t.username, t.laps_required, t.decay_warned_at, t.last_decayed_at,
+                       GREATEST(COALESCE(t.claimed_at, t.created_at), COALESCE(a.last_login, 'epoch'::timestamptz)) AS last_active
+                FROM territories t
+                LEFT JOIN activity a ON a.user_id = t.owner_id
+                WHERE t.game_mode = $1
+                  AND t.area IS NOT NULL AND NOT ST_IsEmpty(t.area)
+                  AND GREATEST(COALESCE(t.claimed_at, t.created_at), COALESCE(a.last_login, 'epoch'::timestamptz))
+                      < NOW() - $2::float8 * INTERVAL '1 day'
+                  AND NOT EXISTS (
+                      SELECT 1 FROM ads ad
+                      WHERE ad.territory_id = t.id AND ad.payment_status = 'PAID'
+                        AND (ad.status IS NULL OR ad.status != 'DELETED') AND ad.end_time >= NOW()
+                  )
+            `, [gameMode, Math.max(0, config.graceDays - config.warningDays)]);
+
+            if (candidates.rowCount === 0) continue;
+            console.log(`[TERRITORY DECAY] ${candidates.rowCount} inactive territory row(s) in [${gameMode}].`);
+
+            const changedIds = [];
+            for (const row of candidates.rows) {
+                const now = Date.now();
+                const lastActive = new Date(row.last_active).getTime();
+                const inactiveDays = (now - lastActive) / DAY_MS;
+                const warnedAt = row.decay_warned_at ? new Date(row.decay_warned_at).getTime() : null;
+                const warned = warnedAt !== null && warnedAt > lastActive;
+                const decayStartsAt = Math.max(lastActive + config.graceDays * DAY_MS, (warnedAt || now) + config.warningDays * DAY_MS);
+
+                if (!warned) {
+                    await client.query('UPDATE territories SET decay_warned_at = NOW() WHERE id = $1', [row.id]);
+                    emitToPlayer(io, row.owner_id, 'territoryDecayWarning', {
+                        territoryId: row.id,
+                        gameMode,
+                        decayStartsAt: Math.max(lastActive + config.graceDays * DAY_MS, now + config.warningDays * DAY_MS),
+                        message: `Your ${gameMode} territory will start to decay in ${config.warningDays} day(s). Open the app or run to keep it.`
+                    });
+                    console.log(`[TERRITORY DECAY] Warned ${row.username} (${row.owner_id}) about territory ${row.id}.`);
+                    continue;
+                }
+
+                if (now < decayStartsAt) continue;
+
+                if (inactiveDays >= config.freeAfterDays) {
+                    await freeTerritory(client, row.id);
+                    changedIds.push(row.id);
+                    emitToPlayer(io, row.owner_id, 'territoryDecayed', { territoryId: row.id, gameMode, freed: true });
+                    console.log(`[TERRITORY DECAY] Freed territory ${row.id} of ${row.username} after ${Math.floor(inactiveDays)} inactive days.`);
+                    continue;
+                }
+
+                const lastDecayedAt = row.last_decayed_at ? new Date(row.last_decayed_at).getTime() : 0;
+                if (now - lastDecayedAt < DAY_MS) continue;
+
+                if (row.laps_required > 1 && config.lapsDropPerDay > 0) {
+                    const lapsBefore = await captureTerritories(client, 'id = $1', [row.id]);
+                    await client.query(
+                        'UPDATE territories SET laps_required = GREATEST(1, laps_required - $2), last_decayed_at = NOW() WHERE id = $1',
+                        [row.id, config.lapsDropPerDay]
+                    );
+                    await recordTerritoryEvents(client, 'decay', lapsBefore, await captureTerritories(client, 'id = $1', [row.id]), {
+                        details: { lapsDrop: config.lapsDropPerDay, inactiveDays: Math.floor(inactiveDays) }
+                    });
+                    changedIds.push(row.id);
+                    emitToPlayer(io, row.owner_id, 'territoryDecayed', { territoryId: row.id, gameMode, lapsRequired: Math.max(1, row.laps_required - config.lapsDropPerDay) });
+                    continue;
+                }
+
+                if (config.shrinkMetersPerDay > 0) {
+                    const shrinkBefore = await captureTerritories(client, 'id = $1', [row.id]);
+                    const shrunk = await client.query(`
+                        UPDATE territories
+                        SET area = ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_Buffer(area::geography, -($2::float8))::geometry), 3)),
+                            last_decayed_at = NOW()
+                        WHERE id = $1
+                        RETURNING ST_IsEmpty(area) AS is_empty, ST_Area(area::geography) AS area_sqm
+                    `, [row.id, config.shrinkMetersPerDay]);
+                    const { is_empty: isEmpty, area_sqm: areaSqm } = shrunk.rows[0];
+
+                    if (isEmpty || areaSqm < config.freeBelowSqm) {
+                        await freeTerritory(client, row.id, shrinkBefore);
+                        emitToPlayer(io, row.owner_id, 'territoryDecayed', { territoryId: row.id, gameMode, freed: true });
+                        console.log(`[TERRITORY DECAY] Territory ${row.id} of ${row.username} shrank below ${config.freeBelowSqm} sqm and was freed.`);
+                    } else {
+                        await client.query('UPDATE territories SET area_sqm = $2 WHERE id = $1', [row.id, areaSqm]);
+                        await recordTerritoryEvents(client, 'decay', shrinkBefore, await captureTerritories(client, 'id = $1', [row.id]), {
+                            details: { shrinkMeters: config.shrinkMetersPerDay, inactiveDays: Math.floor(inactiveDays) }
+                        });
+                        emitToPlayer(io, row.owner_id, 'territoryDecayed', { territoryId: row.id, gameMode, area: areaSqm });
+                    }
+                    changedIds.push(row.id);
+                }
+            }
+
+            if (changedIds.length > 0) {
+                const updated = await client.query(`SELECT ${TERRITORY_COLUMNS} FROM territories WHERE id = ANY($1::int[])`, [changedIds]);
+                emitTerritoryUpdate(io, gameMode, updated.rows.map(r => ({ ...r, geojson: r.geojson ? JSON.parse(r.geojson) : null })));
+            }
+        }
+    } catch (err) {
+        console.error('[TERRITORY DECAY] Error during territory decay check:', err);
+    } finally {
+        client.release();
+    }
+}
+
+
+// Rows double as player profiles, so a freed territory is emptied rather than deleted.
+// `before` is passed when the row already shrank this run, so the event spans the whole step.
+async function freeTerritory(client, territoryId, before = null) {
+    const freeBefore = before || await captureTerritories(client, 'id = $1', [territoryId]);
+    await client.query(
+        `UPDATE territories
+         SET area = ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326), area_sqm = 0, laps_required = 1,
+             decay_warned_at = NULL, last_decayed_at = NULL
+         WHERE id = $1`,
+        [territoryId]
+    );
+    await recordTerritoryEvents(client, 'decay', freeBefore, await captureTerritories(client, 'id = $1', [territoryId]), {
+        details: { freed: true }
+    });
+}
+
+
+module.exports = { checkTerritoryDecay, DECAY_CONFIG };
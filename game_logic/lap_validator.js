@@ -0,0 +1,119 @@
+// game_logic/lap_validator.js
+
+const turf = require('@turf/turf');
+const debug = require('debug')('server:game:lap');
+const { MOVEMENT_LIMITS } = require('./movement_validator');
+
+const LAP_RULES = {
+    minCoverage: parseFloat(process.env.CONQUEST_LAP_MIN_COVERAGE) || 0.8, // share of the territory the loop must enclose
+    closeDistanceMeters: parseFloat(process.env.CONQUEST_LAP_CLOSE_DISTANCE_METERS) || 50,
+    minPoints: 4
+};
+
+/**
+ * Checks a conquest lap against the territory it is meant to encircle. Rules run cheapest
+ * first and the first failure is reported as `rule`, so the client can say exactly why.
+ * @param {Array<{lat: number, lng: number, timestamp?: number}>} lapPath - The client's lap.
+ * @param {object} context
+ * @param {{lat: number, lng: number}} context.center - Arena center.
+ * @param {number} context.radius - Arena radius in meters.
+ * @param {string} [context.activityType='running'] - Selects the speed limit.
+ * @param {number} context.elapsedMs - Server-observed time since the previous lap (or conquest
+ *   start). A lap cannot have taken longer than this, and untimed laps are held to the speed
+ *   limit over it.
+ * @param {function(object): Promise<number>} context.measureCoverage - Resolves the share (0..1)
+ *   of the territory enclosed by the given GeoJSON polygon.
+ * @returns {Promise<{valid: boolean, rule?: string, message?: string, details: object}>}
+ */
+async function validateLap(lapPath, context) {
+    const points = Array.isArray(lapPath)
+        ? lapPath.filter(p => typeof p?.lat === 'number' && typeof p?.lng === 'number')
+        : [];
+    if (points.length < LAP_RULES.minPoints) {
+        return fail('too_few_points', 'Lap has too few GPS points.', { points: points.length });
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const gapMeters = turf.distance(turf.point([first.lng, first.lat]), turf.point([last.lng, last.lat]), { units: 'meters' });
+    if (gapMeters > LAP_RULES.closeDistanceMeters) {
+        return fail('not_closed', 'Lap must finish where it started.', { gapMeters: Math.round(gapMeters) });
+    }
+
+    const arenaCenter = turf.point([context.center.lng, context.center.lat]);
+    let maxDistance = 0;
+    for (const p of points) {
+        const distance = turf.distance(arenaCenter, turf.point([p.lng, p.lat]), { units: 'meters' });
+        if (distance > maxDistance) maxDistance = distance;
+    }
+    if (maxDistance > context.radius) {
+        return fail('outside_arena', 'Lap left the conquest arena.', {
+            maxDistanceMeters: Math.round(maxDistance),
+            arenaRadiusMeters: Math.round(context.radius)
+        });
+    }
+
+    const lengthMeters = turf.length(turf.lineString(points.map(p => [p.lng, p.lat])), { units: 'meters' });
+    const maxSpeedKmh = MOVEMENT_LIMITS.maxSpeedKmh[context.activityType] || MOVEMENT_LIMITS.maxSpeedKmh.running;
+    const timed = points.every(p => typeof p.timestamp === 'number');
+
+    if (timed) {
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].timestamp <= points[i - 1].timestamp) {
+                return fail('invalid_timestamps', 'Lap timestamps are out of order.', { index: i });
+            }
+        }
+        const durationMs = last.timestamp - first.timestamp;
+        if (durationMs > context.elapsedMs + MOVEMENT_LIMITS.maxClockSkewMs) {
+            return fail('invalid_timestamps', 'Lap took longer than the time since your last lap.', {
+                durationMs,
+                availableMs: context.elapsedMs
+            });
+        }
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const segmentMeters = turf.distance(turf.point([a.lng, a.lat]), turf.point([b.lng, b.lat]), { units: 'meters' });
+            const speedKmh = (segmentMeters / 1000) / ((b.timestamp - a.timestamp) / 3600000);
+            if (segmentMeters > MOVEMENT_LIMITS.maxAccuracyMeters && speedKmh > maxSpeedKmh) {
+                return fail('too_fast', 'Part of this lap was faster than possible on foot or bike.', {
+                    index: i,
+                    speedKmh: Math.round(speedKmh),
+                    limitKmh: maxSpeedKmh
+                });
+            }
+        }
+    }
+
+    const durationMs = timed ? last.timestamp - first.timestamp : context.elapsedMs;
+    const averageSpeedKmh = durationMs > 0 ? (lengthMeters / 1000) / (durationMs / 3600000) : Infinity;
+    if (averageSpeedKmh > maxSpeedKmh) {
+        return fail('too_fast', 'This lap was completed faster than possible.', {
+            lengthMeters: Math.round(lengthMeters),
+            durationMs,
+            speedKmh: Number.isFinite(averageSpeedKmh) ? Math.round(averageSpeedKmh) : null,
+            limitKmh: maxSpeedKmh
+        });
+    }
+
+    const ring = points.map(p => [p.lng, p.lat]);
+    ring.push([first.lng, first.lat]);
+    const coverage = await context.measureCoverage({ type: 'Polygon', coordinates: [ring] });
+    if (!(coverage >= LAP_RULES.minCoverage)) {
+        return fail('insufficient_coverage', `Lap must enclose at least ${Math.round(LAP_RULES.minCoverage * 100)}% of the territory.`, {
+            coverage: Math.round((coverage || 0) * 100) / 100,
+            requiredCoverage: LAP_RULES.minCoverage
+        });
+    }
+
+    const details = { coverage: Math.round(coverage * 100) / 100, lengthMeters: Math.round(lengthMeters), durationMs };
+    debug('Lap accepted: %O', details);
+    return { valid: true, details };
+}
+
+function fail(rule, message, details) {
+    debug(`Lap rejected (${rule}): %O`, details);
+    return { valid: false, rule, message, details };
+}
+
+module.exports = { validateLap, LAP_RULES };
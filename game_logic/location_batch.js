@@ -0,0 +1,145 @@
+// game_logic/location_batch.js
+
+const debug = require('debug')('server:game:movement');
+const { MovementValidator, MOVEMENT_LIMITS } = require('./movement_validator');
+
+const BATCH_LIMITS = {
+    maxPoints: parseInt(process.env.LOCATION_BATCH_MAX_POINTS, 10) || 2000,
+    maxAgeMs: (parseInt(process.env.LOCATION_BATCH_MAX_AGE_MINUTES, 10) || 30) * 60 * 1000
+};
+
+function batchError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BATCH';
+    return error;
+}
+
+const timeOf = (point) => (typeof point?.timestamp === 'number' ? point.timestamp : null);
+
+/**
+ * Works out where points a client buffered while offline belong in the player's active trail.
+ * Each point needs the timestamp it was recorded at. Points are placed between the trail points
+ * recorded before and after them and must be reachable from both at the player's activity speed;
+ * anything else is rejected individually. The trail points already received stay authoritative.
+ * Speed violations are added to the player's MovementValidator count, so `terminate` covers
+ * live updates and earlier batches too.
+ * @param {object} player - The in-memory player the points belong to.
+ * @param {Array<{lat: number, lng: number, timestamp: number, accuracy?: number}>} points
+ * @param {number} [receivedAt=Date.now()]
+ * @returns {{trail: Array, added: Array, rejected: Array<{index: number, reason: string}>,
+ *   segments: Array<{from: object, to: object, at: number}>, violations: Array<object>, terminate: boolean}}
+ *   `trail` is a new array holding the `added` points; `segments` are the trail segments that did
+ *   not exist before, with the time the player was on them.
+ */
+function planLocationBatch(player, points, receivedAt = Date.now()) {
+    if (!Array.isArray(points) || points.length === 0) {
+        throw batchError('points must be a non-empty array.');
+    }
+    if (points.length > BATCH_LIMITS.maxPoints) {
+        throw batchError(`A batch can hold at most ${BATCH_LIMITS.maxPoints} points.`);
+    }
+    if (!player.isDrawing) {
+        throw batchError('There is no run in progress to add points to.');
+    }
+
+    const trail = player.activeTrail || [];
+    const runStartedAt = timeOf(trail[0]);
+    const knownTimes = new Set(trail.map(timeOf).filter(t => t !== null));
+    const rejected = [];
+    const candidates = [];
+    let lastTime = -Infinity;
+
+    points.forEach((point, index) => {
+        const time = timeOf(point);
+        let reason = null;
+        if (typeof point?.lat !== 'number' || typeof point?.lng !== 'number') reason = 'invalid_point';
+        else if (time === null) reason = 'missing_timestamp';
+        else if (time > receivedAt + MOVEMENT_LIMITS.maxClockSkewMs) reason = 'future_timestamp';
+        else if (time < receivedAt - BATCH_LIMITS.maxAgeMs) reason = 'too_old';
+        else if (runStartedAt !== null && time < runStartedAt) reason = 'before_run_start';
+        else if (knownTimes.has(time)) reason = 'duplicate';
+        else if (time <= lastTime) reason = 'out_of_order';
+
+        if (reason) {
+            rejected.push({ index, reason });
+            return;
+        }
+        lastTime = time;
+        candidates.push({ index, point });
+    });
+
+    // Merge by time; trail points without a timestamp keep their place
+    const merged = [];
+    let next = 0;
+    for (const point of trail) {
+        const time = timeOf(point);
+        while (time !== null && next < candidates.length && timeOf(candidates[next].point) < time) {
+            merged.push(candidates[next++]);
+        }
+        merged.push({ index: null, point });
+    }
+    while (next < candidates.length) merged.push(candidates[next++]);
+
+    // The next trail point after each position, which a new point has to lead on to
+    const followingTrailPoint = new Array(merged.length);
+    for (let i = merged.length - 1, following = null; i >= 0; i--) {
+        followingTrailPoint[i] = following;
+        if (merged[i].index === null) following = merged[i].point;
+    }
+
+    const violations = [];
+    const kept = [];
+    const isNew = new Set();
+    merged.forEach((entry, position) => {
+        if (entry.index === null) {
+            kept.push(entry.point);
+            return;
+        }
+        const previous = kept[kept.length - 1];
+        const following = followingTrailPoint[position];
+        const check = checkStep(player, previous, entry.point, receivedAt);
+        if (!check.accepted) {
+            if (check.violation) violations.push(check.violation);
+            rejected.push({ index: entry.index, reason: check.violation?.type || check.reason });
+            return;
+        }
+        if (following && !checkStep(player, entry.point, following, receivedAt).accepted) {
+            rejected.push({ index: entry.index, reason: 'does_not_fit' });
+            return;
+        }
+        kept.push(entry.point);
+        isNew.add(entry.point);
+    });
+
+    const segments = [];
+    for (let i = 1; i < kept.length; i++) {
+        if (isNew.has(kept[i - 1]) || isNew.has(kept[i])) {
+            segments.push({ from: kept[i - 1], to: kept[i], at: timeOf(kept[i]) ?? timeOf(kept[i - 1]) });
+        }
+    }
+
+    rejected.sort((a, b) => a.index - b.index);
+    const terminate = violations.length > 0 && player.movementValidator.addViolations(violations.length, receivedAt);
+    debug(`Planned batch for ${player.name}: ${isNew.size} of ${points.length} point(s) accepted.`);
+    return {
+        trail: kept,
+        added: [...isNew],
+        rejected,
+        segments,
+        violations,
+        terminate
+    };
+}
+
+// Speed check between two recorded points; steps touching an untimed point cannot be judged.
+function checkStep(player, from, to, receivedAt) {
+    if (!from || timeOf(from) === null || timeOf(to) === null) {
+        return new MovementValidator().validate({ lat: to.lat, lng: to.lng, accuracy: to.accuracy }, receivedAt);
+    }
+    const validator = new MovementValidator(player.movementValidator?.activityType);
+    validator.validate({ lat: from.lat, lng: from.lng, timestamp: timeOf(from) }, receivedAt);
+    return validator.validate(to, receivedAt);
+}
+
+
+module.exports = { planLocationBatch, BATCH_LIMITS };
@@ -0,0 +1,146 @@
+// game_logic/metrics.js
+
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for this instance, served by `/metrics`. Counters are per process, so
+ * totals across instances are summed in Prometheus; rates (e.g. location updates per second)
+ * come from `rate()` over the `_total` counters.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'claimr_' });
+
+let playersSource = null; // the global players object, see watchPlayers
+let poolSource = null; // the pg Pool, see instrumentPool
+
+const metrics = {
+    onlinePlayers: new client.Gauge({
+        name: 'claimr_online_players',
+        help: 'Players connected to this instance, by game mode.',
+        labelNames: ['game_mode'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            for (const player of Object.values(playersSource || {})) {
+                if (player.gameMode) this.inc({ game_mode: player.gameMode });
+            }
+        }
+    }),
+    locationUpdates: new client.Counter({
+        name: 'claimr_location_updates_total',
+        help: 'Location updates received over sockets, by whether the movement check accepted them.',
+        labelNames: ['result'],
+        registers: [registry]
+    }),
+    claimAttempts: new client.Counter({
+        name: 'claimr_claim_attempts_total',
+        help: 'Territory claims submitted, by game mode.',
+        labelNames: ['game_mode'],
+        registers: [registry]
+    }),
+    claimRejections: new client.Counter({
+        name: 'claimr_claim_rejections_total',
+        help: 'Territory claims that did not go through, by game mode and reason code.',
+        labelNames: ['game_mode', 'reason'],
+        registers: [registry]
+    }),
+    trailCuts: new client.Counter({
+        name: 'claimr_trail_cuts_total',
+        help: 'Trail crossings that ended a run: `cut` for the victim, `deflected` when Trail Defense turned it on the attacker.',
+        labelNames: ['game_mode', 'result'],
+        registers: [registry]
+    }),
+    conquestLaps: new client.Counter({
+        name: 'claimr_conquest_laps_total',
+        help: 'Conquest laps submitted, by whether they counted.',
+        labelNames: ['result'],
+        registers: [registry]
+    }),
+    conquestOutcomes: new client.Counter({
+        name: 'claimr_conquest_outcomes_total',
+        help: 'Conquests that ended, by outcome.',
+        labelNames: ['outcome'],
+        registers: [registry]
+    }),
+    dbQueryDuration: new client.Histogram({
+        name: 'claimr_db_query_duration_seconds',
+        help: 'PostgreSQL query latency, by statement type.',
+        labelNames: ['operation', 'status'],
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+        registers: [registry]
+    }),
+    dbPoolClients: new client.Gauge({
+        name: 'claimr_db_pool_clients',
+        help: 'PostgreSQL pool clients: `total` open, `idle`, and `waiting` requests queued for a client.',
+        labelNames: ['state'],
+        registers: [registry],
+        collect() {
+            if (!poolSource) return;
+            this.set({ state: 'total' }, poolSource.totalCount);
+            this.set({ state: 'idle' }, poolSource.idleCount);
+            this.set({ state: 'waiting' }, poolSource.waitingCount);
+        }
+    }),
+    dbPoolMax: new client.Gauge({
+        name: 'claimr_db_pool_max_clients',
+        help: 'Size limit of the PostgreSQL pool; saturation is total / max.',
+        registers: [registry],
+        collect() {
+            if (poolSource) this.set(poolSource.options.max);
+        }
+    }),
+    payments: new client.Counter({
+        name: 'claimr_payments_total',
+        help: 'Razorpay payment verifications, by purchase type and result.',
+        labelNames: ['type', 'result'],
+        registers: [registry]
+    }),
+    adEvents: new client.Counter({
+        name: 'claimr_ad_events_total',
+        help: 'Ad lifecycle events: `rented` when a brand pays, `expired` per owner whose ads ran out, `merged` when their territories were merged back.',
+        labelNames: ['event'],
+        registers: [registry]
+    })
+};
+
+/** Points the online player gauge at the global players object. */
+function watchPlayers(players) {
+    playersSource = players;
+}
+
+/**
+ * Times every query run through the pool, including those on checked-out clients, and
+ * reports pool usage. Call once, before the pool hands out its first client.
+ */
+function instrumentPool(pool) {
+    poolSource = pool;
+    pool.on('connect', (pgClient) => {
+        const query = pgClient.query;
+        pgClient.query = function (...args) {
+            const end = metrics.dbQueryDuration.startTimer({ operation: operationOf(args[0]) });
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            if (callback) {
+                // pool.query hands its own callback to the client
+                return query.call(this, ...args, (err, res) => {
+                    end({ status: err ? 'error' : 'ok' });
+                    callback(err, res);
+                });
+            }
+            const result = query.apply(this, args);
+            if (result && typeof result.then === 'function') {
+                result.then(() => end({ status: 'ok' }), () => end({ status: 'error' }));
+            }
+            return result;
+        };
+    });
+}
+
+// First keyword of the statement, so labels stay few (SELECT, INSERT, BEGIN, ...)
+function operationOf(statement) {
+    const text = typeof statement === 'string' ? statement : statement?.text;
+    const match = typeof text === 'string' ? text.match(/^\s*(\w+)/) : null;
+    return match ? match[1].toUpperCase() : 'OTHER';
+}
+
+
+module.exports = { metrics, registry, watchPlayers, instrumentPool };
@@ -0,0 +1,161 @@
+// game_logic/movement_validator.js
+
+const turf = require('@turf/turf');
+const debug = require('debug')('server:game:movement');
+
+const MOVEMENT_LIMITS = {
+    maxSpeedKmh: {
+        running: parseFloat(process.env.MAX_RUNNING_SPEED_KMH) || 25,
+        cycling: parseFloat(process.env.MAX_CYCLING_SPEED_KMH) || 60
+    },
+    maxAccuracyMeters: parseFloat(process.env.MAX_GPS_ACCURACY_METERS) || 50,
+    teleportDistanceMeters: parseFloat(process.env.TELEPORT_DISTANCE_METERS) || 500,
+    maxClockSkewMs: 10 * 1000,
+    violationLimit: parseInt(process.env.MOVEMENT_VIOLATION_LIMIT, 10) || 3,
+    violationWindowMs: 2 * 60 * 1000
+};
+
+/**
+ * Tracks one player's accepted GPS fixes and rejects points that could not have been
+ * reached on foot or by bike since the previous fix.
+ */
+class MovementValidator {
+    /**
+     * @param {string} [activityType='running'] Either 'running' or 'cycling'.
+     */
+    constructor(activityType = 'running') {
+        this.activityType = MOVEMENT_LIMITS.maxSpeedKmh[activityType] ? activityType : 'running';
+        this.lastPoint = null;
+        this.violations = []; // timestamps of recent speed/teleport violations
+    }
+
+    get maxSpeedKmh() {
+        return MOVEMENT_LIMITS.maxSpeedKmh[this.activityType];
+    }
+
+    /**
+     * Forgets the previous fix and violation history, e.g. when a new run starts.
+     */
+    reset() {
+        this.lastPoint = null;
+        this.violations = [];
+    }
+
+    /**
+     * Validates a location update against the last accepted point.
+     * @param {{lat: number, lng: number, timestamp?: number, accuracy?: number}} point
+     * @param {number} [receivedAt=Date.now()] Server receive time, used when the client sends no timestamp.
+     * @returns {{accepted: boolean, violation: object|null, terminate: boolean}}
+     *   `violation` is set for speed/teleport breaches that should be recorded; `terminate` is set
+     *   once the player has exceeded the violation limit inside the window.
+     */
+    validate(point, receivedAt = Date.now()) {
+        if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') {
+            return this._drop('invalid_point');
+        }
+
+        if (typeof point.accuracy === 'number' && point.accuracy > MOVEMENT_LIMITS.maxAccuracyMeters) {
+            return this._drop('poor_accuracy');
+        }
+
+        const timestamp = typeof point.timestamp === 'number' ? point.timestamp : receivedAt;
+        if (timestamp > receivedAt + MOVEMENT_LIMITS.maxClockSkewMs) {
+            return this._drop('future_timestamp');
+        }
+
+        if (!this.lastPoint) {
+            this.lastPoint = { lat: point.lat, lng: point.lng, timestamp };
+            return { accepted: true, violation: null, terminate: false };
+        }
+
+        const elapsedMs = timestamp - this.lastPoint.timestamp;
+        if (elapsedMs <= 0) {
+            return this._drop('out_of_order');
+        }
+
+        const distanceMeters = turf.distance(
+            turf.point([this.lastPoint.lng, this.lastPoint.lat]),
+            turf.point([point.lng, point.lat]),
+            { units: 'meters' }
+        );
+        const speedKmh = (distanceMeters / 1000) / (elapsedMs / 3600000);
+
+        let violationType = null;
+        if (distanceMeters > MOVEMENT_LIMITS.teleportDistanceMeters && speedKmh > this.maxSpeedKmh) {
+            violationType = 'teleport';
+        } else if (speedKmh > this.maxSpeedKmh) {
+            violationType = 'speed';
+        }
+
+        if (!violationType) {
+            this.lastPoint = { lat: point.lat, lng: point.lng, timestamp };
+            return { accepted: true, violation: null, terminate: false };
+        }
+
+        this.violations = this.violations.filter(t => receivedAt - t < MOVEMENT_LIMITS.violationWindowMs);
+        this.violations.push(receivedAt);
+
+        const violation = {
+            type: violationType,
+            point: { lat: point.lat, lng: point.lng },
+            previousPoint: { lat: this.lastPoint.lat, lng: this.lastPoint.lng },
+            distanceMeters,
+            elapsedSeconds: elapsedMs / 1000,
+            speedKmh,
+            accuracy: typeof point.accuracy === 'number' ? point.accuracy : null
+        };
+        debug(`Rejected ${violationType} point: ${distanceMeters.toFixed(1)}m in ${(elapsedMs / 1000).toFixed(1)}s (${speedKmh.toFixed(1)} km/h, limit ${this.maxSpeedKmh}).`);
+
+        return {
+            accepted: false,
+            violation,
+            terminate: this.violations.length >= MOVEMENT_LIMITS.violationLimit
+        };
+    }
+
+    /**
+     * Adds violations found outside the live stream, e.g. in an offline batch, to the running
+     * count, so they add up with live ones inside the same window.
+     * @param {number} count
+     * @param {number} [receivedAt=Date.now()]
+     * @returns {boolean} Whether the player has now exceeded the violation limit.
+     */
+    addViolations(count, receivedAt = Date.now()) {
+        this.violations = this.violations.filter(t => receivedAt - t < MOVEMENT_LIMITS.violationWindowMs);
+        for (let i = 0; i < count; i++) this.violations.push(receivedAt);
+        return this.violations.length >= MOVEMENT_LIMITS.violationLimit;
+    }
+
+    _drop(reason) {
+        debug(`Dropped point: ${reason}`);
+        return { accepted: false, reason, violation: null, terminate: false };
+    }
+}
+
+/**
+ * Persists a movement violation so admins can review it.
+ * @param {object} pool - The PostgreSQL connection pool.
+ * @param {object} player - The in-memory player the violation belongs to.
+ * @param {object} violation - The violation returned by MovementValidator#validate.
+ * @param {boolean} terminated - Whether this violation ended the player's run.
+ */
+async function recordMovementViolation(pool, player, violation, terminated) {
+    try {
+        await pool.query(
+            `INSERT INTO movement_violations
+                (user_id, game_mode, violation_type, location, previous_location, distance_m, elapsed_s, speed_kmh, accuracy_m, run_terminated)
+             VALUES ($1, $2, $3, ST_SetSRID(ST_MakePoint($4, $5), 4326), ST_SetSRID(ST_MakePoint($6, $7), 4326), $8, $9, $10, $11, $12)`,
+            [
+                player.googleId, player.gameMode, violation.type,
+                violation.point.lng, violation.point.lat,
+                violation.previousPoint.lng, violation.previousPoint.lat,
+                violation.distanceMeters, violation.elapsedSeconds, violation.speedKmh, violation.accuracy,
+                terminated
+            ]
+        );
+    } catch (err) {
+        console.error(`[MOVEMENT] Failed to record violation for ${player.googleId}:`, err);
+    }
+}
+
+module.exports = { MovementValidator, recordMovementViolation, MOVEMENT_LIMITS };
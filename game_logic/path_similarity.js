@@ -0,0 +1,322 @@
+// game_logic/path_similarity.js
+
+const debug = require('debug')('server:game:similarity');
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+const SIMILARITY_DEFAULTS = {
+    method: process.env.CONQUEST_SIMILARITY_METHOD || 'dtw',
+    spacingMeters: 10, // resample spacing before comparing
+    simplifyToleranceMeters: 2, // Douglas-Peucker tolerance that strips GPS jitter
+    maxPoints: 500, // spacing grows for long laps so the DP tables stay small
+    segmentMeters: 50, // length of each reported deviation segment
+    offRouteMeters: parseFloat(process.env.CONQUEST_OFF_ROUTE_METERS) || 30,
+    // Distance at which similarity drops to 0, per method. DTW is normalised per step, so it
+    // sits on the same scale as the old average-minimum-distance score; Fréchet is a max.
+    zeroScoreMeters: { average: 50, dtw: 50, frechet: 120 }
+};
+
+/**
+ * Projects lat/lng onto a local flat plane in meters. Accurate enough for lap-sized areas and
+ * far cheaper than haversine inside the O(n·m) dynamic programs.
+ */
+function createProjection(origin) {
+    const cosLat = Math.cos(origin.lat * Math.PI / 180);
+    const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+    return {
+        toXY: p => ({ x: (p.lng - origin.lng) * metersPerDegree * cosLat, y: (p.lat - origin.lat) * metersPerDegree }),
+        toLatLng: p => ({ lat: origin.lat + p.y / metersPerDegree, lng: origin.lng + p.x / (metersPerDegree * cosLat) })
+    };
+}
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function pointToSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return dist(p, a);
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Douglas-Peucker simplification on projected points (iterative, so long laps can't blow the stack).
+ */
+function simplify(points, tolerance) {
+    if (points.length <= 2) return points.slice();
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const d = pointToSegmentDistance(points[i], points[start], points[end]);
+            if (d > maxDistance) {
+                maxDistance = d;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([start, index], [index, end]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Resamples a polyline to evenly spaced points so sampling rate and speed don't affect the score.
+ */
+function resample(points, spacing) {
+    if (points.length < 2) return points.slice();
+    const result = [points[0]];
+    let carried = 0;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const segment = dist(a, b);
+        let offset = spacing - carried;
+        while (offset <= segment) {
+            const t = offset / segment;
+            result.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+            offset += spacing;
+        }
+        carried = segment - (offset - spacing);
+    }
+    const last = points[points.length - 1];
+    if (dist(result[result.length - 1], last) > spacing / 2) result.push(last);
+    return result;
+}
+
+function pathLength(points) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) total += dist(points[i - 1], points[i]);
+    return total;
+}
+
+/**
+ * Uniform grid over projected points for nearest-neighbour lookups in roughly O(1).
+ */
+class GridIndex {
+    constructor(points, cellSize) {
+        this.points = points;
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        points.forEach((p, i) => {
+            const cx = Math.floor(p.x / cellSize);
+            const cy = Math.floor(p.y / cellSize);
+            const key = this._key(cx, cy);
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(i);
+            this.bounds.minX = Math.min(this.bounds.minX, cx);
+            this.bounds.maxX = Math.max(this.bounds.maxX, cx);
+            this.bounds.minY = Math.min(this.bounds.minY, cy);
+            this.bounds.maxY = Math.max(this.bounds.maxY, cy);
+        });
+    }
+
+    _key(cx, cy) {
+        return `${cx}:${cy}`;
+    }
+
+    /**
+     * @returns {{index: number, distance: number}} The closest indexed point.
+     */
+    nearest(p) {
+        const cx = Math.floor(p.x / this.cellSize);
+        const cy = Math.floor(p.y / this.cellSize);
+        let best = { index: -1, distance: Infinity };
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const lastRing = Math.max(Math.abs(cx - minX), Math.abs(cx - maxX), Math.abs(cy - minY), Math.abs(cy - maxY));
+        // Search rings of cells outward until no unsearched cell can hold a closer point.
+        for (let ring = 0; ring <= lastRing; ring++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                for (let dy = -ring; dy <= ring; dy++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+                    const bucket = this.cells.get(this._key(cx + dx, cy + dy));
+                    if (!bucket) continue;
+                    for (const i of bucket) {
+                        const d = dist(p, this.points[i]);
+                        if (d < best.distance) best = { index: i, distance: d };
+                    }
+                }
+            }
+            if (best.distance <= ring * this.cellSize) return best;
+        }
+        return best;
+    }
+}
+
+function averageMinDistance(source, index) {
+    let total = 0;
+    for (const p of source) total += index.nearest(p).distance;
+    return total / source.length;
+}
+
+/**
+ * Discrete Fréchet distance with a rolling row, O(n·m) time and O(m) memory.
+ */
+function discreteFrechet(a, b) {
+    let previous = new Float64Array(b.length);
+    let current = new Float64Array(b.length);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            const d = dist(a[i], b[j]);
+            if (i === 0 && j === 0) current[j] = d;
+            else if (i === 0) current[j] = Math.max(current[j - 1], d);
+            else if (j === 0) current[j] = Math.max(previous[0], d);
+            else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length - 1];
+}
+
+/**
+ * Dynamic time warping, normalised by warping-path length so the result reads as an average
+ * per-point deviation in meters.
+ */
+function dynamicTimeWarping(a, b) {
+    let previousCost = new Float64Array(b.length);
+    let currentCost = new Float64Array(b.length);
+    let previousSteps = new Uint32Array(b.length);
+    let currentSteps = new Uint32Array(b.length);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            const d = dist(a[i], b[j]);
+            if (i === 0 && j === 0) {
+                currentCost[j] = d;
+                currentSteps[j] = 1;
+                continue;
+            }
+            let bestCost = Infinity;
+            let bestSteps = 0;
+            if (i > 0 && previousCost[j] < bestCost) { bestCost = previousCost[j]; bestSteps = previousSteps[j]; }
+            if (j > 0 && currentCost[j - 1] < bestCost) { bestCost = currentCost[j - 1]; bestSteps = currentSteps[j - 1]; }
+            if (i > 0 && j > 0 && previousCost[j - 1] <= bestCost) { bestCost = previousCost[j - 1]; bestSteps = previousSteps[j - 1]; }
+            currentCost[j] = bestCost + d;
+            currentSteps[j] = bestSteps + 1;
+        }
+        [previousCost, currentCost] = [currentCost, previousCost];
+        [previousSteps, currentSteps] = [currentSteps, previousSteps];
+    }
+    return previousCost[b.length - 1] / previousSteps[b.length - 1];
+}
+
+const METHODS = {
+    average: (candidate, reference, indexes) =>
+        (averageMinDistance(candidate, indexes.reference) + averageMinDistance(reference, indexes.candidate)) / 2,
+    dtw: (candidate, reference) => dynamicTimeWarping(candidate, reference),
+    frechet: (candidate, reference) => discreteFrechet(candidate, reference)
+};
+
+function prepare(path, projection, options) {
+    const projected = path
+        .filter(p => typeof p?.lat === 'number' && typeof p?.lng === 'number')
+        .map(projection.toXY);
+    const simplified = simplify(projected, options.simplifyToleranceMeters);
+    const spacing = Math.max(options.spacingMeters, pathLength(simplified) / options.maxPoints);
+    return resample(simplified, spacing);
+}
+
+// Closed laps may start anywhere on the loop; rotate the candidate to start nearest the reference start.
+function alignLoopStart(candidate, referenceStart, options) {
+    const isLoop = candidate.length > 2 && dist(candidate[0], candidate[candidate.length - 1]) <= options.offRouteMeters;
+    if (!isLoop) return candidate;
+    let start = 0;
+    let best = Infinity;
+    candidate.forEach((p, i) => {
+        const d = dist(p, referenceStart);
+        if (d < best) {
+            best = d;
+            start = i;
+        }
+    });
+    if (start === 0) return candidate;
+    const body = candidate.slice(0, -1);
+    const rotated = body.slice(start).concat(body.slice(0, start));
+    rotated.push(rotated[0]);
+    return rotated;
+}
+
+function deviationSegments(candidate, referenceIndex, projection, options) {
+    const segments = [];
+    let current = null;
+    let travelled = 0;
+    candidate.forEach((p, i) => {
+        if (i > 0) travelled += dist(candidate[i - 1], p);
+        if (!current || travelled >= options.segmentMeters) {
+            if (current) segments.push(current);
+            current = { startIndex: i, from: p, to: p, maxDeviation: 0 };
+            travelled = 0;
+        }
+        current.to = p;
+        current.maxDeviation = Math.max(current.maxDeviation, referenceIndex.nearest(p).distance);
+    });
+    if (current) segments.push(current);
+
+    return segments.map((s, index) => ({
+        index,
+        from: projection.toLatLng(s.from),
+        to: projection.toLatLng(s.to),
+        maxDeviationMeters: Math.round(s.maxDeviation),
+        offRoute: s.maxDeviation > options.offRouteMeters
+    }));
+}
+
+/**
+ * Compares a lap against a reference path.
+ * @param {Array<{lat: number, lng: number}>} candidate - The lap being checked.
+ * @param {Array<{lat: number, lng: number}>} reference - The route it should follow.
+ * @param {object} [options] - Overrides for SIMILARITY_DEFAULTS; `method` is 'dtw', 'frechet' or 'average'.
+ * @returns {{similarity: number, distanceMeters: number, method: string, segments: Array}}
+ *   `similarity` is 0..1; `segments` lists the candidate in ~50 m pieces with their worst
+ *   deviation from the reference so the client can highlight where the runner went off route.
+ */
+function comparePaths(candidate, reference, options = {}) {
+    const opts = { ...SIMILARITY_DEFAULTS, ...options };
+    const method = METHODS[opts.method] ? opts.method : 'dtw';
+    if (!Array.isArray(candidate) || !Array.isArray(reference) || candidate.length === 0 || reference.length === 0) {
+        return { similarity: 0, distanceMeters: Infinity, method, segments: [] };
+    }
+
+    const startedAt = Date.now();
+    const origin = reference.find(p => typeof p?.lat === 'number' && typeof p?.lng === 'number');
+    if (!origin) return { similarity: 0, distanceMeters: Infinity, method, segments: [] };
+    const projection = createProjection(origin);
+
+    const ref = prepare(reference, projection, opts);
+    const prepared = prepare(candidate, projection, opts);
+    if (ref.length === 0 || prepared.length === 0) {
+        return { similarity: 0, distanceMeters: Infinity, method, segments: [] };
+    }
+
+    // DTW and Fréchet follow the order of the points, so a lap run the other way round is
+    // scored reversed as well and the closer match counts
+    const cellSize = Math.max(opts.offRouteMeters, opts.spacingMeters * 2);
+    const refIndex = new GridIndex(ref, cellSize);
+    let cand = null;
+    let distanceMeters = Infinity;
+    for (const orientation of [prepared, prepared.slice().reverse()]) {
+        const aligned = alignLoopStart(orientation, ref[0], opts);
+        const distance = METHODS[method](aligned, ref, { reference: refIndex, candidate: new GridIndex(aligned, cellSize) });
+        if (cand === null || distance < distanceMeters) {
+            cand = aligned;
+            distanceMeters = distance;
+        }
+    }
+    const zeroScore = opts.zeroScoreMeters[method];
+    const similarity = distanceMeters >= zeroScore ? 0 : 1 - distanceMeters / zeroScore;
+    const segments = deviationSegments(cand, refIndex, projection, opts);
+
+    debug(`Compared ${cand.length}x${ref.length} points with ${method} in ${Date.now() - startedAt}ms: ${distanceMeters.toFixed(1)}m`);
+    return { similarity, distanceMeters, method, segments };
+}
+
+module.exports = { comparePaths, GridIndex, SIMILARITY_DEFAULTS };
@@ -0,0 +1,302 @@
+// game_logic/player_broadcaster.js
+
+const debug = require('debug')('server:socket:players');
+const { VIEWPORT_ROOM, viewportOf, isPlayerVisible } = require('./viewport_streaming');
+const { TRAIL_ENCODINGS, POLYLINE_ROOM, trailEncodingOf, writeTrail } = require('./trail_encoding');
+const { CLUSTERED } = require('./state_store');
+
+// Sockets that opted into `playersDelta` (handshake auth `playerUpdates: 'delta'`) join this room
+// so the legacy full-list broadcast can skip them.
+const DELTA_ROOM = 'playerDeltas';
+const PROFILE_CHANGED_EVENT = 'players:profileChanged'; // server-to-server, see invalidateProfile
+
+const PLAYER_TICK_RULES = {
+    baseMs: parseInt(process.env.PLAYER_TICK_BASE_MS, 10) || 500,
+    // Bigger rooms tick less often: the multiplier of the first step whose maxPlayers fits is used
+    steps: [
+        { maxPlayers: 50, multiplier: 1 },
+        { maxPlayers: 200, multiplier: 2 },
+        { maxPlayers: Infinity, multiplier: 4 }
+    ],
+    interestRadiusMeters: parseFloat(process.env.PLAYER_INTEREST_RADIUS_METERS) || 2000
+};
+
+const METERS_PER_DEGREE = 111320;
+
+// Each instance serves its own sockets (`io.local`) with every instance's players, read from
+// ClusterPlayers, so observers see the same players wherever their socket is connected.
+class PlayerBroadcaster {
+    constructor(pool, io, players, clusterPlayers) {
+        this.pool = pool;
+        this.io = io;
+        this.players = players; // Reference to the global players object
+        this.clusterPlayers = clusterPlayers;
+        this.profiles = new Map(); // googleId -> { username, imageUrl, identityColor }
+        this.sentState = new Map(); // socketId -> what the last tick sent about that player
+        this.knownBy = new Map(); // observer socketId -> Set of player socketIds it holds a full record of
+        this.deltaClients = new Set();
+        this.lastTickAt = new Map(); // gameMode -> timestamp
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.io.on(PROFILE_CHANGED_EVENT, googleId => this.profiles.delete(googleId));
+        this.timer = setInterval(() => {
+            this.tick().catch(err => debug('Error during player broadcast tick: %O', err));
+        }, PLAYER_TICK_RULES.baseMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // --- CONNECTION LIFECYCLE ---
+
+    /**
+     * Called once the player is in `players` and has joined its mode room. Delta clients get a
+     * `playersSnapshot` straight away; everyone else picks up the next `allPlayersUpdate`.
+     */
+    async handlePlayerJoined(socket) {
+        this.knownBy.delete(socket.id);
+        if (socket.handshake.auth?.playerUpdates !== 'delta') {
+            this.deltaClients.delete(socket.id);
+            socket.leave(DELTA_ROOM);
+            return;
+        }
+        this.deltaClients.add(socket.id);
+        socket.join(DELTA_ROOM);
+        await this.sendSnapshot(socket.id);
+    }
+
+    handleDisconnect(socketId) {
+        this.deltaClients.delete(socketId);
+        this.knownBy.delete(socketId);
+    }
+
+    /** Full state of every player the observer is interested in; later ticks send deltas against it. */
+    async sendSnapshot(socketId) {
+        const observer = this.players[socketId];
+        if (!observer) return;
+        const modePlayers = this.clusterPlayers.all().filter(p => p.googleId && p.gameMode === observer.gameMode);
+        await this._loadProfiles(modePlayers);
+        const visible = modePlayers.filter(p => this._isInterested(observer, p));
+        this.knownBy.set(socketId, new Set(visible.map(p => p.id)));
+        const encoding = this._encodingOf(socketId);
+        this.io.local.to(socketId).emit('playersSnapshot', {
+            intervalMs: this._intervalFor(modePlayers.length),
+            players: visible.map(p => this._encodeTrails(this._record(p), encoding))
+        });
+    }
+
+    /** Drops a cached profile, here and on the other instances, so the next tick re-reads it and forwards the change. */
+    invalidateProfile(googleId) {
+        this.profiles.delete(googleId);
+        if (CLUSTERED) this.io.serverSideEmit(PROFILE_CHANGED_EVENT, googleId);
+    }
+
+    // --- TICK ---
+
+    async tick() {
+        if (this.ticking) return; // a slow profile query must not stack ticks
+        this.ticking = true;
+        try {
+            const byMode = new Map();
+            for (const player of this.clusterPlayers.all()) {
+                if (!player.googleId) continue;
+                if (!byMode.has(player.gameMode)) byMode.set(player.gameMode, []);
+                byMode.get(player.gameMode).push(player);
+            }
+            await this._loadProfiles([...byMode.values()].flat());
+
+            const now = Date.now();
+            for (const [gameMode, modePlayers] of byMode) {
+                const intervalMs = this._intervalFor(modePlayers.length);
+                if (now - (this.lastTickAt.get(gameMode) || 0) < intervalMs - PLAYER_TICK_RULES.baseMs / 2) continue;
+                this.lastTickAt.set(gameMode, now);
+                this._broadcastMode(gameMode, modePlayers, intervalMs);
+            }
+            this._forgetDeparted();
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    _broadcastMode(gameMode, modePlayers, intervalMs) {
+        const records = new Map(modePlayers.map(p => [p.id, this._record(p)]));
+        const deltas = new Map();
+        for (const player of modePlayers) {
+            const delta = this._diff(player, records.get(player.id));
+            if (delta) deltas.set(player.id, delta);
+        }
+
+        // Each record or delta is encoded at most once per tick, however many observers get it
+        const encoded = new Map();
+        const inEncoding = (item, encoding) => {
+            if (encoding !== TRAIL_ENCODINGS.POLYLINE) return item;
+            if (!encoded.has(item)) encoded.set(item, this._encodeTrails(item, encoding));
+            return encoded.get(item);
+        };
+
+        // Legacy clients without a viewport still get the whole room in one broadcast per encoding.
+        this.io.local.to(gameMode).except([VIEWPORT_ROOM, DELTA_ROOM, POLYLINE_ROOM]).emit('allPlayersUpdate', [...records.values()]);
+        const polylineRoomIds = [];
+
+        for (const observer of modePlayers) {
+            if (!this.clusterPlayers.isLocal(observer.id)) continue;
+            const isDelta = this.deltaClients.has(observer.id);
+            const encoding = this._encodingOf(observer.id);
+            if (!isDelta && !viewportOf(observer.id)) {
+                if (encoding === TRAIL_ENCODINGS.POLYLINE) polylineRoomIds.push(observer.id);
+                continue;
+            }
+            const visible = modePlayers.filter(p => this._isInterested(observer, p));
+
+            if (!isDelta) {
+                this.io.local.to(observer.id).emit('allPlayersUpdate', visible.map(p => inEncoding(records.get(p.id), encoding)));
+                continue;
+            }
+
+            const known = this.knownBy.get(observer.id);
+            if (!known) continue; // still waiting for its snapshot
+            const added = [];
+            const updated = [];
+            const visibleIds = new Set();
+            for (const player of visible) {
+                visibleIds.add(player.id);
+                if (!known.has(player.id)) {
+                    added.push(inEncoding(records.get(player.id), encoding));
+                    known.add(player.id);
+                } else if (deltas.has(player.id)) {
+                    updated.push(inEncoding(deltas.get(player.id), encoding));
+                }
+            }
+            const removed = [...known].filter(id => !visibleIds.has(id));
+            removed.forEach(id => known.delete(id));
+
+            if (added.length || updated.length || removed.length) {
+                this.io.local.to(observer.id).emit('playersDelta', { intervalMs, added, updated, removed });
+            }
+        }
+
+        if (polylineRoomIds.length > 0) {
+            const polylineRecords = [...records.values()].map(record => inEncoding(record, TRAIL_ENCODINGS.POLYLINE));
+            this.io.local.to(polylineRoomIds).emit('allPlayersUpdate', polylineRecords);
+        }
+    }
+
+    /**
+     * What changed about a player since the previous tick. Trail growth is sent as `trailAppend`
+     * starting at index `trailFrom`, so a client that already has those points (e.g. from a
+     * snapshot) can splice them in without duplicates; a new or shortened trail is sent whole.
+     */
+    _diff(player, record) {
+        const previous = this.sentState.get(player.id);
+        const trail = player.activeTrail || [];
+        const position = player.lastKnownPosition;
+        this.sentState.set(player.id, {
+            lat: position?.lat,
+            lng: position?.lng,
+            isDrawing: player.isDrawing,
+            trail,
+            trailLength: trail.length,
+            name: record.name,
+            imageUrl: record.imageUrl,
+            identityColor: record.identityColor
+        });
+        if (!previous) return record;
+
+        const delta = {};
+        if (position && (position.lat !== previous.lat || position.lng !== previous.lng)) {
+            delta.lastKnownPosition = position;
+        }
+        if (player.isDrawing !== previous.isDrawing) delta.isDrawing = player.isDrawing;
+        if (trail !== previous.trail || trail.length < previous.trailLength) {
+            delta.activeTrail = trail;
+        } else if (trail.length > previous.trailLength) {
+            delta.trailFrom = previous.trailLength;
+            delta.trailAppend = trail.slice(previous.trailLength);
+        }
+        for (const key of ['name', 'imageUrl', 'identityColor']) {
+            if (record[key] !== previous[key]) delta[key] = record[key];
+        }
+        return Object.keys(delta).length > 0 ? { id: player.id, ...delta } : null;
+    }
+
+    // --- HELPERS ---
+
+    _record(player) {
+        const profile = this.profiles.get(player.googleId) || {};
+        return {
+            id: player.id,
+            ownerId: player.googleId,
+            name: profile.username || player.name,
+            imageUrl: profile.imageUrl,
+            identityColor: profile.identityColor,
+            lastKnownPosition: player.lastKnownPosition,
+            isDrawing: player.isDrawing,
+            activeTrail: player.activeTrail,
+            gameMode: player.gameMode
+        };
+    }
+
+    _encodingOf(socketId) {
+        return trailEncodingOf(this.io.sockets.sockets.get(socketId));
+    }
+
+    // Copy of a record or delta with its trail fields in the observer's encoding
+    _encodeTrails(item, encoding) {
+        if (encoding !== TRAIL_ENCODINGS.POLYLINE) return item;
+        const copy = { ...item };
+        if ('activeTrail' in item) copy.activeTrail = writeTrail(item.activeTrail, encoding);
+        if ('trailAppend' in item) copy.trailAppend = writeTrail(item.trailAppend, encoding);
+        return copy;
+    }
+
+    // Players inside the observer's viewport, else within the interest radius of its position.
+    // An observer with neither (e.g. no GPS fix yet) sees the whole room, as before.
+    _isInterested(observer, player) {
+        if (observer.id === player.id) return true;
+        const viewport = viewportOf(observer.id);
+        if (viewport) return isPlayerVisible(player, viewport.paddedBbox);
+        const center = observer.lastKnownPosition;
+        if (!center) return true;
+        const latDelta = PLAYER_TICK_RULES.interestRadiusMeters / METERS_PER_DEGREE;
+        const lngDelta = latDelta / Math.max(Math.cos(center.lat * Math.PI / 180), 0.01);
+        return isPlayerVisible(player, [center.lng - lngDelta, center.lat - latDelta, center.lng + lngDelta, center.lat + latDelta]);
+    }
+
+    _intervalFor(playerCount) {
+        const step = PLAYER_TICK_RULES.steps.find(s => playerCount <= s.maxPlayers);
+        return PLAYER_TICK_RULES.baseMs * step.multiplier;
+    }
+
+    async _loadProfiles(players) {
+        const missing = [...new Set(players.map(p => p.googleId))].filter(id => !this.profiles.has(id));
+        if (missing.length === 0) return;
+        const res = await this.pool.query(
+            'SELECT owner_id, username, profile_image_url, identity_color FROM territories WHERE owner_id = ANY($1::varchar[])',
+            [missing]
+        );
+        for (const row of res.rows) {
+            this.profiles.set(row.owner_id, { username: row.username, imageUrl: row.profile_image_url, identityColor: row.identity_color });
+        }
+        // Players without a profile row yet are cached as empty so they are not queried every tick
+        missing.filter(id => !this.profiles.has(id)).forEach(id => this.profiles.set(id, {}));
+        debug(`Loaded ${res.rowCount} player profile(s) into the cache.`);
+    }
+
+    _forgetDeparted() {
+        const online = new Set(this.clusterPlayers.all().map(p => p.googleId));
+        for (const googleId of this.profiles.keys()) {
+            if (!online.has(googleId)) this.profiles.delete(googleId);
+        }
+        for (const socketId of this.sentState.keys()) {
+            if (!this.clusterPlayers.get(socketId)) this.sentState.delete(socketId);
+        }
+    }
+}
+
+module.exports = PlayerBroadcaster;
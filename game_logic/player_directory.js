@@ -0,0 +1,117 @@
+// game_logic/player_directory.js
+
+const debug = require('debug')('server:socket:players');
+const { INSTANCE_ID, CLUSTERED } = require('./state_store');
+
+const PRESENCE_NAMESPACE = 'presence';
+const PRESENCE_TTL_MS = 2 * 60 * 1000; // refreshed every quarter of this while the instance is alive
+const PLAYER_UPDATE_EVENT = 'players:update'; // server-to-server, see updatePlayer
+
+// Every socket joins its user's room on connect, so emits by Google ID need no lookup and
+// reach the client through the adapter on whichever instance holds its socket.
+const userRoom = (googleId) => `user:${googleId}`;
+
+/** Emits to every socket of a player, on any instance. Nothing happens when they are offline. */
+function emitToPlayer(io, googleId, event, ...args) {
+    io.to(userRoom(googleId)).emit(event, ...args);
+}
+
+/**
+ * The socket id of a player connected to this instance, found through the room index instead of
+ * scanning `players`. Use it when the in-memory player itself is needed; for emits use emitToPlayer.
+ * @returns {string|null}
+ */
+function localSocketIdOf(io, players, googleId) {
+    const socketIds = io.sockets.adapter.rooms.get(userRoom(googleId));
+    for (const socketId of socketIds || []) {
+        if (players[socketId]) return socketId;
+    }
+    return null;
+}
+
+/**
+ * Sets fields on a player's in-memory state wherever their socket lives, e.g. power flags after a
+ * purchase made over REST. Applied here right away and relayed to the other instances.
+ */
+function updatePlayer(io, players, googleId, changes) {
+    applyPlayerUpdate(io, players, googleId, changes);
+    if (CLUSTERED) io.serverSideEmit(PLAYER_UPDATE_EVENT, googleId, changes);
+}
+
+function applyPlayerUpdate(io, players, googleId, changes) {
+    const socketId = localSocketIdOf(io, players, googleId);
+    if (socketId) Object.assign(players[socketId], changes);
+    return socketId;
+}
+
+
+/**
+ * Who is online across all instances, kept in the shared state store under `presence`:
+ * Google ID -> { socketId, instanceId, name, gameMode, since }. Entries expire on their own
+ * if an instance dies without cleaning up.
+ */
+class PlayerDirectory {
+    constructor(io, players, store) {
+        this.io = io;
+        this.players = players; // Reference to the global players object
+        this.store = store;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.io.on(PLAYER_UPDATE_EVENT, (googleId, changes) => {
+            if (applyPlayerUpdate(this.io, this.players, googleId, changes)) debug(`Applied relayed update for ${googleId}.`);
+        });
+        this.timer = setInterval(() => {
+            this.refresh().catch(err => console.error('[PRESENCE] Failed to refresh presence:', err));
+        }, PRESENCE_TTL_MS / 4);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    attach(socket) {
+        socket.join(userRoom(socket.data.user.googleId));
+    }
+
+    async register(socketId) {
+        const player = this.players[socketId];
+        if (!player?.googleId) return;
+        await this.store.set(PRESENCE_NAMESPACE, player.googleId, {
+            socketId,
+            instanceId: INSTANCE_ID,
+            name: player.name,
+            gameMode: player.gameMode,
+            since: Date.now()
+        }, { ttlMs: PRESENCE_TTL_MS });
+    }
+
+    // Only clears the entry this socket wrote; the player may already be online elsewhere.
+    async unregister(socketId, googleId) {
+        await this.store.deleteIf(PRESENCE_NAMESPACE, googleId, 'socketId', socketId);
+    }
+
+    /** @returns {Promise<object|null>} The presence entry, or null when offline everywhere. */
+    async find(googleId) {
+        return this.store.get(PRESENCE_NAMESPACE, googleId);
+    }
+
+    /** @returns {Promise<Map<string, object>>} Google ID -> presence entry. */
+    async listOnline() {
+        return this.store.getAll(PRESENCE_NAMESPACE);
+    }
+
+    async refresh() {
+        const connected = Object.keys(this.players).filter(socketId => this.io.sockets.sockets.has(socketId));
+        for (const socketId of connected) {
+            await this.register(socketId);
+        }
+        debug(`Refreshed presence for ${connected.length} local player(s).`);
+    }
+}
+
+
+module.exports = { PlayerDirectory, userRoom, emitToPlayer, localSocketIdOf, updatePlayer };
@@ -5,6 +5,7 @@
 
 
 const debug = require('debug')('server:game');
+const { emitToPlayer } = require('./player_directory');
 
 
 const QUEST_TYPES = {
@@ -73,14 +74,11 @@ async function updateQuestProgress(userId, questType, value, client, io, players
            debug(`[QUEST] User ${userId} progress for quest "${quest.title}" is now: ${newProgress}/${quest.objective_value}`);
 
 
-           const playerSocketId = Object.keys(players).find(id => players[id]?.googleId === userId);
-           if (playerSocketId) {
-               io.to(playerSocketId).emit('questProgressUpdate', {
-                   questId: quest.id,
-                   currentProgress: newProgress
-               });
-               debug(`[QUEST] Emitted progress update to socket ${playerSocketId}`);
-           }
+           emitToPlayer(io, userId, 'questProgressUpdate', {
+               questId: quest.id,
+               currentProgress: newProgress
+           });
+           debug(`[QUEST] Emitted progress update to the user room of ${userId}`);
           
            if (newProgress >= quest.objective_value) {
                debug(`[QUEST] User ${userId} has met the target for quest ${quest.id}. Attempting to declare winner.`);
@@ -1,30 +1,62 @@
 const turf = require('@turf/turf');
 const debug = require('debug')('server:game:race');
-
+const { applyRatingChanges } = require('./race_rating');
+const { emitToPlayer } = require('./player_directory');
+const { CLUSTERED } = require('./state_store');
+
+const RACE_TIME_LIMIT_MS = 20 * 60 * 1000; // races with no finisher after 20 minutes end as a draw
+const CHALLENGE_TTL_MS = 30 * 1000; // 30 seconds to accept
+const RECORD_GRACE_MS = 5 * 60 * 1000; // store records outlive their deadline this long, so sweeps still see them
+
+// Shared state store namespaces; every instance reads and writes the same records
+const CHALLENGES_NAMESPACE = 'raceChallenges'; // challengeId -> challenge
+const RACES_NAMESPACE = 'races'; // raceId -> race
+const MEMBERS_NAMESPACE = 'raceMembers'; // googleId -> { raceId }
+const PATHS_NAMESPACE = 'racePaths'; // `${raceId}:${googleId}` -> [{ lat, lng, t }], written by the runner's instance
+
+// Server-to-server: every instance caches the races its players run, see _cacheRace
+const RACE_STARTED_EVENT = 'races:started';
+const RACE_ENDED_EVENT = 'races:ended';
+
+/**
+ * One-on-one races. Challenges and races live in the shared state store and runners are known
+ * by Google ID, so the two players can be on different instances and either can reconnect to
+ * any instance. Whichever instance sees the race end first (finish, forfeit or timeout) claims
+ * the record, and only that one stores the result.
+ */
 class RaceHandler {
-    constructor(io, players) {
+    /**
+     * @param {object} pool - The PostgreSQL connection pool.
+     * @param {object} io - The Socket.IO server instance.
+     * @param {object} players - Reference to the global players object.
+     * @param {{store: object, clusterPlayers: object}} shared - The state store and ClusterPlayers.
+     */
+    constructor(pool, io, players, { store, clusterPlayers }) {
+        this.pool = pool;
         this.io = io;
         this.players = players; // Reference to the global players object
-        this.activeRaces = new Map(); // raceId -> { challengerId, opponentId, state, ... }
-        this.pendingChallenges = new Map(); // challengeId -> { challengerId, opponentId, expiresAt }
+        this.store = store;
+        this.clusterPlayers = clusterPlayers;
+        this.activeRaces = new Map(); // raceId -> race, cached for the location update path
+    }
+
+    start() {
+        this.io.on(RACE_STARTED_EVENT, race => this._cacheRace(race));
+        this.io.on(RACE_ENDED_EVENT, raceId => this.activeRaces.delete(raceId));
     }
 
     // --- CHALLENGE LOGIC ---
 
-    createChallenge(challengerId, opponentGoogleId) {
+    async createChallenge(challengerId, opponentGoogleId) {
         const challenger = this.players[challengerId];
 
-        // Find opponent by Google ID (opponentGoogleId is sent from client)
-        const opponentSocketId = Object.keys(this.players).find(
-            socketId => this.players[socketId].googleId === opponentGoogleId
-        );
+        // Find opponent by Google ID (opponentGoogleId is sent from client), on any instance
+        const opponent = this.clusterPlayers.findByGoogleId(opponentGoogleId);
 
-        if (!challenger || !opponentSocketId) {
+        if (!challenger || !opponent) {
             throw new Error("Player not found.");
         }
 
-        const opponent = this.players[opponentSocketId];
-
         // Check if players are close enough (500m)
         const dist = turf.distance(
             turf.point([challenger.lastKnownPosition.lng, challenger.lastKnownPosition.lat]),
@@ -37,15 +69,14 @@ class RaceHandler {
         }
 
         const challengeId = `race-${challengerId}-${Date.now()}`;
-        this.pendingChallenges.set(challengeId, {
+        await this.store.set(CHALLENGES_NAMESPACE, challengeId, {
             id: challengeId,
-            challengerId,
-            opponentId: opponentSocketId, // Store socket ID, not Google ID
-            expiresAt: Date.now() + 30000 // 30 seconds to accept
-        });
+            challengerGoogleId: challenger.googleId,
+            opponentGoogleId: opponent.googleId,
+            expiresAt: Date.now() + CHALLENGE_TTL_MS
+        }, { ttlMs: CHALLENGE_TTL_MS + RECORD_GRACE_MS });
 
-        // Notify opponent using their socket ID
-        this.io.to(opponentSocketId).emit('raceChallengeReceived', {
+        emitToPlayer(this.io, opponent.googleId, 'raceChallengeReceived', {
             challengeId,
             challengerName: challenger.name,
             distanceKm: dist
@@ -55,35 +86,42 @@ class RaceHandler {
         return challengeId;
     }
 
-    acceptChallenge(challengeId, acceptingPlayerId) {
-        const challenge = this.pendingChallenges.get(challengeId);
-        if (!challenge) {
+    async acceptChallenge(challengeId, acceptingPlayerId) {
+        const player = this.players[acceptingPlayerId];
+        const challenge = await this.store.get(CHALLENGES_NAMESPACE, challengeId);
+        if (!challenge || Date.now() > challenge.expiresAt) {
+            if (challenge) await this._expireChallenge(challenge);
             throw new Error("Challenge expired or invalid.");
         }
 
-        if (challenge.opponentId !== acceptingPlayerId) {
+        if (!player || challenge.opponentGoogleId !== player.googleId) {
             throw new Error("Not authorized to accept this challenge.");
         }
 
-        this.pendingChallenges.delete(challengeId);
-        this._startRace(challenge.challengerId, challenge.opponentId);
+        // Taking the challenge out of the store is what accepts it, so a double tap starts one race
+        if (!(await this.store.deleteIf(CHALLENGES_NAMESPACE, challengeId, 'id', challengeId))) {
+            throw new Error("Challenge expired or invalid.");
+        }
+        await this._startRace(challenge.challengerGoogleId, challenge.opponentGoogleId);
     }
 
-    rejectChallenge(challengeId, rejectingPlayerId) {
-        const challenge = this.pendingChallenges.get(challengeId);
-        if (challenge && challenge.opponentId === rejectingPlayerId) {
-            this.pendingChallenges.delete(challengeId);
-            this.io.to(challenge.challengerId).emit('raceChallengeRejected', { reason: 'Opponent declined.' });
+    async rejectChallenge(challengeId, rejectingPlayerId) {
+        const player = this.players[rejectingPlayerId];
+        const challenge = await this.store.get(CHALLENGES_NAMESPACE, challengeId);
+        if (challenge && player && challenge.opponentGoogleId === player.googleId
+            && await this.store.deleteIf(CHALLENGES_NAMESPACE, challengeId, 'id', challengeId)) {
+            emitToPlayer(this.io, challenge.challengerGoogleId, 'raceChallengeRejected', { reason: 'Opponent declined.' });
         }
     }
 
     // --- RACE LOGIC ---
 
-    _startRace(p1Id, p2Id) {
-        const raceId = `active-race-${Date.now()}`;
-
-        const p1 = this.players[p1Id];
-        const p2 = this.players[p2Id];
+    async _startRace(p1GoogleId, p2GoogleId) {
+        const p1 = this.clusterPlayers.findByGoogleId(p1GoogleId);
+        const p2 = this.clusterPlayers.findByGoogleId(p2GoogleId);
+        if (!p1 || !p2) {
+            throw new Error("Player not found.");
+        }
 
         // Calculate midpoint between both players for fairness
         const p1Point = turf.point([p1.lastKnownPosition.lng, p1.lastKnownPosition.lat]);
@@ -94,16 +132,32 @@ class RaceHandler {
         const bearing = Math.floor(Math.random() * 360);
         const finishPoint = turf.destination(midpoint, 0.5, bearing, { units: 'kilometers' });
 
+        const startTime = Date.now();
+        const raceId = `active-race-${p1GoogleId}-${startTime}`;
         const raceState = {
             id: raceId,
-            participants: [p1Id, p2Id],
-            startTime: Date.now(),
+            participants: [p1GoogleId, p2GoogleId],
+            // Identity is captured up front so results can be stored even if a runner disconnects.
+            participantInfo: {
+                [p1GoogleId]: { googleId: p1GoogleId, name: p1.name },
+                [p2GoogleId]: { googleId: p2GoogleId, name: p2.name }
+            },
+            startTime,
+            expiresAt: startTime + RACE_TIME_LIMIT_MS,
             finishLine: finishPoint.geometry.coordinates, // [lng, lat]
-            finishRadius: 0.03, // 30 meters tolerance
-            isActive: true
+            finishRadius: 0.03 // 30 meters tolerance
         };
 
-        this.activeRaces.set(raceId, raceState);
+        const ttlMs = RACE_TIME_LIMIT_MS + RECORD_GRACE_MS;
+        await this.store.set(RACES_NAMESPACE, raceId, raceState, { ttlMs });
+        for (const runner of [p1, p2]) {
+            await this.store.set(MEMBERS_NAMESPACE, runner.googleId, { raceId }, { ttlMs });
+            await this.store.set(PATHS_NAMESPACE, `${raceId}:${runner.googleId}`, [
+                { lat: runner.lastKnownPosition.lat, lng: runner.lastKnownPosition.lng, t: startTime }
+            ], { ttlMs });
+        }
+        this._cacheRace(raceState);
+        if (CLUSTERED) this.io.serverSideEmit(RACE_STARTED_EVENT, raceState);
 
         // Notify both players with the SAME finish line
         const finishLineData = {
@@ -111,50 +165,206 @@ class RaceHandler {
             lng: finishPoint.geometry.coordinates[0]
         };
 
-        [p1Id, p2Id].forEach(pid => {
-            this.io.to(pid).emit('raceStarted', {
+        [p1, p2].forEach(runner => {
+            emitToPlayer(this.io, runner.googleId, 'raceStarted', {
                 raceId,
                 finishLine: finishLineData,
-                opponentName: pid === p1Id ? this.players[p2Id].name : this.players[p1Id].name
+                opponentName: runner === p1 ? p2.name : p1.name,
+                expiresAt: raceState.expiresAt
             });
         });
 
         debug(`Race started: ${raceId}, Finish: ${finishLineData.lat}, ${finishLineData.lng}`);
     }
 
-    checkRaceProgress(playerId, lat, lng) {
+    async checkRaceProgress(playerId, lat, lng) {
+        const googleId = this.players[playerId]?.googleId;
+        if (!googleId) return;
         // Find race where this player is a participant
         for (const [raceId, race] of this.activeRaces) {
-            if (race.participants.includes(playerId) && race.isActive) {
-                const distToFinish = turf.distance(
-                    turf.point([lng, lat]),
-                    turf.point(race.finishLine),
-                    { units: 'kilometers' }
-                );
-
-                if (distToFinish <= race.finishRadius) {
-                    this._endRace(raceId, playerId);
-                    return;
-                }
+            if (!race.participants.includes(googleId)) continue;
+            if (Date.now() > race.expiresAt + RECORD_GRACE_MS) {
+                this.activeRaces.delete(raceId); // ended while this instance was not listening
+                continue;
+            }
+
+            await this.store.update(PATHS_NAMESPACE, `${raceId}:${googleId}`, path => [...(path || []), { lat, lng, t: Date.now() }], {
+                ttlMs: RACE_TIME_LIMIT_MS + RECORD_GRACE_MS
+            });
+
+            const distToFinish = turf.distance(
+                turf.point([lng, lat]),
+                turf.point(race.finishLine),
+                { units: 'kilometers' }
+            );
+
+            if (distToFinish <= race.finishRadius) {
+                await this._endRace(raceId, googleId, 'finished');
+                return;
+            }
+        }
+    }
+
+    // --- TIMEOUTS & FORFEITS ---
+
+    /**
+     * Expires stale challenges and ends races that ran past the time limit.
+     * Called periodically by one instance at a time (see runExclusively in server.js).
+     */
+    async sweepExpired() {
+        const now = Date.now();
+        for (const challenge of (await this.store.getAll(CHALLENGES_NAMESPACE)).values()) {
+            if (now > challenge.expiresAt) {
+                await this._expireChallenge(challenge);
+            }
+        }
+        for (const [raceId, race] of await this.store.getAll(RACES_NAMESPACE)) {
+            if (now > race.expiresAt) {
+                debug(`Race ${raceId} hit the time limit with no finisher.`);
+                await this._endRace(raceId, null, 'timeout');
             }
         }
     }
 
-    _endRace(raceId, winnerId) {
-        const race = this.activeRaces.get(raceId);
-        if (!race) return;
+    /**
+     * Cleans up after a player whose reconnect window closed: their challenges are dropped
+     * and any race they were running is forfeited to the opponent.
+     */
+    async handleDisconnect(googleId) {
+        // Back already, on another instance: nothing was abandoned
+        if (!googleId || this.clusterPlayers.findByGoogleId(googleId)) return;
+
+        for (const [challengeId, challenge] of await this.store.getAll(CHALLENGES_NAMESPACE)) {
+            if (challenge.challengerGoogleId !== googleId && challenge.opponentGoogleId !== googleId) continue;
+            if (!(await this.store.deleteIf(CHALLENGES_NAMESPACE, challengeId, 'id', challengeId))) continue;
+            const otherId = challenge.challengerGoogleId === googleId ? challenge.opponentGoogleId : challenge.challengerGoogleId;
+            emitToPlayer(this.io, otherId, 'raceChallengeExpired', { challengeId, reason: 'Player disconnected.' });
+        }
+        const membership = await this.store.get(MEMBERS_NAMESPACE, googleId);
+        const race = membership && await this.store.get(RACES_NAMESPACE, membership.raceId);
+        if (race) {
+            const winnerId = race.participants.find(p => p !== googleId);
+            debug(`Race ${race.id} forfeited by ${race.participantInfo[googleId].name}.`);
+            await this._endRace(race.id, winnerId, 'forfeit');
+        }
+    }
+
+    /**
+     * Picks a joining player's race back up, wherever it was started, so a dropped connection
+     * inside the reconnect window does not forfeit it. Called on every join.
+     */
+    async resume(socketId) {
+        const googleId = this.players[socketId]?.googleId;
+        const membership = googleId && await this.store.get(MEMBERS_NAMESPACE, googleId);
+        if (!membership) return;
+        const race = await this.store.get(RACES_NAMESPACE, membership.raceId);
+        if (!race) {
+            await this.store.deleteIf(MEMBERS_NAMESPACE, googleId, 'raceId', membership.raceId);
+            return;
+        }
+        this._cacheRace(race);
+
+        const opponentId = race.participants.find(pid => pid !== googleId);
+        this.io.to(socketId).emit('raceResumed', {
+            raceId: race.id,
+            finishLine: { lat: race.finishLine[1], lng: race.finishLine[0] },
+            opponentName: race.participantInfo[opponentId].name,
+            expiresAt: race.expiresAt
+        });
+        debug(`${race.participantInfo[googleId].name} re-attached to race ${race.id}.`);
+    }
+
+    async _expireChallenge(challenge) {
+        if (!(await this.store.deleteIf(CHALLENGES_NAMESPACE, challenge.id, 'id', challenge.id))) return;
+        emitToPlayer(this.io, challenge.challengerGoogleId, 'raceChallengeExpired', { challengeId: challenge.id, reason: 'Opponent did not respond in time.' });
+        emitToPlayer(this.io, challenge.opponentGoogleId, 'raceChallengeExpired', { challengeId: challenge.id, reason: 'Challenge expired.' });
+        debug(`Challenge ${challenge.id} expired.`);
+    }
+
+    async _endRace(raceId, winnerId, outcome) {
+        const race = await this.store.get(RACES_NAMESPACE, raceId);
+        // Only the instance that takes the race out of the store ends it
+        if (!race || !(await this.store.deleteIf(RACES_NAMESPACE, raceId, 'id', raceId))) return;
 
-        race.isActive = false;
         this.activeRaces.delete(raceId);
+        if (CLUSTERED) this.io.serverSideEmit(RACE_ENDED_EVENT, raceId);
+        race.endTime = Date.now();
+        race.paths = {};
+        for (const pid of race.participants) {
+            const pathKey = `${raceId}:${pid}`;
+            race.paths[pid] = (await this.store.get(PATHS_NAMESPACE, pathKey)) || [];
+            await this.store.delete(PATHS_NAMESPACE, pathKey);
+            await this.store.deleteIf(MEMBERS_NAMESPACE, pid, 'raceId', raceId);
+        }
 
-        const loserId = race.participants.find(p => p !== winnerId);
+        const loserId = winnerId ? race.participants.find(p => p !== winnerId) : null;
+        const winnerName = winnerId ? race.participantInfo[winnerId].name : null;
 
-        this.io.to(winnerId).emit('raceWon', { raceId });
-        if (loserId) {
-            this.io.to(loserId).emit('raceLost', { raceId, winnerName: this.players[winnerId].name });
+        let ratingChanges = {};
+        try {
+            ratingChanges = await this._persistRace(race, winnerId, outcome);
+        } catch (err) {
+            console.error(`[RACE] Failed to persist race ${raceId}:`, err);
+        }
+        const ratingFor = pid => ratingChanges[race.participantInfo[pid].googleId] || null;
+
+        if (winnerId) {
+            emitToPlayer(this.io, winnerId, 'raceWon', { raceId, outcome, rating: ratingFor(winnerId) });
+            emitToPlayer(this.io, loserId, 'raceLost', { raceId, outcome, winnerName, rating: ratingFor(loserId) });
+            debug(`Race ended (${outcome}). Winner: ${winnerName}`);
+        } else {
+            race.participants.forEach(pid => {
+                emitToPlayer(this.io, pid, 'raceTimedOut', { raceId, rating: ratingFor(pid) });
+            });
+            debug(`Race ${raceId} ended without a winner (${outcome}).`);
         }
+    }
 
-        debug(`Race ended. Winner: ${this.players[winnerId].name}`);
+    _cacheRace(race) {
+        this.activeRaces.set(race.id, race);
+    }
+
+    /**
+     * Stores the finished race and applies the Elo update in one transaction.
+     * @returns {Promise<Object>} Rating changes keyed by Google ID.
+     */
+    async _persistRace(race, winnerId, outcome) {
+        const [p1Id, p2Id] = race.participants;
+        const p1 = race.participantInfo[p1Id];
+        const p2 = race.participantInfo[p2Id];
+        const finishTimeFor = pid => (pid === winnerId && outcome === 'finished' ? race.endTime - race.startTime : null);
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const changes = await applyRatingChanges(client, race.participants.map(pid => ({
+                id: race.participantInfo[pid].googleId,
+                place: winnerId ? (pid === winnerId ? 1 : 2) : 1 // a timeout scores as a draw
+            })));
+
+            await client.query(
+                `INSERT INTO races (race_key, player1_id, player2_id, winner_id, outcome, player1_time_ms, player2_time_ms,
+                                    player1_path, player2_path, finish_point, started_at, ended_at,
+                                    player1_rating_change, player2_rating_change)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ST_SetSRID(ST_MakePoint($10, $11), 4326), to_timestamp($12 / 1000.0), to_timestamp($13 / 1000.0), $14, $15)`,
+                [
+                    race.id, p1.googleId, p2.googleId, winnerId ? race.participantInfo[winnerId].googleId : null, outcome,
+                    finishTimeFor(p1Id), finishTimeFor(p2Id),
+                    JSON.stringify(race.paths[p1Id]), JSON.stringify(race.paths[p2Id]),
+                    race.finishLine[0], race.finishLine[1], race.startTime, race.endTime,
+                    changes[p1.googleId].change, changes[p2.googleId].change
+                ]
+            );
+
+            await client.query('COMMIT');
+            return changes;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
     }
 }
 
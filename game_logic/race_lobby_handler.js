@@ -0,0 +1,582 @@
+// game_logic/race_lobby_handler.js
+
+const turf = require('@turf/turf');
+const debug = require('debug')('server:game:race');
+const { applyRatingChanges } = require('./race_rating');
+const { userRoom, emitToPlayer } = require('./player_directory');
+const { CLUSTERED } = require('./state_store');
+
+const MIN_RUNNERS = 3;
+const MAX_RUNNERS = 20;
+const MIN_WAYPOINTS = 2;
+const MAX_WAYPOINTS = 50;
+const DEFAULT_COUNTDOWN_SECONDS = 10;
+const MAX_COUNTDOWN_SECONDS = 120;
+const DEFAULT_CHECKPOINT_RADIUS_METERS = 30;
+const LOBBY_RACE_TIME_LIMIT_MS = 60 * 60 * 1000;
+const OPEN_LOBBY_TTL_MS = 30 * 60 * 1000; // lobbies nobody starts are closed after 30 minutes
+const COUNTDOWN_GRACE_MS = 5 * 1000; // a countdown whose instance went away is started by the sweep after this
+// Store records outlive every deadline above, so sweeps still see them; a dead cluster cleans up on its own
+const LOBBY_RECORD_TTL_MS = OPEN_LOBBY_TTL_MS + MAX_COUNTDOWN_SECONDS * 1000 + LOBBY_RACE_TIME_LIMIT_MS + 5 * 60 * 1000;
+
+// Shared state store namespaces; every instance reads and writes the same records
+const LOBBIES_NAMESPACE = 'raceLobbies'; // lobbyId -> lobby
+const MEMBERS_NAMESPACE = 'raceLobbyMembers'; // googleId -> { lobbyId }
+const RUNNERS_NAMESPACE = 'raceLobbyRunners'; // `${lobbyId}:${googleId}` -> runner state, once the race runs
+
+// Server-to-server: every instance caches running races for the location update path
+const LOBBY_STARTED_EVENT = 'raceLobbies:started';
+const LOBBY_CLOSED_EVENT = 'raceLobbies:closed';
+
+/**
+ * Community race lobbies: 3–20 runners racing an ordered list of waypoints.
+ * Duels between two players stay in RaceHandler.
+ *
+ * Lobbies live in the shared state store with runners known by Google ID, so a lobby spans
+ * instances and a runner can reconnect to any of them. Lobby records change through
+ * `store.update`; each runner's progress is its own record, written by the instance that holds
+ * the runner's socket. The lobby room is joined through the user rooms, which reach every instance.
+ */
+class RaceLobbyHandler {
+    /**
+     * @param {object} pool - The PostgreSQL connection pool.
+     * @param {object} io - The Socket.IO server instance.
+     * @param {object} players - Reference to the global players object.
+     * @param {{store: object, clusterPlayers: object}} shared - The state store and ClusterPlayers.
+     */
+    constructor(pool, io, players, { store, clusterPlayers }) {
+        this.pool = pool;
+        this.io = io;
+        this.players = players;
+        this.store = store;
+        this.clusterPlayers = clusterPlayers;
+        this.runningLobbies = new Map(); // lobbyId -> lobby, cached while its race runs
+    }
+
+    start() {
+        this.io.on(LOBBY_STARTED_EVENT, lobby => this.runningLobbies.set(lobby.id, lobby));
+        this.io.on(LOBBY_CLOSED_EVENT, lobbyId => this.runningLobbies.delete(lobbyId));
+    }
+
+    // --- LOBBY LIFECYCLE ---
+
+    async createLobby(hostId, { name, waypoints, courseId, countdownSeconds, checkpointRadius } = {}) {
+        const host = this.players[hostId];
+        if (!host) throw new Error("Player not found.");
+        if (await this.store.get(MEMBERS_NAMESPACE, host.googleId)) throw new Error("You are already in a race lobby.");
+
+        let course = null;
+        if (courseId) {
+            const res = await this.pool.query('SELECT id, name, waypoints, checkpoint_radius_m FROM race_courses WHERE id = $1', [courseId]);
+            if (res.rowCount === 0) throw new Error("Course not found.");
+            course = res.rows[0];
+        }
+
+        const courseWaypoints = validateWaypoints(course ? course.waypoints : waypoints);
+        const lobbyId = `lobby-${hostId}-${Date.now()}`;
+        const lobby = {
+            id: lobbyId,
+            name: name || course?.name || `${host.name}'s race`,
+            hostGoogleId: host.googleId,
+            courseId: course ? course.id : null,
+            waypoints: courseWaypoints,
+            checkpointRadius: clamp(checkpointRadius || course?.checkpoint_radius_m || DEFAULT_CHECKPOINT_RADIUS_METERS, 10, 200),
+            countdownSeconds: clamp(countdownSeconds || DEFAULT_COUNTDOWN_SECONDS, 3, MAX_COUNTDOWN_SECONDS),
+            members: [{ googleId: host.googleId, name: host.name }],
+            status: 'open',
+            createdAt: Date.now(),
+            startsAt: null
+        };
+        await this._claimSeat(host.googleId, lobbyId);
+        await this.store.set(LOBBIES_NAMESPACE, lobbyId, lobby, { ttlMs: LOBBY_RECORD_TTL_MS });
+
+        this.io.in(userRoom(host.googleId)).socketsJoin(this._room(lobbyId));
+        emitToPlayer(this.io, host.googleId, 'raceLobbyCreated', this._serializeLobby(lobby));
+        debug(`Lobby ${lobbyId} created by ${host.name} with ${courseWaypoints.length} waypoints.`);
+        return lobbyId;
+    }
+
+    async joinLobby(playerId, lobbyId) {
+        const player = this.players[playerId];
+        if (!player) throw new Error("Player not found.");
+        const seatClaimed = await this._claimSeat(player.googleId, lobbyId);
+
+        let lobby;
+        try {
+            lobby = await this.store.update(LOBBIES_NAMESPACE, lobbyId, (current) => {
+                if (!current) throw new Error("Race lobby not found.");
+                if (current.status !== 'open') throw new Error("This race has already started.");
+                if (current.members.some(m => m.googleId === player.googleId)) return undefined;
+                if (current.members.length >= MAX_RUNNERS) throw new Error(`This lobby is full (${MAX_RUNNERS} runners).`);
+                return { ...current, members: [...current.members, { googleId: player.googleId, name: player.name }] };
+            }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        } catch (err) {
+            if (seatClaimed) await this.store.deleteIf(MEMBERS_NAMESPACE, player.googleId, 'lobbyId', lobbyId);
+            throw err;
+        }
+
+        this.io.in(userRoom(player.googleId)).socketsJoin(this._room(lobbyId));
+        this._broadcastLobby(lobby);
+        debug(`${player.name} joined lobby ${lobbyId} (${lobby.members.length} runners).`);
+    }
+
+    async leaveLobby(playerId, lobbyId) {
+        const googleId = this.players[playerId]?.googleId;
+        if (googleId) await this._leave(googleId, lobbyId);
+    }
+
+    async startLobby(playerId, lobbyId) {
+        const googleId = this.players[playerId]?.googleId;
+        const startsAt = Date.now();
+        const lobby = await this.store.update(LOBBIES_NAMESPACE, lobbyId, (current) => {
+            if (!current) throw new Error("Race lobby not found.");
+            if (current.hostGoogleId !== googleId) throw new Error("Only the host can start the race.");
+            if (current.status !== 'open') throw new Error("This race has already started.");
+            if (current.members.length < MIN_RUNNERS) throw new Error(`At least ${MIN_RUNNERS} runners are needed to start.`);
+            return { ...current, status: 'countdown', startsAt: startsAt + current.countdownSeconds * 1000 };
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+
+        // The sweep starts the race instead if this instance is gone by then
+        setTimeout(() => {
+            this._beginRace(lobby.id, lobby.startsAt).catch(err => console.error(`[RACE LOBBY] Failed to start ${lobby.id}:`, err));
+        }, lobby.countdownSeconds * 1000);
+
+        this.io.to(this._room(lobby.id)).emit('raceLobbyCountdown', { lobbyId: lobby.id, startsAt: lobby.startsAt, countdownSeconds: lobby.countdownSeconds });
+        debug(`Lobby ${lobby.id} countdown started (${lobby.countdownSeconds}s).`);
+    }
+
+    // `startsAt` tells this countdown apart from a later one after a cancel
+    async _beginRace(lobbyId, startsAt) {
+        let began = false;
+        const startTime = Date.now();
+        const lobby = await this.store.update(LOBBIES_NAMESPACE, lobbyId, (current) => {
+            began = false;
+            if (!current || current.status !== 'countdown' || current.startsAt !== startsAt) return undefined;
+            began = true;
+            return { ...current, status: 'running', startTime, expiresAt: startTime + LOBBY_RACE_TIME_LIMIT_MS };
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        if (!began) return;
+
+        for (const member of lobby.members) {
+            await this.store.set(RUNNERS_NAMESPACE, this._runnerKey(lobbyId, member.googleId), {
+                googleId: member.googleId,
+                name: member.name,
+                nextWaypoint: 0,
+                splits: [], // [{ waypoint, elapsedMs }]
+                finishTimeMs: null,
+                status: 'running' // 'running' | 'finished' | 'dnf'
+            }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        }
+        this.runningLobbies.set(lobbyId, lobby);
+        if (CLUSTERED) this.io.serverSideEmit(LOBBY_STARTED_EVENT, lobby);
+
+        this.io.to(this._room(lobbyId)).emit('raceLobbyStarted', {
+            lobbyId,
+            startTime: lobby.startTime,
+            expiresAt: lobby.expiresAt,
+            waypoints: lobby.waypoints,
+            checkpointRadius: lobby.checkpointRadius
+        });
+        debug(`Lobby race ${lobbyId} started with ${lobby.members.length} runners.`);
+    }
+
+    // --- RACE PROGRESS ---
+
+    async checkProgress(playerId, lat, lng) {
+        const googleId = this.players[playerId]?.googleId;
+        const lobby = googleId ? this._runningLobbyFor(googleId) : null;
+        if (!lobby) return;
+
+        let passed = null;
+        const runner = await this.store.update(RUNNERS_NAMESPACE, this._runnerKey(lobby.id, googleId), (current) => {
+            passed = null;
+            if (!current || current.status !== 'running') return undefined;
+
+            // Checkpoints only count in order: passing a later one first does nothing.
+            const target = lobby.waypoints[current.nextWaypoint];
+            const distanceMeters = turf.distance(turf.point([lng, lat]), turf.point([target.lng, target.lat]), { units: 'meters' });
+            const next = { ...current, distanceToNext: distanceMeters };
+            if (distanceMeters > lobby.checkpointRadius) return next;
+
+            const elapsedMs = Date.now() - lobby.startTime;
+            passed = { waypoint: current.nextWaypoint, elapsedMs };
+            next.splits = [...current.splits, passed];
+            next.nextWaypoint = current.nextWaypoint + 1;
+            if (next.nextWaypoint >= lobby.waypoints.length) {
+                next.status = 'finished';
+                next.finishTimeMs = elapsedMs;
+            }
+            return next;
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        if (!passed) return;
+
+        this.io.to(playerId).emit('raceCheckpointPassed', {
+            lobbyId: lobby.id,
+            waypoint: passed.waypoint,
+            totalWaypoints: lobby.waypoints.length,
+            elapsedMs: passed.elapsedMs
+        });
+        if (runner.status === 'finished') {
+            debug(`${runner.name} finished lobby race ${lobby.id} in ${runner.finishTimeMs}ms.`);
+        }
+
+        const runners = await this._loadRunners(lobby);
+        this._broadcastStandings(lobby, runners);
+        await this._finishIfDone(lobby, runners);
+    }
+
+    /**
+     * Closes lobbies nobody started, starts countdowns whose instance went away, ends races
+     * past the time limit and refreshes live standings. Called periodically by one instance at
+     * a time (see runExclusively in server.js).
+     */
+    async sweepExpired() {
+        const now = Date.now();
+        for (const lobby of (await this.store.getAll(LOBBIES_NAMESPACE)).values()) {
+            if (lobby.status === 'open' && now - lobby.createdAt > OPEN_LOBBY_TTL_MS) {
+                await this._closeLobby(lobby, 'The lobby expired before the race started.');
+            } else if (lobby.status === 'countdown' && now > lobby.startsAt + COUNTDOWN_GRACE_MS) {
+                await this._beginRace(lobby.id, lobby.startsAt);
+            } else if (lobby.status === 'running') {
+                if (now > lobby.expiresAt) {
+                    for (const member of lobby.members) {
+                        await this._markDidNotFinish(lobby, member.googleId);
+                    }
+                    await this._finishIfDone(lobby, await this._loadRunners(lobby));
+                } else {
+                    this._broadcastStandings(lobby, await this._loadRunners(lobby));
+                }
+            }
+        }
+    }
+
+    /** Gives up the lobby seat of a player whose reconnect window closed. */
+    async handleDisconnect(googleId) {
+        // Back already, on another instance: nothing was abandoned
+        if (!googleId || this.clusterPlayers.findByGoogleId(googleId)) return;
+        await this._leave(googleId);
+    }
+
+    /**
+     * Puts a joining player back into their lobby (and race), wherever it was created, so a
+     * dropped connection inside the reconnect window keeps their seat. Called on every join.
+     */
+    async resume(socketId) {
+        const player = this.players[socketId];
+        const seat = player?.googleId && await this.store.get(MEMBERS_NAMESPACE, player.googleId);
+        if (!seat) return;
+        const lobby = await this.store.get(LOBBIES_NAMESPACE, seat.lobbyId);
+        if (!lobby) {
+            await this.store.deleteIf(MEMBERS_NAMESPACE, player.googleId, 'lobbyId', seat.lobbyId);
+            return;
+        }
+        if (lobby.status === 'running') this.runningLobbies.set(lobby.id, lobby);
+
+        const runner = lobby.status === 'running'
+            ? await this.store.get(RUNNERS_NAMESPACE, this._runnerKey(lobby.id, player.googleId))
+            : null;
+        this.io.sockets.sockets.get(socketId)?.join(this._room(lobby.id));
+        this.io.to(socketId).emit('raceLobbyResumed', {
+            ...this._serializeLobby(lobby),
+            startTime: lobby.startTime || null,
+            expiresAt: lobby.expiresAt || null,
+            nextWaypoint: runner?.nextWaypoint ?? null
+        });
+        debug(`${player.name} re-attached to lobby ${lobby.id}.`);
+    }
+
+    async _leave(googleId, lobbyId) {
+        if (!lobbyId) lobbyId = (await this.store.get(MEMBERS_NAMESPACE, googleId))?.lobbyId;
+        if (!lobbyId) return;
+
+        let left = false;
+        let countdownCancelled = false;
+        const lobby = await this.store.update(LOBBIES_NAMESPACE, lobbyId, (current) => {
+            left = false;
+            countdownCancelled = false;
+            if (!current || !current.members.some(m => m.googleId === googleId)) return undefined;
+            if (current.status === 'running' || current.status === 'finished') return undefined;
+
+            left = true;
+            const next = { ...current, members: current.members.filter(m => m.googleId !== googleId) };
+            if (next.members.length > 0 && next.hostGoogleId === googleId) {
+                next.hostGoogleId = next.members[0].googleId;
+            }
+            if (next.status === 'countdown' && next.members.length < MIN_RUNNERS) {
+                next.status = 'open';
+                next.startsAt = null;
+                countdownCancelled = true;
+            }
+            return next;
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+
+        if (lobby?.status === 'running' && lobby.members.some(m => m.googleId === googleId)) {
+            if (await this._markDidNotFinish(lobby, googleId)) {
+                const runners = await this._loadRunners(lobby);
+                this._broadcastStandings(lobby, runners);
+                await this._finishIfDone(lobby, runners);
+            }
+            return;
+        }
+        if (!left) return;
+
+        await this.store.deleteIf(MEMBERS_NAMESPACE, googleId, 'lobbyId', lobbyId);
+        this.io.in(userRoom(googleId)).socketsLeave(this._room(lobbyId));
+        emitToPlayer(this.io, googleId, 'raceLobbyLeft', { lobbyId });
+
+        if (lobby.members.length === 0) {
+            await this._closeLobby(lobby, 'Everyone left the lobby.');
+            return;
+        }
+        if (countdownCancelled) {
+            this.io.to(this._room(lobbyId)).emit('raceLobbyCountdownCancelled', { lobbyId, reason: 'Not enough runners.' });
+        }
+        this._broadcastLobby(lobby);
+    }
+
+    async _markDidNotFinish(lobby, googleId) {
+        let marked = false;
+        const runner = await this.store.update(RUNNERS_NAMESPACE, this._runnerKey(lobby.id, googleId), (current) => {
+            marked = false;
+            if (!current || current.status !== 'running') return undefined;
+            marked = true;
+            return { ...current, status: 'dnf' };
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        if (marked) debug(`${runner.name} left lobby race ${lobby.id} (DNF).`);
+        return marked;
+    }
+
+    async _finishIfDone(lobby, runners) {
+        if (Object.values(runners).some(runner => runner.status === 'running')) return;
+        // Only the instance that moves the lobby to `finished` completes it
+        let finished = false;
+        await this.store.update(LOBBIES_NAMESPACE, lobby.id, (current) => {
+            finished = false;
+            if (!current || current.status !== 'running') return undefined;
+            finished = true;
+            return { ...current, status: 'finished' };
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        if (finished) await this._completeRace(lobby, runners);
+    }
+
+    async _completeRace(lobby, runners) {
+        lobby.endTime = Date.now();
+        const results = this._buildResults(runners);
+
+        let ratingChanges = {};
+        try {
+            ratingChanges = await this._persistResults(lobby, results);
+        } catch (err) {
+            console.error(`[RACE LOBBY] Failed to persist results for ${lobby.id}:`, err);
+        }
+
+        this.io.to(this._room(lobby.id)).emit('raceResults', {
+            lobbyId: lobby.id,
+            waypoints: lobby.waypoints,
+            results: results.map(r => ({ ...r, rating: ratingChanges[r.googleId] || null }))
+        });
+        debug(`Lobby race ${lobby.id} complete.`);
+        await this._closeLobby(lobby, null);
+    }
+
+    /**
+     * Final results table: finishers by time, then DNFs by checkpoints reached.
+     * Each split carries both the elapsed race time and the time for that leg.
+     */
+    _buildResults(runners) {
+        const ranked = this._rankRunners(runners);
+        let place = 0;
+        return ranked.map(({ runner }) => {
+            if (runner.status === 'finished') place++;
+            return {
+                googleId: runner.googleId,
+                name: runner.name,
+                place: runner.status === 'finished' ? place : null,
+                status: runner.status,
+                finishTimeMs: runner.finishTimeMs,
+                checkpointsPassed: runner.splits.length,
+                splits: runner.splits.map((split, i) => ({
+                    waypoint: split.waypoint,
+                    elapsedMs: split.elapsedMs,
+                    legMs: split.elapsedMs - (i > 0 ? runner.splits[i - 1].elapsedMs : 0)
+                }))
+            };
+        });
+    }
+
+    _rankRunners(runners) {
+        return Object.entries(runners)
+            .map(([googleId, runner]) => ({ googleId, runner }))
+            .sort((a, b) => {
+                const ra = a.runner, rb = b.runner;
+                if (ra.status === 'finished' && rb.status === 'finished') return ra.finishTimeMs - rb.finishTimeMs;
+                if (ra.status === 'finished') return -1;
+                if (rb.status === 'finished') return 1;
+                if (rb.splits.length !== ra.splits.length) return rb.splits.length - ra.splits.length;
+                if (ra.splits.length > 0) {
+                    const lastA = ra.splits[ra.splits.length - 1].elapsedMs;
+                    const lastB = rb.splits[rb.splits.length - 1].elapsedMs;
+                    if (lastA !== lastB) return lastA - lastB;
+                }
+                return (ra.distanceToNext ?? Infinity) - (rb.distanceToNext ?? Infinity);
+            });
+    }
+
+    _broadcastStandings(lobby, runners) {
+        const standings = this._rankRunners(runners).map(({ runner }, index) => ({
+            position: index + 1,
+            name: runner.name,
+            googleId: runner.googleId,
+            status: runner.status,
+            checkpointsPassed: runner.splits.length,
+            distanceToNextMeters: runner.status === 'running' && runner.distanceToNext !== undefined ? Math.round(runner.distanceToNext) : null,
+            finishTimeMs: runner.finishTimeMs
+        }));
+        this.io.to(this._room(lobby.id)).emit('raceStandings', {
+            lobbyId: lobby.id,
+            elapsedMs: Date.now() - lobby.startTime,
+            totalWaypoints: lobby.waypoints.length,
+            standings
+        });
+    }
+
+    async _persistResults(lobby, results) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const changes = await applyRatingChanges(client, results.filter(r => r.googleId).map(r => ({
+                id: r.googleId,
+                place: r.place
+            })));
+
+            const raceRes = await client.query(
+                `INSERT INTO lobby_races (race_key, name, course_id, host_id, waypoints, started_at, ended_at)
+                 VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0), to_timestamp($7 / 1000.0)) RETURNING id`,
+                [lobby.id, lobby.name, lobby.courseId, lobby.hostGoogleId, JSON.stringify(lobby.waypoints), lobby.startTime, lobby.endTime]
+            );
+            const raceId = raceRes.rows[0].id;
+
+            for (const result of results) {
+                if (!result.googleId) continue;
+                await client.query(
+                    `INSERT INTO lobby_race_results (lobby_race_id, user_id, place, status, finish_time_ms, splits, rating_change)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                    [raceId, result.googleId, result.place, result.status, result.finishTimeMs, JSON.stringify(result.splits), changes[result.googleId]?.change ?? 0]
+                );
+            }
+
+            await client.query('COMMIT');
+            return changes;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // --- HELPERS ---
+
+    // Takes the player's one lobby seat; throws when they already sit in another lobby.
+    // Resolves to false when they already had this one.
+    async _claimSeat(googleId, lobbyId) {
+        let claimed = false;
+        await this.store.update(MEMBERS_NAMESPACE, googleId, (current) => {
+            claimed = false;
+            if (current?.lobbyId === lobbyId) return undefined;
+            if (current) throw new Error("You are already in a race lobby.");
+            claimed = true;
+            return { lobbyId };
+        }, { ttlMs: LOBBY_RECORD_TTL_MS });
+        return claimed;
+    }
+
+    async _closeLobby(lobby, reason) {
+        if (!(await this.store.deleteIf(LOBBIES_NAMESPACE, lobby.id, 'id', lobby.id))) return;
+        this.runningLobbies.delete(lobby.id);
+        if (CLUSTERED) this.io.serverSideEmit(LOBBY_CLOSED_EVENT, lobby.id);
+        for (const member of lobby.members) {
+            await this.store.deleteIf(MEMBERS_NAMESPACE, member.googleId, 'lobbyId', lobby.id);
+            await this.store.delete(RUNNERS_NAMESPACE, this._runnerKey(lobby.id, member.googleId));
+        }
+        if (reason) {
+            this.io.to(this._room(lobby.id)).emit('raceLobbyClosed', { lobbyId: lobby.id, reason });
+        }
+        this.io.in(this._room(lobby.id)).socketsLeave(this._room(lobby.id));
+        debug(`Lobby ${lobby.id} closed.${reason ? ` Reason: ${reason}` : ''}`);
+    }
+
+    _broadcastLobby(lobby) {
+        this.io.to(this._room(lobby.id)).emit('raceLobbyUpdated', this._serializeLobby(lobby));
+    }
+
+    _serializeLobby(lobby) {
+        return {
+            lobbyId: lobby.id,
+            name: lobby.name,
+            hostName: lobby.members.find(m => m.googleId === lobby.hostGoogleId)?.name || 'Unknown',
+            courseId: lobby.courseId,
+            waypoints: lobby.waypoints,
+            checkpointRadius: lobby.checkpointRadius,
+            countdownSeconds: lobby.countdownSeconds,
+            status: lobby.status,
+            minRunners: MIN_RUNNERS,
+            maxRunners: MAX_RUNNERS,
+            runners: lobby.members.map(m => ({ name: m.name, isHost: m.googleId === lobby.hostGoogleId }))
+        };
+    }
+
+    /** @returns {Promise<Object>} Runner state keyed by Google ID. */
+    async _loadRunners(lobby) {
+        const runners = {};
+        for (const member of lobby.members) {
+            const runner = await this.store.get(RUNNERS_NAMESPACE, this._runnerKey(lobby.id, member.googleId));
+            if (runner) runners[member.googleId] = runner;
+        }
+        return runners;
+    }
+
+    _runningLobbyFor(googleId) {
+        for (const lobby of this.runningLobbies.values()) {
+            if (Date.now() > lobby.expiresAt) {
+                this.runningLobbies.delete(lobby.id); // over; the sweep finishes it from the store
+                continue;
+            }
+            if (lobby.members.some(m => m.googleId === googleId)) return lobby;
+        }
+        return null;
+    }
+
+    _runnerKey(lobbyId, googleId) {
+        return `${lobbyId}:${googleId}`;
+    }
+
+    _room(lobbyId) {
+        return `race:${lobbyId}`;
+    }
+}
+
+/**
+ * Normalizes a waypoint list to [{ lat, lng }] and enforces the course size limits.
+ * @param {Array} waypoints
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function validateWaypoints(waypoints) {
+    if (!Array.isArray(waypoints) || waypoints.length < MIN_WAYPOINTS || waypoints.length > MAX_WAYPOINTS) {
+        throw new Error(`A course needs between ${MIN_WAYPOINTS} and ${MAX_WAYPOINTS} waypoints.`);
+    }
+    return waypoints.map(wp => {
+        if (!wp || typeof wp.lat !== 'number' || typeof wp.lng !== 'number') {
+            throw new Error('Every waypoint needs numeric lat and lng.');
+        }
+        return { lat: wp.lat, lng: wp.lng };
+    });
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+module.exports = RaceLobbyHandler;
+module.exports.validateWaypoints = validateWaypoints;
@@ -0,0 +1,75 @@
+// game_logic/race_rating.js
+
+const DEFAULT_RACE_RATING = 1200;
+const K_FACTOR = 32;
+
+/**
+ * Expected score of a player rated `ratingA` against one rated `ratingB` (0..1).
+ */
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Computes Elo rating changes for a finished race. Every pair of runners is scored as a
+ * head-to-head result (lower place wins, equal places draw) and the K-factor is shared
+ * across opponents so a 10-runner race moves ratings about as much as a duel.
+ * @param {Array<{id: string, rating: number, place: number|null}>} results
+ *   `place` is 1-based; null means the runner did not finish and ranks below every finisher.
+ * @returns {Object<string, {oldRating: number, newRating: number, change: number}>}
+ */
+function calculateRatingChanges(results) {
+    const changes = {};
+    const opponents = Math.max(1, results.length - 1);
+    const placeOf = r => (r.place === null || r.place === undefined ? Infinity : r.place);
+
+    for (const runner of results) {
+        const rating = runner.rating ?? DEFAULT_RACE_RATING;
+        let delta = 0;
+        for (const other of results) {
+            if (other.id === runner.id) continue;
+            const otherRating = other.rating ?? DEFAULT_RACE_RATING;
+            const score = placeOf(runner) < placeOf(other) ? 1 : placeOf(runner) === placeOf(other) ? 0.5 : 0;
+            delta += (K_FACTOR / opponents) * (score - expectedScore(rating, otherRating));
+        }
+        const newRating = Math.round(rating + delta);
+        changes[runner.id] = { oldRating: rating, newRating, change: newRating - rating };
+    }
+    return changes;
+}
+
+/**
+ * Applies the Elo update for a finished race inside the caller's transaction. The runners'
+ * `race_ratings` rows are created when missing and locked before they are read, so races that
+ * finish at the same time are applied one after the other instead of overwriting each other.
+ * @param {object} client - A PostgreSQL client with an open transaction.
+ * @param {Array<{id: string, place: number|null}>} results - Runners by Google ID, as for calculateRatingChanges.
+ * @returns {Promise<Object<string, {oldRating: number, newRating: number, change: number}>>}
+ */
+async function applyRatingChanges(client, results) {
+    if (results.length === 0) return {};
+    // Sorted, so concurrent races take their row locks in the same order
+    const playerIds = [...new Set(results.map(r => r.id))].sort();
+    await client.query(
+        `INSERT INTO race_ratings (player_id, rating)
+         SELECT unnest($1::varchar[]), $2
+         ON CONFLICT (player_id) DO NOTHING`,
+        [playerIds, DEFAULT_RACE_RATING]
+    );
+    const ratingRes = await client.query(
+        'SELECT player_id, rating FROM race_ratings WHERE player_id = ANY($1::varchar[]) ORDER BY player_id FOR UPDATE',
+        [playerIds]
+    );
+    const currentRatings = ratingRes.rows.reduce((acc, row) => {
+        acc[row.player_id] = row.rating;
+        return acc;
+    }, {});
+
+    const changes = calculateRatingChanges(results.map(r => ({ ...r, rating: currentRatings[r.id] ?? DEFAULT_RACE_RATING })));
+    for (const [playerId, change] of Object.entries(changes)) {
+        await client.query('UPDATE race_ratings SET rating = $1, updated_at = NOW() WHERE player_id = $2', [change.newRating, playerId]);
+    }
+    return changes;
+}
+
+module.exports = { calculateRatingChanges, applyRatingChanges, expectedScore, DEFAULT_RACE_RATING };
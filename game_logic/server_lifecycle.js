@@ -0,0 +1,120 @@
+// game_logic/server_lifecycle.js
+
+const debug = require('debug')('server:lifecycle');
+
+const LIFECYCLE_LIMITS = {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000,
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || 15000
+};
+
+/**
+ * Tracks whether this instance can take traffic: startup (database setup and state restore),
+ * the dependency checks behind `/healthz` and `/readyz`, and draining on shutdown, when new
+ * work is refused and in-flight work is waited for.
+ */
+class ServerLifecycle {
+    /**
+     * @param {object} pool - The PostgreSQL connection pool.
+     * @param {{isFirebaseReady: function(): boolean}} dependencies
+     */
+    constructor(pool, { isFirebaseReady }) {
+        this.pool = pool;
+        this.isFirebaseReady = isFirebaseReady;
+        this.started = false;
+        this.draining = false;
+        this.inFlight = new Set(); // labels of work that has to finish before the pool is closed
+        this.idleWaiters = [];
+    }
+
+    markStarted() {
+        this.started = true;
+        debug('Startup complete, ready for traffic.');
+    }
+
+    startDraining() {
+        this.draining = true;
+        debug(`Draining with ${this.inFlight.size} operation(s) in flight.`);
+    }
+
+    /**
+     * Registers work that must not be cut off by a shutdown, e.g. a claim transaction.
+     * @returns {function(): void} Call once the work is done, whatever the outcome.
+     */
+    begin(label) {
+        const token = { label };
+        this.inFlight.add(token);
+        return () => {
+            if (!this.inFlight.delete(token) || this.inFlight.size > 0) return;
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        };
+    }
+
+    /** @returns {Promise<boolean>} False when the timeout ran out with work still in flight. */
+    waitForIdle(timeoutMs = LIFECYCLE_LIMITS.drainTimeoutMs) {
+        if (this.inFlight.size === 0) return Promise.resolve(true);
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                debug(`Gave up waiting for: ${[...this.inFlight].map(t => t.label).join(', ')}`);
+                resolve(false);
+            }, timeoutMs);
+            this.idleWaiters.push(() => {
+                clearTimeout(timer);
+                resolve(true);
+            });
+        });
+    }
+
+    // --- HEALTH CHECKS ---
+
+    /**
+     * Liveness: the process is up and can reach Postgres with PostGIS.
+     * @returns {Promise<{ok: boolean, checks: object}>}
+     */
+    async liveness() {
+        const checks = await this._dependencyChecks();
+        return { ok: checks.database.ok && checks.postgis.ok, checks };
+    }
+
+    /**
+     * Readiness: live, Firebase can verify tokens, startup has finished and we are not draining.
+     * @returns {Promise<{ok: boolean, checks: object}>}
+     */
+    async readiness() {
+        const checks = await this._dependencyChecks();
+        checks.firebase = { ok: this.isFirebaseReady() };
+        checks.startup = { ok: this.started };
+        checks.draining = { ok: !this.draining };
+        return { ok: Object.values(checks).every(check => check.ok), checks };
+    }
+
+    async _dependencyChecks() {
+        const pool = {
+            total: this.pool.totalCount,
+            idle: this.pool.idleCount,
+            waiting: this.pool.waitingCount
+        };
+        const database = await this._check(async () => { await this.pool.query('SELECT 1'); });
+        const postgis = database.ok
+            ? await this._check(async () => ({ version: (await this.pool.query('SELECT PostGIS_Version() AS version')).rows[0].version }))
+            : { ok: false, error: 'database unavailable' };
+        return { database: { ...database, pool }, postgis };
+    }
+
+    async _check(probe) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${LIFECYCLE_LIMITS.checkTimeoutMs}ms.`)), LIFECYCLE_LIMITS.checkTimeoutMs);
+        });
+        try {
+            const details = await Promise.race([probe(), timeout]);
+            return { ok: true, ...details };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+
+module.exports = { ServerLifecycle, LIFECYCLE_LIMITS };
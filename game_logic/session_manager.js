@@ -0,0 +1,268 @@
+// game_logic/session_manager.js
+
+const debug = require('debug')('server:socket:sessions');
+const { INSTANCE_ID, CLUSTERED } = require('./state_store');
+
+const DISCONNECT_TRAIL_PERSIST_SECONDS = parseInt(process.env.DISCONNECT_TRAIL_PERSIST_SECONDS, 10) || 60;
+
+const PARKED_NAMESPACE = 'parkedSessions'; // googleId -> { instanceId, socketId, gameMode, expiresAt }
+const HANDOVER_EVENT = 'sessions:handover'; // server-to-server, see resume
+
+// The parts of a player that make up a run in progress; everything else is reloaded on join.
+const LIVE_STATE_FIELDS = [
+    'isDrawing', 'activeTrail', 'lastKnownPosition', 'blockedZoneId', 'cooldownUntil',
+    'isGhostRunnerActive', 'isLastStandActive', 'isInfiltratorActive', 'isTrailDefenseActive', 'isReclaimBaseActive',
+    'isConquering', 'conquerTargetId', 'conquerLapsCompleted'
+];
+
+// Live run state lives on the socket-keyed player for the hot path. When a socket drops it is
+// parked here under the Google ID, and the shared state store records which instance holds it,
+// so the player's next socket can pick it up wherever it lands (see resume).
+// Arenas and conquests are kept in the shared state store instead (see ConquestHandler).
+class SessionManager {
+    /**
+     * @param {object} pool - The PostgreSQL connection pool.
+     * @param {object} io - The Socket.IO server instance.
+     * @param {object} players - Reference to the global players object.
+     * @param {{store: object, onExpired?: function(string|null, string): void, onMoved?: function(string): void}} options -
+     *   The state store and hooks: `onExpired` cleans up after a session nobody came back for, with
+     *   the socket id it was parked from and the Google ID; `onMoved` gets the socket id a session
+     *   was parked from once it has been handed to another instance.
+     */
+    constructor(pool, io, players, { store, onExpired, onMoved } = {}) {
+        this.pool = pool;
+        this.io = io;
+        this.players = players;
+        this.store = store;
+        this.onExpired = onExpired || (() => {});
+        this.onMoved = onMoved || (() => {});
+        this.dormant = new Map(); // googleId -> { socketId, gameMode, state, movementValidator, expiresAt, timer }
+        this.saved = false; // set by saveAll on shutdown, after which runs are resumed from the table
+    }
+
+    start() {
+        if (!CLUSTERED) return;
+        this.io.on(HANDOVER_EVENT, (googleId, gameMode, callback) => callback(this._handOver(googleId, gameMode)));
+    }
+
+    // --- RECONNECTS ---
+
+    /** Parks a disconnecting player's run under their Google ID for DISCONNECT_TRAIL_PERSIST_SECONDS. */
+    park(socketId) {
+        const player = this.players[socketId];
+        if (!player || !player.googleId || this.saved) return;
+
+        this._discard(player.googleId);
+        const expiresAt = Date.now() + DISCONNECT_TRAIL_PERSIST_SECONDS * 1000;
+        this._store(player.googleId, {
+            socketId,
+            gameMode: player.gameMode,
+            state: captureState(player),
+            movementValidator: player.movementValidator,
+            expiresAt
+        });
+        this.store.set(PARKED_NAMESPACE, player.googleId, { instanceId: INSTANCE_ID, socketId, gameMode: player.gameMode, expiresAt }, {
+            ttlMs: DISCONNECT_TRAIL_PERSIST_SECONDS * 1000
+        }).catch(err => console.error(`[SESSIONS] Failed to record parked session of ${player.googleId}:`, err));
+        debug(`Parked session of ${player.name} (${player.googleId}) from socket ${socketId}.`);
+    }
+
+    /**
+     * Moves a parked run onto the player's new socket: from this instance, from the instance the
+     * old socket was on, or from `live_sessions` after a restart, in that order. Sessions from
+     * another game mode are dropped rather than carried over.
+     * @returns {Promise<object|null>} The resumed session, with the `socketId` it was parked from.
+     */
+    async resume(socketId) {
+        const player = this.players[socketId];
+        if (!player?.googleId) return null;
+        const { googleId } = player;
+
+        const session = this.dormant.get(googleId);
+        if (session) {
+            if (session.gameMode !== player.gameMode) {
+                debug(`Dropping parked [${session.gameMode}] session of ${player.name}, rejoined in [${player.gameMode}].`);
+                this._discard(googleId);
+                return null;
+            }
+            clearTimeout(session.timer);
+            this.dormant.delete(googleId);
+            this._forgetParked(googleId, session.socketId);
+            Object.assign(player, this._stateOf(session));
+            if (session.movementValidator) player.movementValidator = session.movementValidator;
+            if (session.socketId && session.socketId !== socketId) delete this.players[session.socketId];
+            debug(`Resumed session of ${player.name} on socket ${socketId} (was ${session.socketId}).`);
+            return session;
+        }
+
+        const handedOver = await this._requestHandover(googleId, player.gameMode);
+        // The handover already carries the latest state, so a row saved by a draining owner is stale
+        const res = await this.pool.query(
+            'DELETE FROM live_sessions WHERE player_id = $1 AND expires_at > NOW() RETURNING game_mode, state',
+            [googleId]
+        );
+        if (!this.players[socketId]) return null; // disconnected while we were asking
+
+        if (handedOver) {
+            Object.assign(player, handedOver.state);
+            if (handedOver.movement) Object.assign(player.movementValidator, handedOver.movement);
+            debug(`Resumed session of ${player.name} on socket ${socketId}, handed over from ${handedOver.socketId}.`);
+            return { socketId: handedOver.socketId, gameMode: handedOver.gameMode, state: handedOver.state };
+        }
+
+        const row = res.rows[0];
+        if (!row) return null;
+        if (row.game_mode !== player.gameMode) {
+            debug(`Dropping saved [${row.game_mode}] session of ${player.name}, rejoined in [${player.gameMode}].`);
+            return null;
+        }
+        Object.assign(player, row.state);
+        debug(`Restored saved session of ${player.name} on socket ${socketId}.`);
+        return { socketId: null, gameMode: row.game_mode, state: row.state };
+    }
+
+    // Asks the instance that parked this player's session for it
+    async _requestHandover(googleId, gameMode) {
+        if (!CLUSTERED) return null;
+        const parked = await this.store.get(PARKED_NAMESPACE, googleId);
+        if (!parked || parked.instanceId === INSTANCE_ID) return null;
+        try {
+            const results = await this.io.serverSideEmitWithAck(HANDOVER_EVENT, googleId, gameMode);
+            return results.find(result => result) || null;
+        } catch (err) {
+            console.error(`[SESSIONS] Failed to take over the session of ${googleId} from ${parked.instanceId}:`, err);
+            return null;
+        }
+    }
+
+    // Gives a parked session up to the instance the player reconnected to
+    _handOver(googleId, gameMode) {
+        const session = this.dormant.get(googleId);
+        if (!session) return null;
+        if (session.gameMode !== gameMode) {
+            this._discard(googleId);
+            return null;
+        }
+        clearTimeout(session.timer);
+        this.dormant.delete(googleId);
+        this._forgetParked(googleId, session.socketId);
+        const state = this._stateOf(session);
+        const validator = session.movementValidator;
+        if (session.socketId) {
+            delete this.players[session.socketId];
+            this.onMoved(session.socketId);
+        }
+        debug(`Handed session of ${googleId} over to another instance.`);
+        return {
+            socketId: session.socketId,
+            gameMode: session.gameMode,
+            state,
+            movement: validator ? { lastPoint: validator.lastPoint, violations: validator.violations } : null
+        };
+    }
+
+    // --- RESTARTS ---
+
+    /**
+     * Writes every live run on this instance, online or parked, to `live_sessions` so it can be
+     * resumed after a restart, on whichever instance the player reconnects to. Online players get
+     * a fresh DISCONNECT_TRAIL_PERSIST_SECONDS window.
+     */
+    async saveAll() {
+        this.saved = true;
+        const sessions = new Map();
+        const expiresAt = Date.now() + DISCONNECT_TRAIL_PERSIST_SECONDS * 1000;
+        // Parked first: a drawing player's entry is still in `players` but keeps its own expiry
+        for (const [googleId, session] of this.dormant) {
+            sessions.set(googleId, { gameMode: session.gameMode, state: this._stateOf(session), expiresAt: session.expiresAt });
+        }
+        for (const player of Object.values(this.players)) {
+            if (!player.googleId || sessions.has(player.googleId)) continue;
+            sessions.set(player.googleId, { gameMode: player.gameMode, state: captureState(player), expiresAt });
+        }
+        if (sessions.size === 0) return 0;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const [googleId, session] of sessions) {
+                await client.query(
+                    `INSERT INTO live_sessions (player_id, game_mode, state, expires_at)
+                     VALUES ($1, $2, $3, to_timestamp($4 / 1000.0))
+                     ON CONFLICT (player_id) DO UPDATE SET
+                        game_mode = EXCLUDED.game_mode, state = EXCLUDED.state,
+                        saved_at = NOW(), expires_at = EXCLUDED.expires_at`,
+                    [googleId, session.gameMode, JSON.stringify(session.state), session.expiresAt]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+        // Players reconnecting elsewhere now read their run from the table instead of asking us
+        for (const [googleId, session] of this.dormant) {
+            await this._forgetParked(googleId, session.socketId);
+        }
+        debug(`Saved ${sessions.size} live session(s).`);
+        return sessions.size;
+    }
+
+    /**
+     * Purges sessions saved before the last shutdown that nobody came back for. The rest stay in
+     * `live_sessions` until their player rejoins (see resume), since any instance may get them.
+     */
+    async restoreState() {
+        const res = await this.pool.query('DELETE FROM live_sessions WHERE expires_at <= NOW()');
+        debug(`Purged ${res.rowCount} expired live session(s).`);
+    }
+
+    // --- HELPERS ---
+
+    // A drawing player's entry stays in `players` while parked and can still be cut (or otherwise
+    // changed) in the meantime, so it wins over the snapshot taken when the socket dropped.
+    _stateOf(session) {
+        const parkedPlayer = session.socketId ? this.players[session.socketId] : null;
+        return parkedPlayer ? captureState(parkedPlayer) : session.state;
+    }
+
+    _store(googleId, session) {
+        session.timer = setTimeout(() => {
+            if (this.dormant.get(googleId) !== session) return;
+            this.dormant.delete(googleId);
+            this._forgetParked(googleId, session.socketId);
+            debug(`Session of ${googleId} expired.`);
+            this.onExpired(session.socketId, googleId);
+        }, Math.max(0, session.expiresAt - Date.now()));
+        this.dormant.set(googleId, session);
+    }
+
+    _discard(googleId) {
+        const session = this.dormant.get(googleId);
+        if (!session) return;
+        clearTimeout(session.timer);
+        this.dormant.delete(googleId);
+        this._forgetParked(googleId, session.socketId);
+        this.onExpired(session.socketId, googleId);
+    }
+
+    // Only this parking's record: a newer one may already point at another instance
+    _forgetParked(googleId, socketId) {
+        if (!socketId) return Promise.resolve();
+        return this.store.deleteIf(PARKED_NAMESPACE, googleId, 'socketId', socketId)
+            .catch(err => console.error(`[SESSIONS] Failed to clear parked session record of ${googleId}:`, err));
+    }
+}
+
+function captureState(player) {
+    const state = {};
+    for (const field of LIVE_STATE_FIELDS) {
+        if (player[field] !== undefined) state[field] = player[field];
+    }
+    return state;
+}
+
+
+module.exports = { SessionManager, DISCONNECT_TRAIL_PERSIST_SECONDS };
@@ -2,6 +2,8 @@
 
 const turf = require('@turf/turf');
 const { updateQuestProgress } = require('./quest_handler');
+const { captureTerritories, recordTerritoryEvents } = require('./territory_events');
+const { emitToPlayer } = require('./player_directory');
 const debug = require('debug')('server:game');
 
 const SOLO_BASE_RADIUS_METERS = 30.0;
@@ -11,7 +13,7 @@ const SOLO_BASE_RADIUS_METERS = 30.0;
  * - 'territoryWar' & 'areaCapture': Enables area stealing, shield checks, and island creation.
  * - 'singleRun': A simple, non-destructive area claim.
  */
-async function handleSoloClaim(io, socket, player, players, req, client, superpowerManager) {
+async function handleSoloClaim(io, socket, player, players, req, client, superpowerManager, geofenceService) {
     debug(`\n\n[SOLO_HANDLER] =================== NEW SOLO CLAIM ===================`);
 
     const { trail, baseClaim } = req;
@@ -77,6 +79,19 @@ async function handleSoloClaim(io, socket, player, players, req, client, superpo
         throw err;
     }
 
+    // --- GEOFENCE: nobody can own land inside a blocked zone ---
+    if (geofenceService) {
+        const { geometry: playableGeometry, wasClipped } = await geofenceService.clipToPlayableArea(client, newAreaPolygon.geometry);
+        if (!playableGeometry) {
+            throw new Error('This area is inside a restricted zone and cannot be claimed.');
+        }
+        if (wasClipped) {
+            newAreaPolygon = turf.feature(playableGeometry);
+            newAreaSqM = turf.area(newAreaPolygon);
+            debug(`[SOLO_HANDLER] Claim clipped against blocked zones. Remaining area: ${newAreaSqM.toFixed(2)} sqm`);
+        }
+    }
+
     let newAreaWKT = `ST_MakeValid(ST_GeomFromGeoJSON('${JSON.stringify(newAreaPolygon.geometry)}'))`;
     const affectedOwnerIds = new Set([userId]);
     // --- COMPETITIVE LOGIC FOR TERRITORY WAR & AREA CAPTURE ---
@@ -122,14 +137,22 @@ async function handleSoloClaim(io, socket, player, players, req, client, superpo
                         debug(`[SOLO_HANDLER][COMPETITIVE] Wiping out player ${wipedId} (Area: ${row.area_sqm})`);
 
                         // Delete the wiped territory
+                        // The row is also the player's profile, so keep a copy an admin rollback can re-create it from
+                        const wipedBefore = await captureTerritories(client, 'owner_id = $1 AND game_mode = $2', [wipedId, player.gameMode]);
+                        const wipedProfiles = await client.query(
+                            `SELECT to_jsonb(t) - 'area' - 'original_base_point' AS profile, original_base_point AS "basePoint"
+                             FROM territories t WHERE owner_id = $1 AND game_mode = $2`,
+                            [wipedId, player.gameMode]
+                        );
                         await client.query(`DELETE FROM territories WHERE owner_id = $1 AND game_mode = $2`, [wipedId, player.gameMode]);
+                        await recordTerritoryEvents(client, 'wipeout', wipedBefore, new Map(), {
+                            actorId: userId,
+                            details: { profiles: wipedProfiles.rows }
+                        });
 
                         // Notify the wiped player
-                        const wipedSocketId = Object.keys(players).find(id => players[id].googleId === wipedId);
-                        if (wipedSocketId) {
-                            io.to(wipedSocketId).emit('territoryWiped', { by: player.name });
-                            io.to(wipedSocketId).emit('info', { message: `You were WIPED OUT by ${player.name}!` });
-                        }
+                        emitToPlayer(io, wipedId, 'territoryWiped', { by: player.name });
+                        emitToPlayer(io, wipedId, 'info', { message: `You were WIPED OUT by ${player.name}!` });
 
                         // Remove from unshielded list so we don't try to clip them later
                         const index = unshieldedVictimIds.indexOf(wipedId);
@@ -177,12 +200,15 @@ async function handleSoloClaim(io, socket, player, players, req, client, superpo
                 unshieldedVictimIds.forEach(id => affectedOwnerIds.add(id));
 
                 // We update the VICTIMS to subtract the new area from them
+                const stealBefore = await captureTerritories(client, 'owner_id = ANY($1::varchar[]) AND game_mode = $2', [unshieldedVictimIds, player.gameMode]);
                 await client.query(`
                     UPDATE territories 
                     SET area = ST_Multi(ST_Difference(area, ${newAreaWKT})),
                         area_sqm = ST_Area(ST_Difference(area, ${newAreaWKT})::geography)
                     WHERE owner_id = ANY($1::varchar[]) AND game_mode = $2
                 `, [unshieldedVictimIds, player.gameMode]);
+                const stealAfter = await captureTerritories(client, 'id = ANY($1::int[])', [[...stealBefore.keys()]]);
+                await recordTerritoryEvents(client, 'steal', stealBefore, stealAfter, { actorId: userId });
 
                 // Note: We don't change newAreaPolygon here because the attacker takes the full area.
             }
@@ -290,6 +316,7 @@ async function handleSoloClaim(io, socket, player, players, req, client, superpo
     debug(`[SOLO_HANDLER] Final total area for ${player.name}: ${finalAreaSqM.toFixed(2)} sqm`);
 
     let updateResult;
+    const claimBefore = await captureTerritories(client, 'owner_id = $1 AND game_mode = $2', [userId, player.gameMode]);
 
     // Determine if we should INSERT (new disconnected base or FIRST base) or UPDATE (merge)
     // We INSERT if:
@@ -342,6 +369,12 @@ async function handleSoloClaim(io, socket, player, players, req, client, superpo
         newTerritoryId = updateResult.rows[0].id;
     }
 
+    const claimAfter = await captureTerritories(client, 'owner_id = $1 AND game_mode = $2', [userId, player.gameMode]);
+    await recordTerritoryEvents(client, 'claim', claimBefore, claimAfter, {
+        actorId: userId,
+        details: { areaClaimed: newAreaSqM, isInitialBaseClaim }
+    });
+
     await updateQuestProgress(userId, 'cover_area', Math.round(newAreaSqM), client, io, players);
 
     if (!isInitialBaseClaim && trail && trail.length > 0) {
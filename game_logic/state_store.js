@@ -0,0 +1,386 @@
+// game_logic/state_store.js
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createAdapter: createClusterAdapter } = require('@socket.io/cluster-adapter');
+const debug = require('debug')('server:state');
+
+// Identifies this process in shared state, e.g. which instance holds a player's socket
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Instances share players through Redis, or through the primary process when started by cluster.js
+const CLUSTERED = Boolean(process.env.REDIS_URL) || cluster.isWorker;
+
+// How long serverSideEmitWithAck waits for the other instances before giving up
+const CLUSTER_REQUEST_TIMEOUT_MS = 2000;
+const UPDATE_ATTEMPTS = 20;
+const UPDATE_BACKOFF_MS = 5;
+const IPC_SOURCE = 'claimr_state_store';
+const IPC_TIMEOUT_MS = 5000;
+const IPC_METHODS = new Set(['get', 'set', 'delete', 'deleteIf', 'getAll', 'acquireLock', '_read', '_compareAndSet']);
+
+/**
+ * State shared between server instances: small JSON values grouped by namespace, optionally
+ * expiring, plus short-lived locks so periodic jobs run on one instance at a time.
+ * Hot per-socket state (trails, validators) stays in each process's `players` map.
+ *
+ * MemoryStateStore is the single-instance stand-in; IpcStateStore shares one of it between the
+ * instances cluster.js starts on one machine; RedisStateStore works against any Redis-compatible
+ * server. All three expose the same async interface.
+ */
+class MemoryStateStore {
+    constructor() {
+        this.namespaces = new Map(); // namespace -> Map(key -> { raw, expiresAt }), values kept as JSON
+        this.locks = new Map(); // name -> { owner, expiresAt }
+    }
+
+    async get(namespace, key) {
+        const raw = this._rawOf(namespace, key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(namespace, key, value, { ttlMs = null } = {}) {
+        this._write(namespace, key, value, ttlMs);
+    }
+
+    async delete(namespace, key) {
+        this._namespace(namespace).delete(key);
+    }
+
+    /**
+     * Deletes the key only while it still holds `expected` in `field`, e.g. the socket that wrote it.
+     * @returns {Promise<boolean>} Whether it was deleted, so only one of several callers wins.
+     */
+    async deleteIf(namespace, key, field, expected) {
+        const raw = this._rawOf(namespace, key);
+        if (raw === null || JSON.parse(raw)[field] !== expected) return false;
+        this._namespace(namespace).delete(key);
+        return true;
+    }
+
+    /**
+     * Read-modify-write that is safe against other instances writing the same key: `mutate` gets
+     * the current value (or null) and returns the new one, or undefined to leave it as it is.
+     * @returns {Promise<object|null>} The value now stored.
+     */
+    async update(namespace, key, mutate, options) {
+        return updateValue(this, namespace, key, mutate, options);
+    }
+
+    async getAll(namespace) {
+        const result = new Map();
+        for (const key of [...this._namespace(namespace).keys()]) {
+            const value = await this.get(namespace, key);
+            if (value !== null) result.set(key, value);
+        }
+        return result;
+    }
+
+    // `owner` is passed in when this store serves several instances (see serveStateStore)
+    async acquireLock(name, ttlMs, owner = INSTANCE_ID) {
+        const lock = this.locks.get(name);
+        if (lock && lock.expiresAt > Date.now() && lock.owner !== owner) return false;
+        this.locks.set(name, { owner, expiresAt: Date.now() + ttlMs });
+        return true;
+    }
+
+    async close() {}
+
+    async _read(namespace, key) {
+        return this._rawOf(namespace, key);
+    }
+
+    async _compareAndSet(namespace, key, expectedRaw, value, ttlMs) {
+        if (this._rawOf(namespace, key) !== expectedRaw) return false;
+        this._write(namespace, key, value, ttlMs);
+        return true;
+    }
+
+    // Reads and writes stay synchronous so compare-and-set steps cannot interleave
+    _rawOf(namespace, key) {
+        const entry = this._namespace(namespace).get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this._namespace(namespace).delete(key);
+            return null;
+        }
+        return entry.raw;
+    }
+
+    _write(namespace, key, value, ttlMs) {
+        this._namespace(namespace).set(key, { raw: serialize(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    }
+
+    _namespace(namespace) {
+        if (!this.namespaces.has(namespace)) this.namespaces.set(namespace, new Map());
+        return this.namespaces.get(namespace);
+    }
+}
+
+
+// Each entry is its own key (so it can expire on its own) and is listed in a per-namespace set.
+class RedisStateStore {
+    /**
+     * @param {object} redis - An ioredis client.
+     * @param {string} [prefix='claimr']
+     */
+    constructor(redis, prefix = 'claimr') {
+        this.redis = redis;
+        this.prefix = prefix;
+    }
+
+    async get(namespace, key) {
+        const raw = await this.redis.get(this._key(namespace, key));
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(namespace, key, value, { ttlMs = null } = {}) {
+        const multi = this.redis.multi();
+        if (ttlMs) {
+            multi.set(this._key(namespace, key), JSON.stringify(value), 'PX', ttlMs);
+        } else {
+            multi.set(this._key(namespace, key), JSON.stringify(value));
+        }
+        multi.sadd(this._index(namespace), key);
+        await multi.exec();
+    }
+
+    async delete(namespace, key) {
+        await this.redis.multi().del(this._key(namespace, key)).srem(this._index(namespace), key).exec();
+    }
+
+    async deleteIf(namespace, key, field, expected) {
+        // Compare and delete in one step so a newer writer is never removed
+        const deleted = await this.redis.eval(`
+            local raw = redis.call('GET', KEYS[1])
+            if raw and tostring(cjson.decode(raw)[ARGV[1]]) == ARGV[2] then
+                redis.call('DEL', KEYS[1])
+                redis.call('SREM', KEYS[2], ARGV[3])
+                return 1
+            end
+            return 0`, 2, this._key(namespace, key), this._index(namespace), field, String(expected), key);
+        return deleted === 1;
+    }
+
+    async update(namespace, key, mutate, options) {
+        return updateValue(this, namespace, key, mutate, options);
+    }
+
+    async getAll(namespace) {
+        const keys = await this.redis.smembers(this._index(namespace));
+        const result = new Map();
+        if (keys.length === 0) return result;
+        const values = await this.redis.mget(keys.map(key => this._key(namespace, key)));
+        const expired = [];
+        keys.forEach((key, i) => {
+            if (values[i] === null) expired.push(key);
+            else result.set(key, JSON.parse(values[i]));
+        });
+        if (expired.length > 0) await this.redis.srem(this._index(namespace), ...expired);
+        return result;
+    }
+
+    async acquireLock(name, ttlMs) {
+        const key = `${this.prefix}:lock:${name}`;
+        if (await this.redis.set(key, INSTANCE_ID, 'PX', ttlMs, 'NX') === 'OK') return true;
+        // Re-entrant for the instance that already holds it, so a job keeps its lock between runs
+        if (await this.redis.get(key) !== INSTANCE_ID) return false;
+        await this.redis.pexpire(key, ttlMs);
+        return true;
+    }
+
+    async close() {
+        await this.redis.quit();
+    }
+
+    async _read(namespace, key) {
+        return this.redis.get(this._key(namespace, key));
+    }
+
+    async _compareAndSet(namespace, key, expectedRaw, value, ttlMs) {
+        const written = await this.redis.eval(`
+            if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+            if ARGV[3] ~= '' then
+                redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+            else
+                redis.call('SET', KEYS[1], ARGV[2])
+            end
+            redis.call('SADD', KEYS[2], ARGV[4])
+            return 1`, 2, this._key(namespace, key), this._index(namespace),
+        expectedRaw === null ? '' : expectedRaw, serialize(value), ttlMs ? String(ttlMs) : '', key);
+        return written === 1;
+    }
+
+    _key(namespace, key) {
+        return `${this.prefix}:${namespace}:${key}`;
+    }
+
+    _index(namespace) {
+        return `${this.prefix}:${namespace}`;
+    }
+}
+
+
+// A worker's view of the MemoryStateStore held by the cluster.js primary; every call is one IPC
+// round trip, and the primary runs them one at a time, so each stays atomic across workers.
+class IpcStateStore {
+    constructor() {
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.nextId = 0;
+        process.on('message', (message) => {
+            if (message?.source !== IPC_SOURCE) return;
+            const request = this.pending.get(message.id);
+            if (!request) return;
+            this.pending.delete(message.id);
+            clearTimeout(request.timer);
+            if (message.error) request.reject(new Error(message.error));
+            else request.resolve(message.result);
+        });
+    }
+
+    async get(namespace, key) {
+        return this._call('get', namespace, key);
+    }
+
+    async set(namespace, key, value, options = {}) {
+        await this._call('set', namespace, key, value, options);
+    }
+
+    async delete(namespace, key) {
+        await this._call('delete', namespace, key);
+    }
+
+    async deleteIf(namespace, key, field, expected) {
+        return this._call('deleteIf', namespace, key, field, expected);
+    }
+
+    async update(namespace, key, mutate, options) {
+        return updateValue(this, namespace, key, mutate, options);
+    }
+
+    async getAll(namespace) {
+        return new Map(await this._call('getAll', namespace));
+    }
+
+    async acquireLock(name, ttlMs) {
+        return this._call('acquireLock', name, ttlMs, INSTANCE_ID);
+    }
+
+    async close() {}
+
+    async _read(namespace, key) {
+        return this._call('_read', namespace, key);
+    }
+
+    async _compareAndSet(namespace, key, expectedRaw, value, ttlMs) {
+        return this._call('_compareAndSet', namespace, key, expectedRaw, value, ttlMs);
+    }
+
+    _call(method, ...args) {
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`State store call ${method} timed out.`));
+            }, IPC_TIMEOUT_MS);
+            this.pending.set(id, { resolve, reject, timer });
+            process.send({ source: IPC_SOURCE, id, method, args });
+        });
+    }
+}
+
+/**
+ * Runs in the cluster.js primary: answers the workers' IpcStateStore calls from one shared store.
+ * @param {MemoryStateStore} [store]
+ */
+function serveStateStore(store = new MemoryStateStore()) {
+    cluster.on('message', async (worker, message) => {
+        if (message?.source !== IPC_SOURCE) return;
+        const reply = { source: IPC_SOURCE, id: message.id };
+        try {
+            if (!IPC_METHODS.has(message.method)) throw new Error(`Unknown state store call ${message.method}.`);
+            const result = await store[message.method](...message.args);
+            reply.result = result instanceof Map ? [...result] : result;
+        } catch (err) {
+            reply.error = err.message;
+        }
+        if (worker.isConnected()) worker.send(reply);
+    });
+    debug('Serving the shared in-memory state store to cluster workers.');
+    return store;
+}
+
+
+/**
+ * Redis-backed when `REDIS_URL` is set, the primary's store for cluster.js workers, and
+ * in-memory otherwise.
+ * @returns {MemoryStateStore|IpcStateStore|RedisStateStore}
+ */
+function createStateStore() {
+    if (process.env.REDIS_URL) {
+        debug(`Using the Redis state store as instance ${INSTANCE_ID}.`);
+        return new RedisStateStore(new Redis(process.env.REDIS_URL), process.env.REDIS_PREFIX || 'claimr');
+    }
+    if (cluster.isWorker) {
+        debug(`Using the cluster primary's state store as instance ${INSTANCE_ID}.`);
+        return new IpcStateStore();
+    }
+    debug('REDIS_URL not set, using the in-memory state store (single instance).');
+    return new MemoryStateStore();
+}
+
+/**
+ * Puts Socket.IO on the Redis adapter when `REDIS_URL` is set, or on the cluster adapter in
+ * cluster.js workers, so room emits, `disconnectSockets` and `serverSideEmit` reach every
+ * instance. Otherwise the default in-process adapter is kept.
+ */
+function attachClusterAdapter(io) {
+    if (process.env.REDIS_URL) {
+        const pubClient = new Redis(process.env.REDIS_URL);
+        const subClient = pubClient.duplicate();
+        io.adapter(createAdapter(pubClient, subClient, {
+            key: `${process.env.REDIS_PREFIX || 'claimr'}:socket.io`,
+            requestsTimeout: CLUSTER_REQUEST_TIMEOUT_MS
+        }));
+        debug('Socket.IO Redis adapter attached.');
+    } else if (cluster.isWorker) {
+        io.adapter(createClusterAdapter({ requestsTimeout: CLUSTER_REQUEST_TIMEOUT_MS }));
+        debug('Socket.IO cluster adapter attached.');
+    }
+}
+
+/**
+ * Read-modify-write with optimistic concurrency: the write only goes through while the key
+ * still holds what was read, otherwise `mutate` runs again on the fresh value.
+ */
+async function updateValue(store, namespace, key, mutate, { ttlMs = null } = {}) {
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+        const raw = await store._read(namespace, key);
+        const current = raw === null ? null : JSON.parse(raw);
+        const next = mutate(current);
+        if (next === undefined) return current;
+        if (await store._compareAndSet(namespace, key, raw, next, ttlMs)) return next;
+        // Someone else wrote in between: back off a little (randomly, so writers spread out)
+        await new Promise(resolve => setTimeout(resolve, Math.random() * UPDATE_BACKOFF_MS * (attempt + 1)));
+    }
+    throw new Error(`Gave up updating ${namespace}:${key} after ${UPDATE_ATTEMPTS} conflicting writes.`);
+}
+
+function serialize(value) {
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+
+module.exports = {
+    MemoryStateStore,
+    IpcStateStore,
+    RedisStateStore,
+    createStateStore,
+    serveStateStore,
+    attachClusterAdapter,
+    INSTANCE_ID,
+    CLUSTERED
+};
@@ -0,0 +1,106 @@
+// game_logic/territory_events.js
+
+const debug = require('debug')('server:game:history');
+
+const TERRITORY_EVENT_TYPES = ['claim', 'steal', 'wipeout', 'conquest', 'merge', 'reset', 'decay', 'rollback'];
+
+/**
+ * Reads the current owner, raw geometry and lap count of the territory rows matching `whereClause`,
+ * so they can be passed to recordTerritoryEvents as the "before" or "after" state.
+ * @param {object} db - A pool or a client inside the caller's transaction.
+ * @param {string} whereClause - SQL condition on `territories` (never user input).
+ * @param {Array} [params]
+ * @returns {Promise<Map<number, {id: number, owner_id: string, game_mode: string, area: string, laps_required: number}>>}
+ */
+async function captureTerritories(db, whereClause, params = []) {
+    const res = await db.query(`SELECT id, owner_id, game_mode, area, laps_required FROM territories WHERE ${whereClause}`, params);
+    return new Map(res.rows.map(row => [row.id, row]));
+}
+
+/**
+ * Appends one `territory_events` row per territory that changed between `before` and `after`.
+ * Rows missing from `after` were deleted; rows missing from `before` were created.
+ * @param {object} db - A pool or a client inside the caller's transaction.
+ * @param {string} eventType - One of TERRITORY_EVENT_TYPES.
+ * @param {Map} before - From captureTerritories, taken before the change.
+ * @param {Map} after - From captureTerritories, taken after the change.
+ * @param {{actorId?: string, details?: object}} [options]
+ */
+async function recordTerritoryEvents(db, eventType, before, after, { actorId = null, details = null } = {}) {
+    const columns = { ids: [], gameModes: [], ownersBefore: [], ownersAfter: [], areasBefore: [], areasAfter: [], lapsBefore: [], lapsAfter: [] };
+    for (const id of new Set([...before.keys(), ...after.keys()])) {
+        const oldRow = before.get(id);
+        const newRow = after.get(id);
+        if (oldRow && newRow && oldRow.area === newRow.area && oldRow.owner_id === newRow.owner_id
+            && oldRow.laps_required === newRow.laps_required) continue;
+        columns.ids.push(id);
+        columns.gameModes.push((newRow || oldRow).game_mode);
+        columns.ownersBefore.push(oldRow ? oldRow.owner_id : null);
+        columns.ownersAfter.push(newRow ? newRow.owner_id : null);
+        columns.areasBefore.push(oldRow ? oldRow.area : null);
+        columns.areasAfter.push(newRow ? newRow.area : null);
+        columns.lapsBefore.push(oldRow ? oldRow.laps_required ?? null : null);
+        columns.lapsAfter.push(newRow ? newRow.laps_required ?? null : null);
+    }
+    if (columns.ids.length === 0) return;
+
+    await db.query(`
+        INSERT INTO territory_events
+            (territory_id, event_type, actor_id, game_mode, owner_before, owner_after, before_area, after_area,
+             laps_before, laps_after, details)
+        SELECT e.territory_id, $1, $2, e.game_mode, e.owner_before, e.owner_after, e.before_area::geometry, e.after_area::geometry,
+               e.laps_before, e.laps_after, $11
+        FROM UNNEST($3::int[], $4::varchar[], $5::varchar[], $6::varchar[], $7::text[], $8::text[], $9::int[], $10::int[])
+            AS e(territory_id, game_mode, owner_before, owner_after, before_area, after_area, laps_before, laps_after)
+    `, [
+        eventType, actorId,
+        columns.ids, columns.gameModes, columns.ownersBefore, columns.ownersAfter, columns.areasBefore, columns.areasAfter,
+        columns.lapsBefore, columns.lapsAfter,
+        details ? JSON.stringify(details) : null
+    ]);
+    debug(`Recorded ${columns.ids.length} '${eventType}' event(s) by ${actorId || 'system'}.`);
+}
+
+/**
+ * Rebuilds a game mode's map as it stood at `at`. Each territory row takes the "after" state
+ * of its last event up to `at`; rows whose first event is later take that event's "before"
+ * state; rows that never changed are read from `territories` if they existed by then.
+ * @param {object} db - The PostgreSQL connection pool.
+ * @param {string} gameMode
+ * @param {Date} at
+ * @returns {Promise<Array<{territoryId: number, ownerId: string, ownerName: string, geojson: object, area: number}>>}
+ */
+async function getMapSnapshot(db, gameMode, at) {
+    const res = await db.query(`
+        WITH last_before AS (
+            SELECT DISTINCT ON (territory_id) territory_id, owner_after AS owner_id, after_area AS area
+            FROM territory_events
+            WHERE game_mode = $1 AND created_at <= $2
+            ORDER BY territory_id, created_at DESC, id DESC
+        ), first_after AS (
+            SELECT DISTINCT ON (territory_id) territory_id, owner_before AS owner_id, before_area AS area
+            FROM territory_events
+            WHERE game_mode = $1 AND created_at > $2
+            ORDER BY territory_id, created_at, id
+        ), state AS (
+            SELECT territory_id, owner_id, area FROM last_before
+            UNION ALL
+            SELECT territory_id, owner_id, area FROM first_after
+            WHERE territory_id NOT IN (SELECT territory_id FROM last_before)
+            UNION ALL
+            SELECT t.id, t.owner_id, t.area FROM territories t
+            WHERE t.game_mode = $1 AND t.created_at <= $2
+              AND NOT EXISTS (SELECT 1 FROM territory_events e WHERE e.territory_id = t.id)
+        )
+        SELECT s.territory_id AS "territoryId",
+               s.owner_id AS "ownerId",
+               (SELECT username FROM territories WHERE owner_id = s.owner_id LIMIT 1) AS "ownerName",
+               ST_AsGeoJSON(s.area) AS geojson,
+               ST_Area(s.area::geography) AS area
+        FROM state s
+        WHERE s.area IS NOT NULL AND NOT ST_IsEmpty(s.area) AND s.owner_id IS NOT NULL
+    `, [gameMode, at]);
+    return res.rows.map(row => ({ ...row, geojson: JSON.parse(row.geojson) }));
+}
+
+module.exports = { captureTerritories, recordTerritoryEvents, getMapSnapshot, TERRITORY_EVENT_TYPES };
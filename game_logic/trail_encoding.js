@@ -0,0 +1,149 @@
+// game_logic/trail_encoding.js
+
+/**
+ * Compact trail encoding for the socket protocol, after Google's polyline algorithm: each
+ * value is stored as a zigzagged delta from the previous point, written in 5-bit chunks as
+ * printable characters. Coordinates use 6 decimals (~11 cm). The first character tells how
+ * many values each point carries: `2` for lat,lng or `3` for lat,lng,timestamp (ms).
+ *
+ * A client opts in with handshake auth `trailEncoding: 'polyline6'`; everyone else keeps
+ * getting `{lat, lng, ...}` objects. Incoming trails are accepted in either form.
+ */
+
+const TRAIL_ENCODINGS = {
+    JSON: 'json',
+    POLYLINE: 'polyline6'
+};
+
+// Sockets that negotiated the polyline encoding join this room so JSON broadcasts can skip them.
+const POLYLINE_ROOM = 'trailEncoding:polyline6';
+
+const COORDINATE_FACTOR = 1e6;
+
+
+/** The encoding a connecting socket asked for, falling back to JSON for anything unknown. */
+function negotiateTrailEncoding(handshake) {
+    const requested = handshake.auth?.trailEncoding || handshake.query?.trailEncoding;
+    return requested === TRAIL_ENCODINGS.POLYLINE ? TRAIL_ENCODINGS.POLYLINE : TRAIL_ENCODINGS.JSON;
+}
+
+function trailEncodingOf(socket) {
+    return socket?.data?.trailEncoding || TRAIL_ENCODINGS.JSON;
+}
+
+/**
+ * @param {Array<{lat: number, lng: number, timestamp?: number}>} points
+ * @returns {string} Timestamps are kept only when every point has one.
+ */
+function encodeTrail(points) {
+    const withTime = points.length > 0 && points.every(p => Number.isFinite(p.timestamp));
+    let encoded = withTime ? '3' : '2';
+    let prevLat = 0;
+    let prevLng = 0;
+    let prevTime = 0;
+    for (const point of points) {
+        const lat = Math.round(point.lat * COORDINATE_FACTOR);
+        const lng = Math.round(point.lng * COORDINATE_FACTOR);
+        encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+        prevLat = lat;
+        prevLng = lng;
+        if (withTime) {
+            const time = Math.round(point.timestamp);
+            encoded += encodeValue(time - prevTime);
+            prevTime = time;
+        }
+    }
+    return encoded;
+}
+
+/**
+ * @param {string} encoded - Output of encodeTrail.
+ * @returns {Array<{lat: number, lng: number, timestamp?: number}>}
+ */
+function decodeTrail(encoded) {
+    if (typeof encoded !== 'string' || (encoded[0] !== '2' && encoded[0] !== '3')) {
+        throw new Error('Malformed encoded trail.');
+    }
+    const dimensions = Number(encoded[0]);
+    const values = [];
+    let index = 1;
+    while (index < encoded.length) {
+        const [value, next] = decodeValue(encoded, index);
+        values.push(value);
+        index = next;
+    }
+    if (values.length % dimensions !== 0) {
+        throw new Error('Malformed encoded trail.');
+    }
+
+    const points = [];
+    let lat = 0;
+    let lng = 0;
+    let time = 0;
+    for (let i = 0; i < values.length; i += dimensions) {
+        lat += values[i];
+        lng += values[i + 1];
+        const point = { lat: lat / COORDINATE_FACTOR, lng: lng / COORDINATE_FACTOR };
+        if (dimensions === 3) {
+            time += values[i + 2];
+            point.timestamp = time;
+        }
+        points.push(point);
+    }
+    return points;
+}
+
+/** An incoming trail in either form; the polyline form is decoded, anything else passes through. */
+function readTrail(trail) {
+    return typeof trail === 'string' ? decodeTrail(trail) : trail;
+}
+
+/** A trail as the given encoding expects it; `null`/`undefined` trails are left alone. */
+function writeTrail(trail, encoding) {
+    if (encoding !== TRAIL_ENCODINGS.POLYLINE || !Array.isArray(trail)) return trail;
+    return encodeTrail(trail);
+}
+
+
+// Timestamps do not fit in 32 bits, so this sticks to arithmetic instead of bit shifts.
+function encodeValue(value) {
+    let remaining = value < 0 ? -2 * value - 1 : 2 * value;
+    let chunk = '';
+    while (remaining >= 32) {
+        chunk += String.fromCharCode((32 + (remaining % 32)) + 63);
+        remaining = Math.floor(remaining / 32);
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+}
+
+function decodeValue(encoded, start) {
+    let result = 0;
+    let factor = 1;
+    let index = start;
+    let byte;
+    do {
+        if (index >= encoded.length) {
+            throw new Error('Malformed encoded trail.');
+        }
+        byte = encoded.charCodeAt(index++) - 63;
+        if (byte < 0 || byte > 63) {
+            throw new Error('Malformed encoded trail.');
+        }
+        result += (byte % 32) * factor;
+        factor *= 32;
+    } while (byte >= 32);
+    const value = result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+    return [value, index];
+}
+
+
+module.exports = {
+    TRAIL_ENCODINGS,
+    POLYLINE_ROOM,
+    negotiateTrailEncoding,
+    trailEncodingOf,
+    encodeTrail,
+    decodeTrail,
+    readTrail,
+    writeTrail
+};
@@ -0,0 +1,140 @@
+// game_logic/trail_index.js
+
+const debug = require('debug')('server:game:trails');
+
+// ~55 m at the equator; a segment is registered in every cell its bounding box covers.
+const CELL_DEGREES = parseFloat(process.env.TRAIL_INDEX_CELL_DEGREES) || 0.0005;
+
+/**
+ * Uniform grid of live trail segments, keyed by socket, used to find trail cuts without a
+ * database round trip. Coordinates are treated as planar lng/lat, the same way
+ * `ST_Intersects` treats SRID 4326 geometries.
+ *
+ * The index follows `player.activeTrail` lazily: `sync` indexes points appended since the last
+ * call and re-indexes from scratch when the array was replaced (runs reset it to `[]`).
+ * Entries whose trail is no longer the player's current one are dropped when looked up.
+ */
+class TrailIndex {
+    constructor() {
+        this.cells = new Map(); // "x:y" -> Set of segments
+        this.entries = new Map(); // socketId -> { trail, indexedLength, segments }
+    }
+
+    sync(socketId, trail) {
+        let entry = this.entries.get(socketId);
+        if (entry && (entry.trail !== trail || trail.length < entry.indexedLength)) {
+            this.remove(socketId);
+            entry = null;
+        }
+        if (!entry) {
+            entry = { trail, indexedLength: 0, segments: [] };
+            this.entries.set(socketId, entry);
+        }
+        for (let i = Math.max(1, entry.indexedLength); i < trail.length; i++) {
+            this._insert(entry, socketId, trail[i - 1], trail[i]);
+        }
+        entry.indexedLength = trail.length;
+    }
+
+    remove(socketId) {
+        const entry = this.entries.get(socketId);
+        if (!entry) return;
+        for (const segment of entry.segments) {
+            for (const key of segment.cellKeys) {
+                const bucket = this.cells.get(key);
+                bucket?.delete(segment);
+                if (bucket?.size === 0) this.cells.delete(key);
+            }
+        }
+        this.entries.delete(socketId);
+    }
+
+    /**
+     * Sockets whose indexed trail touches the segment `from` -> `to` (a point when they are equal).
+     * @param {{lat: number, lng: number}} from
+     * @param {{lat: number, lng: number}} to
+     * @param {function(string, Array): boolean} isCurrent - Whether the indexed trail array still
+     *   belongs to a live, eligible trail of that socket; stale entries are removed.
+     * @param {function(object): boolean} [acceptSegment] - Narrows the indexed segments considered,
+     *   given `{socketId, a, b}` with the trail points at either end.
+     * @returns {Set<string>}
+     */
+    findCrossings(from, to, isCurrent, acceptSegment = null) {
+        const hits = new Set();
+        const stale = new Set();
+        for (const key of cellKeysFor(from, to)) {
+            const bucket = this.cells.get(key);
+            if (!bucket) continue;
+            for (const segment of bucket) {
+                if (hits.has(segment.socketId) || stale.has(segment.socketId)) continue;
+                const entry = this.entries.get(segment.socketId);
+                if (!isCurrent(segment.socketId, entry.trail)) {
+                    stale.add(segment.socketId);
+                    continue;
+                }
+                if (acceptSegment && !acceptSegment(segment)) continue;
+                if (segmentsIntersect(from, to, segment.a, segment.b)) hits.add(segment.socketId);
+            }
+        }
+        stale.forEach(socketId => this.remove(socketId));
+        if (stale.size > 0) debug(`Dropped ${stale.size} stale trail(s) from the index.`);
+        return hits;
+    }
+
+    _insert(entry, socketId, a, b) {
+        const segment = { socketId, a, b, cellKeys: cellKeysFor(a, b) };
+        for (const key of segment.cellKeys) {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(segment);
+        }
+        entry.segments.push(segment);
+    }
+}
+
+
+function cellKeysFor(a, b) {
+    const minX = Math.floor(Math.min(a.lng, b.lng) / CELL_DEGREES);
+    const maxX = Math.floor(Math.max(a.lng, b.lng) / CELL_DEGREES);
+    const minY = Math.floor(Math.min(a.lat, b.lat) / CELL_DEGREES);
+    const maxY = Math.floor(Math.max(a.lat, b.lat) / CELL_DEGREES);
+    const keys = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) keys.push(`${x}:${y}`);
+    }
+    return keys;
+}
+
+function orientation(p, q, r) {
+    const value = (q.lat - p.lat) * (r.lng - q.lng) - (q.lng - p.lng) * (r.lat - q.lat);
+    return value === 0 ? 0 : (value > 0 ? 1 : 2);
+}
+
+function onSegment(p, q, r) {
+    return q.lng <= Math.max(p.lng, r.lng) && q.lng >= Math.min(p.lng, r.lng)
+        && q.lat <= Math.max(p.lat, r.lat) && q.lat >= Math.min(p.lat, r.lat);
+}
+
+// Closed-segment intersection, touching and collinear overlap included. A degenerate
+// segment (p1 == p2) is a point and intersects when it lies on the other segment.
+function segmentsIntersect(p1, p2, q1, q2) {
+    const o1 = orientation(p1, p2, q1);
+    const o2 = orientation(p1, p2, q2);
+    const o3 = orientation(q1, q2, p1);
+    const o4 = orientation(q1, q2, p2);
+
+    const pIsPoint = p1.lng === p2.lng && p1.lat === p2.lat;
+    const qIsPoint = q1.lng === q2.lng && q1.lat === q2.lat;
+    if (pIsPoint && qIsPoint) return p1.lng === q1.lng && p1.lat === q1.lat;
+    if (pIsPoint) return o3 === 0 && onSegment(q1, p1, q2);
+    if (qIsPoint) return o1 === 0 && onSegment(p1, q1, p2);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+    if (o1 === 0 && onSegment(p1, q1, p2)) return true;
+    if (o2 === 0 && onSegment(p1, q2, p2)) return true;
+    if (o3 === 0 && onSegment(q1, p1, q2)) return true;
+    if (o4 === 0 && onSegment(q1, p2, q2)) return true;
+    return false;
+}
+
+
+module.exports = { TrailIndex, segmentsIntersect };
@@ -0,0 +1,85 @@
+// game_logic/trail_reconciler.js
+
+const turf = require('@turf/turf');
+const debug = require('debug')('server:game:trail');
+
+const TRAIL_TOLERANCE_METERS = parseFloat(process.env.CLAIM_TRAIL_TOLERANCE_METERS) || 30;
+const MAX_DEVIATING_SHARE = 0.1; // up to 10% of client points may sit outside the tolerance (GPS jitter)
+const MAX_DEVIATION_METERS = TRAIL_TOLERANCE_METERS * 4; // no single point may be further than this
+const BASE_CLAIM_TOLERANCE_METERS = 100;
+const MAX_SAMPLED_POINTS = 200;
+
+/**
+ * Builds the trail a claim should be evaluated against. The server-recorded `activeTrail`
+ * is authoritative; the client payload is only compared against it so we can tell the
+ * player why a claim was refused.
+ * @param {object} req - The raw `claimTerritory` payload.
+ * @param {object} player - The in-memory player making the claim.
+ * @returns {{valid: boolean, trail?: Array, code?: string, message?: string, details?: object}}
+ */
+function reconcileClaimTrail(req, player) {
+    const clientTrail = Array.isArray(req.trail) ? req.trail : [];
+    const serverTrail = player.activeTrail || [];
+    const isBaseClaim = !!req.baseClaim && clientTrail.length < 3;
+
+    if (isBaseClaim) {
+        const position = player.lastKnownPosition;
+        if (!position) {
+            return reject('no_server_position', 'The server has not received your location yet.');
+        }
+        const distance = turf.distance(
+            turf.point([position.lng, position.lat]),
+            turf.point([req.baseClaim.lng, req.baseClaim.lat]),
+            { units: 'meters' }
+        );
+        if (!(distance <= BASE_CLAIM_TOLERANCE_METERS)) {
+            return reject('base_too_far', 'Your base must be placed where you are standing.', { distanceMeters: distance });
+        }
+        return { valid: true, trail: clientTrail };
+    }
+
+    if (serverTrail.length < 3) {
+        return reject('server_trail_missing', 'The server did not record this run. Keep the app open while running.', {
+            clientPoints: clientTrail.length,
+            serverPoints: serverTrail.length
+        });
+    }
+
+    if (clientTrail.length >= 2) {
+        const serverLine = turf.lineString(serverTrail.map(p => [p.lng, p.lat]));
+        const step = Math.max(1, Math.ceil(clientTrail.length / MAX_SAMPLED_POINTS));
+
+        let sampled = 0;
+        let deviating = 0;
+        let maxDeviation = 0;
+        for (let i = 0; i < clientTrail.length; i += step) {
+            const p = clientTrail[i];
+            if (typeof p?.lat !== 'number' || typeof p?.lng !== 'number') continue;
+            const deviation = turf.pointToLineDistance(turf.point([p.lng, p.lat]), serverLine, { units: 'meters' });
+            sampled++;
+            if (deviation > TRAIL_TOLERANCE_METERS) deviating++;
+            if (deviation > maxDeviation) maxDeviation = deviation;
+        }
+
+        const details = {
+            clientPoints: clientTrail.length,
+            serverPoints: serverTrail.length,
+            sampledPoints: sampled,
+            deviatingPoints: deviating,
+            maxDeviationMeters: Math.round(maxDeviation)
+        };
+
+        if (sampled === 0 || deviating / sampled > MAX_DEVIATING_SHARE || maxDeviation > MAX_DEVIATION_METERS) {
+            return reject('trail_mismatch', 'Your claimed loop does not match the route the server recorded.', details);
+        }
+        debug(`Trail reconciled for ${player.name}: %O`, details);
+    }
+
+    return { valid: true, trail: serverTrail.map(p => ({ lat: p.lat, lng: p.lng })) };
+}
+
+function reject(code, message, details = {}) {
+    return { valid: false, code, message, details };
+}
+
+module.exports = { reconcileClaimTrail };
@@ -0,0 +1,239 @@
+// game_logic/viewport_streaming.js
+
+const turf = require('@turf/turf');
+const debug = require('debug')('server:game:viewport');
+const { TRAIL_ENCODINGS, POLYLINE_ROOM, trailEncodingOf, writeTrail } = require('./trail_encoding');
+const { CLUSTERED } = require('./state_store');
+
+// Sockets that sent `subscribeViewport` join this room so legacy broadcasts can skip them.
+const VIEWPORT_ROOM = 'viewport';
+
+const VIEWPORT_LIMITS = {
+    maxSpanDegrees: parseFloat(process.env.VIEWPORT_MAX_SPAN_DEGREES) || 0.5, // zoomed further out, use /tiles instead
+    padding: 0.25, // share of the viewport added on each side so small pans do not miss updates
+    maxTerritories: parseInt(process.env.VIEWPORT_MAX_TERRITORIES, 10) || 1500
+};
+
+// Server-to-server: viewports are per instance, so each instance filters for its own subscribers
+const RELAY_EVENTS = {
+    territories: 'viewport:territories',
+    trail: 'viewport:trail',
+    chest: 'viewport:chest'
+};
+
+const viewports = new Map(); // socketId -> { gameMode, bbox, paddedBbox, zoom }, sockets of this instance
+
+
+/**
+ * Registers the socket's visible map area and sends it everything inside it as `viewportSnapshot`.
+ * From then on the socket only receives territory, player, trail and chest updates that touch the
+ * (padded) area; player updates are filtered by PlayerBroadcaster. Sockets that never subscribe keep receiving the whole mode room as before.
+ * @param {object} pool - The PostgreSQL connection pool.
+ * @param {object} socket - The subscribing socket.
+ * @param {object} clusterPlayers - Online players on every instance (ClusterPlayers).
+ * @param {{bbox: number[], zoom: number}} viewport - `bbox` is [west, south, east, north].
+ */
+async function subscribeViewport(pool, socket, clusterPlayers, { bbox, zoom } = {}) {
+    const player = clusterPlayers.get(socket.id);
+    if (!player) {
+        throw new Error('Join a game mode before subscribing to a viewport.');
+    }
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+        throw new Error('bbox must be [west, south, east, north].');
+    }
+    const [west, south, east, north] = bbox;
+    if (west >= east || south >= north || west < -180 || east > 180 || south < -90 || north > 90) {
+        throw new Error('bbox is out of range.');
+    }
+    if (east - west > VIEWPORT_LIMITS.maxSpanDegrees || north - south > VIEWPORT_LIMITS.maxSpanDegrees) {
+        throw new Error('Viewport is too large, zoom in or use map tiles.');
+    }
+
+    const padX = (east - west) * VIEWPORT_LIMITS.padding;
+    const padY = (north - south) * VIEWPORT_LIMITS.padding;
+    const paddedBbox = [west - padX, south - padY, east + padX, north + padY];
+    const viewport = { gameMode: player.gameMode, bbox, paddedBbox, zoom: Number.isFinite(zoom) ? zoom : null };
+    viewports.set(socket.id, viewport);
+    socket.join(VIEWPORT_ROOM);
+
+    const [territories, chests] = await Promise.all([
+        loadTerritories(pool, viewport),
+        loadChests(pool, paddedBbox)
+    ]);
+    const trails = clusterPlayers.all()
+        .filter(p => p.id !== socket.id && p.gameMode === viewport.gameMode && p.isDrawing && !p.isGhostRunnerActive)
+        .filter(p => trailTouches(p.activeTrail, paddedBbox))
+        .map(p => ({ id: p.id, name: p.name, activeTrail: writeTrail(p.activeTrail, trailEncodingOf(socket)) }));
+
+    debug(`${player.name} subscribed to [${bbox.join(', ')}] z${viewport.zoom}: ${territories.length} territories, ${trails.length} trails, ${chests.length} chests.`);
+    socket.emit('viewportSnapshot', { bbox, zoom: viewport.zoom, territories, trails, chests });
+}
+
+function viewportOf(socketId) {
+    return viewports.get(socketId) || null;
+}
+
+function unsubscribeViewport(socket) {
+    viewports.delete(socket.id);
+    socket.leave(VIEWPORT_ROOM);
+}
+
+
+// --- Delivery -------------------------------------------------------------
+// Non-subscribers are reached with one adapter broadcast. Subscribers are filtered by the
+// instance that holds their viewport: here right away, and on the other instances through a
+// relayed copy of the event (see listenForRelays).
+
+/**
+ * `batchTerritoryUpdate` for a mode room. Subscribed sockets only get the rows whose geometry
+ * touches their viewport; rows without geometry (removals) go to everyone.
+ */
+function emitTerritoryUpdate(io, gameMode, rows) {
+    io.to(gameMode).except(VIEWPORT_ROOM).emit('batchTerritoryUpdate', rows);
+    deliverTerritoryUpdate(io, gameMode, rows);
+    relay(io, RELAY_EVENTS.territories, gameMode, rows);
+}
+
+/**
+ * Sends a trail event from the player's socket to every other socket. Subscribers in the
+ * player's mode only get it when `point` is inside their viewport. Sockets that negotiated the
+ * polyline trail encoding get `polylinePayload` instead when one is given.
+ */
+function emitTrailEvent(socket, player, event, payload, point, polylinePayload = payload) {
+    if (polylinePayload === payload) {
+        socket.broadcast.except(VIEWPORT_ROOM).emit(event, payload);
+    } else {
+        socket.broadcast.except([VIEWPORT_ROOM, POLYLINE_ROOM]).emit(event, payload);
+        socket.broadcast.to(POLYLINE_ROOM).except(VIEWPORT_ROOM).emit(event, polylinePayload);
+    }
+    const trailEvent = { originId: socket.id, gameMode: player.gameMode, event, payload, point, polylinePayload };
+    deliverTrailEvent(socket.server, trailEvent);
+    relay(socket.server, RELAY_EVENTS.trail, trailEvent);
+}
+
+/** `chestSpawned` to everyone not subscribed, and to subscribers whose viewport holds the chest. */
+function emitChestSpawned(io, chest) {
+    io.except(VIEWPORT_ROOM).emit('chestSpawned', chest);
+    deliverChestSpawned(io, chest);
+    relay(io, RELAY_EVENTS.chest, chest);
+}
+
+/** Delivers the other instances' territory, trail and chest events to this instance's subscribers. Call once at startup. */
+function listenForRelays(io) {
+    io.on(RELAY_EVENTS.territories, (gameMode, rows) => deliverTerritoryUpdate(io, gameMode, rows));
+    io.on(RELAY_EVENTS.trail, trailEvent => deliverTrailEvent(io, trailEvent));
+    io.on(RELAY_EVENTS.chest, chest => deliverChestSpawned(io, chest));
+}
+
+function deliverTerritoryUpdate(io, gameMode, rows) {
+    const subscribers = subscribersOf(gameMode);
+    if (subscribers.length === 0) return;
+
+    const boxes = rows.map(row => (row.geojson ? turf.bbox(row.geojson) : null));
+    for (const [socketId, viewport] of subscribers) {
+        const visible = rows.filter((row, i) => !boxes[i] || boxesIntersect(boxes[i], viewport.paddedBbox));
+        if (visible.length > 0) io.local.to(socketId).emit('batchTerritoryUpdate', visible);
+    }
+}
+
+function deliverTrailEvent(io, { originId, gameMode, event, payload, point, polylinePayload }) {
+    for (const [socketId, viewport] of subscribersOf(gameMode)) {
+        if (socketId !== originId && pointInBox(point, viewport.paddedBbox)) {
+            const encoding = trailEncodingOf(io.sockets.sockets.get(socketId));
+            io.local.to(socketId).emit(event, encoding === TRAIL_ENCODINGS.POLYLINE ? polylinePayload : payload);
+        }
+    }
+}
+
+function deliverChestSpawned(io, chest) {
+    const [lat, lng] = chest.location;
+    for (const [socketId, viewport] of viewports) {
+        if (pointInBox({ lat, lng }, viewport.paddedBbox)) io.local.to(socketId).emit('chestSpawned', chest);
+    }
+}
+
+function relay(io, event, ...args) {
+    if (CLUSTERED) io.serverSideEmit(event, ...args);
+}
+
+
+// --- Queries and geometry helpers -------------------------------------------
+
+async function loadTerritories(pool, { gameMode, paddedBbox, zoom }) {
+    // About half a screen pixel at this zoom, so simplification is invisible
+    const tolerance = zoom !== null ? 360 / (256 * 2 ** zoom) / 2 : 0;
+    const envelope = 'ST_MakeEnvelope($1, $2, $3, $4, 4326)';
+    const query = gameMode === 'clan'
+        ? `
+            SELECT ct.clan_id::text as "ownerId", c.name as "ownerName", c.clan_image_url as "profileImageUrl",
+                   ST_AsGeoJSON(ST_SimplifyPreserveTopology(ct.area, $5)) as geojson, ct.area_sqm as area
+            FROM clan_territories ct JOIN clans c ON c.id = ct.clan_id
+            WHERE ct.area && ${envelope} AND NOT ST_IsEmpty(ct.area)
+            LIMIT $6`
+        : `
+            SELECT t.id, t.owner_id as "ownerId", t.username as "ownerName", t.profile_image_url as "profileImageUrl",
+                   t.identity_color, ST_AsGeoJSON(ST_SimplifyPreserveTopology(t.area, $5)) as geojson,
+                   t.area_sqm as area, t.laps_required, t.brand_wrapper, t.brand_url,
+                   a.background_color as "adBackgroundColor", a.overlay_url as "adOverlayUrl",
+                   a.ad_content_url as "adContentUrl", a.brand_name as "adBrandName", a.id as "adId", a.status as "adStatus"
+            FROM territories t
+            LEFT JOIN LATERAL (
+                SELECT ad.* FROM ads ad
+                WHERE ad.territory_id = t.id AND ad.payment_status = 'PAID'
+                  AND (ad.status IS NULL OR ad.status != 'DELETED')
+                  AND ad.start_time <= NOW() AND ad.end_time >= NOW()
+                  AND ad.overlay_url != 'https://runerrxadsstoragesmith.s3.ap-south-1.amazonaws.com/uploads/1763880012208-292432749.png'
+                ORDER BY ad.start_time DESC LIMIT 1
+            ) a ON TRUE
+            WHERE t.game_mode = $7 AND t.area && ${envelope} AND NOT ST_IsEmpty(t.area)
+            ORDER BY t.area_sqm DESC
+            LIMIT $6`;
+    const params = [...paddedBbox, tolerance, VIEWPORT_LIMITS.maxTerritories];
+    if (gameMode !== 'clan') params.push(gameMode);
+    const res = await pool.query(query, params);
+    return res.rows.filter(row => row.geojson).map(row => ({ ...row, geojson: JSON.parse(row.geojson) }));
+}
+
+async function loadChests(pool, paddedBbox) {
+    const res = await pool.query(
+        `SELECT id, ST_AsGeoJSON(location) as location FROM superpower_chests
+         WHERE is_active = TRUE AND location && ST_MakeEnvelope($1, $2, $3, $4, 4326)`,
+        paddedBbox
+    );
+    return res.rows.map(c => ({ id: c.id, location: JSON.parse(c.location).coordinates.reverse() }));
+}
+
+function subscribersOf(gameMode) {
+    return [...viewports].filter(([, viewport]) => viewport.gameMode === gameMode);
+}
+
+function pointInBox(point, [west, south, east, north]) {
+    return !!point && point.lng >= west && point.lng <= east && point.lat >= south && point.lat <= north;
+}
+
+function boxesIntersect(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function trailTouches(trail, box) {
+    return Array.isArray(trail) && trail.some(p => pointInBox(p, box));
+}
+
+// A player is visible when standing in the box or trailing through it.
+function isPlayerVisible(player, box) {
+    return pointInBox(player.lastKnownPosition, box) || (player.isDrawing && trailTouches(player.activeTrail, box));
+}
+
+
+module.exports = {
+    subscribeViewport,
+    unsubscribeViewport,
+    viewportOf,
+    isPlayerVisible,
+    emitTerritoryUpdate,
+    emitTrailEvent,
+    emitChestSpawned,
+    listenForRelays,
+    VIEWPORT_ROOM,
+    VIEWPORT_LIMITS
+};
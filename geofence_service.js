@@ -2,11 +2,17 @@
 
 const togeojson = require('@mapbox/togeojson');
 const { DOMParser } = require('xmldom');
+const turf = require('@turf/turf');
+
+
+const ZONE_CACHE_TTL_MS = 60 * 1000;
 
 
 class GeofenceService {
    constructor(pool) {
        this.pool = pool;
+       this.zoneCache = null; // Parsed zones for per-point checks; cleared whenever zones change.
+       this.zoneCacheLoadedAt = 0;
    }
 
 
@@ -52,6 +58,69 @@ class GeofenceService {
    }
 
 
+   /**
+    * Checks a coordinate against the cached zones without a database round trip.
+    * Suitable for per-point checks on the live location stream.
+    * If no 'allowed' zones have been uploaded, the whole map counts as allowed.
+    * @param {number} lat Latitude
+    * @param {number} lng Longitude
+    * @returns {Promise<{inAllowedZone: boolean, blockedZone: Object|null}>}
+    */
+   async getLocationStatus(lat, lng) {
+       if (!this.zoneCache || Date.now() - this.zoneCacheLoadedAt > ZONE_CACHE_TTL_MS) {
+           const zones = await this.getGeofencePolygons();
+           this.zoneCache = zones.map(zone => ({ id: zone.id, name: zone.name, zone_type: zone.zone_type, feature: turf.feature(zone.geojson) }));
+           this.zoneCacheLoadedAt = Date.now();
+       }
+
+
+       const point = turf.point([lng, lat]);
+       const allowedZones = this.zoneCache.filter(zone => zone.zone_type === 'allowed');
+       const inAllowedZone = allowedZones.length === 0 || allowedZones.some(zone => turf.booleanPointInPolygon(point, zone.feature));
+       const blocked = this.zoneCache.find(zone => zone.zone_type === 'blocked' && turf.booleanPointInPolygon(point, zone.feature));
+
+
+       return {
+           inAllowedZone,
+           blockedZone: blocked ? { id: blocked.id, name: blocked.name } : null
+       };
+   }
+
+
+   /**
+    * Removes every blocked zone from a claimed geometry using ST_Difference.
+    * @param {object} client The PostgreSQL client for the current claim transaction.
+    * @param {Object} geometry A GeoJSON geometry of the area being claimed.
+    * @returns {Promise<{geometry: Object|null, wasClipped: boolean}>} The clipped geometry (null if nothing is left).
+    */
+   async clipToPlayableArea(client, geometry) {
+       const result = await client.query(`
+           WITH claim AS (
+               SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)) AS geom
+           ), blocked AS (
+               SELECT ST_Union(z.geom) AS geom
+               FROM geofence_zones z, claim
+               WHERE z.zone_type = 'blocked' AND ST_Intersects(z.geom, claim.geom)
+           )
+           SELECT
+               blocked.geom IS NOT NULL AS was_clipped,
+               ST_AsGeoJSON(ST_Multi(ST_CollectionExtract(ST_Difference(claim.geom, blocked.geom), 3))) AS clipped
+           FROM claim, blocked;
+       `, [JSON.stringify(geometry)]);
+
+
+       const row = result.rows[0];
+       if (!row.was_clipped) {
+           return { geometry, wasClipped: false };
+       }
+       const clipped = row.clipped ? JSON.parse(row.clipped) : null;
+       if (!clipped || !clipped.coordinates || clipped.coordinates.length === 0) {
+           return { geometry: null, wasClipped: true };
+       }
+       return { geometry: clipped, wasClipped: true };
+   }
+
+
    /**
     * Fetches all geofence zones from the DB as GeoJSON objects.
     * @returns {Promise<Array<Object>>} A list of zone objects.
@@ -112,6 +181,7 @@ class GeofenceService {
 
 
        await this.pool.query(insertQuery, [name, zoneType]);
+       this.zoneCache = null;
        console.log(`[GeofenceService] Successfully added new zone: ${name} (${zoneType})`);
    }
 
@@ -123,6 +193,7 @@ class GeofenceService {
    async deleteZone(id) {
        if (!id) throw new Error('Zone ID is required for deletion.');
        await this.pool.query('DELETE FROM geofence_zones WHERE id = $1', [id]);
+       this.zoneCache = null;
        console.log(`[GeofenceService] Deleted geofence zone with ID: ${id}`);
    }
 }
@@ -2,12 +2,16 @@
 
 const express = require('express');
 const multer = require('multer');
+const { captureTerritories, recordTerritoryEvents } = require('../game_logic/territory_events');
+const { listClaims, rollbackClaims } = require('../game_logic/claim_rollback');
+const { emitChestSpawned } = require('../game_logic/viewport_streaming');
+const { userRoom, emitToPlayer, localSocketIdOf } = require('../game_logic/player_directory');
 
 
 const upload = multer({ storage: multer.memoryStorage() });
 
 
-module.exports = (pool, io, geofenceService, players) => {
+module.exports = (pool, io, geofenceService, players, playerDirectory) => {
     const router = express.Router();
 
 
@@ -28,16 +32,18 @@ module.exports = (pool, io, geofenceService, players) => {
                 GROUP BY owner_id, username, superpowers, banned_until
                 ORDER BY username
             `);
+            // Online anywhere in the cluster; positions are only known for players on this instance
+            const online = await playerDirectory.listOnline();
             const playersList = result.rows.map(dbPlayer => {
-                const onlinePlayer = Object.values(players).find(p => p.googleId === dbPlayer.owner_id);
+                const localSocketId = localSocketIdOf(io, players, dbPlayer.owner_id);
                 return {
                     ...dbPlayer,
                     area_sqm: parseFloat(dbPlayer.total_area_sqm || 0), // Ensure number
                     area_capture_sqm: parseFloat(dbPlayer.area_capture_sqm || 0),
                     territory_war_sqm: parseFloat(dbPlayer.territory_war_sqm || 0),
                     total_distance_km: parseFloat(dbPlayer.total_distance_km || 0),
-                    isOnline: !!onlinePlayer,
-                    lastKnownPosition: onlinePlayer ? onlinePlayer.lastKnownPosition : null
+                    isOnline: online.has(dbPlayer.owner_id),
+                    lastKnownPosition: localSocketId ? players[localSocketId].lastKnownPosition : null
                 };
             });
             res.json(playersList);
@@ -66,7 +72,12 @@ module.exports = (pool, io, geofenceService, players) => {
     router.post('/player/:id/reset-territory', async (req, res) => {
         const { id } = req.params;
         try {
+            const before = await captureTerritories(pool, 'owner_id = $1', [id]);
             await pool.query("UPDATE territories SET area = ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326), area_sqm = 0 WHERE owner_id = $1", [id]);
+            await recordTerritoryEvents(pool, 'reset', before, await captureTerritories(pool, 'owner_id = $1', [id]), {
+                actorId: 'admin',
+                details: { reason: 'admin_reset' }
+            });
             io.emit('batchTerritoryUpdate', [{ ownerId: id, area: 0, geojson: null }]);
             return res.json({ message: `Territory for player ${id} has been reset.` });
         } catch (err) {
@@ -89,7 +100,13 @@ module.exports = (pool, io, geofenceService, players) => {
                 params = [id, gameMode];
             }
 
+            const where = gameMode === 'all' ? 'owner_id = $1' : 'owner_id = $1 AND game_mode = $2';
+            const before = await captureTerritories(pool, where, params);
             await pool.query(query, params);
+            await recordTerritoryEvents(pool, 'reset', before, await captureTerritories(pool, where, params), {
+                actorId: 'admin',
+                details: { reason: 'admin_reset', gameMode }
+            });
 
             // Notify clients to clear the map for this user/mode
             // We might need to send specific mode info in the update if clients filter by mode
@@ -103,6 +120,49 @@ module.exports = (pool, io, geofenceService, players) => {
         }
     });
 
+    // Claims a player made in a time range that can still be rolled back
+    router.get('/player/:id/claims', async (req, res) => {
+        const { id } = req.params;
+        const range = parseClaimRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+        try {
+            res.json(await listClaims(pool, id, range));
+        } catch (err) {
+            console.error(`[API/Admin] Error listing claims for player ${id}:`, err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    // Undo a player's claims (all in the range, or only `claimEventIds`) and restore their victims
+    router.post('/player/:id/claims/rollback', async (req, res) => {
+        const { id } = req.params;
+        const body = req.body || {};
+        const range = parseClaimRange(body);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+        if (!range.gameMode) {
+            return res.status(400).json({ message: 'gameMode is required.' });
+        }
+        if (body.claimEventIds !== undefined && !Array.isArray(body.claimEventIds)) {
+            return res.status(400).json({ message: 'claimEventIds must be an array.' });
+        }
+        try {
+            const result = await rollbackClaims(pool, io, id, { ...range, claimEventIds: body.claimEventIds || null });
+            if (result.rolledBackClaims === 0) {
+                return res.status(404).json({ message: 'No claims to roll back in that range.' });
+            }
+            console.log(`[API/Admin] Rolled back ${result.rolledBackClaims} claim(s) by player ${id} in ${range.gameMode}.`);
+            res.json({ message: `Rolled back ${result.rolledBackClaims} claim(s).`, ...result });
+        } catch (err) {
+            console.error(`[API/Admin] Error rolling back claims for player ${id}:`, err);
+            res.status(500).json({ message: 'Server error during rollback.' });
+        }
+    });
+
     // =======================================================================//
     // ========================== FIX STARTS HERE ==========================//
     // =======================================================================//
@@ -113,14 +173,8 @@ module.exports = (pool, io, geofenceService, players) => {
             await client.query('BEGIN');
 
 
-            // Disconnect the player if they are online
-            const playerSocketInfo = Object.values(players).find(p => p.googleId === id);
-            if (playerSocketInfo) {
-                const socketToDisconnect = io.sockets.sockets.get(playerSocketInfo.id);
-                if (socketToDisconnect) {
-                    socketToDisconnect.disconnect(true);
-                }
-            }
+            // Disconnect the player if they are online, on any instance
+            io.in(userRoom(id)).disconnectSockets(true);
 
 
             // Anonymize quest winner records before deleting the user
@@ -135,7 +189,12 @@ module.exports = (pool, io, geofenceService, players) => {
             await client.query('DELETE FROM clan_members WHERE user_id = $1', [id]);
 
             // Finally, delete the player from the main territories table
+            const territoriesBefore = await captureTerritories(client, 'owner_id = $1', [id]);
             await client.query('DELETE FROM territories WHERE owner_id = $1', [id]);
+            await recordTerritoryEvents(client, 'reset', territoriesBefore, new Map(), {
+                actorId: 'admin',
+                details: { reason: 'player_deleted' }
+            });
 
 
             await client.query('COMMIT');
@@ -162,17 +221,11 @@ module.exports = (pool, io, geofenceService, players) => {
             const banExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
             await pool.query("UPDATE territories SET banned_until = $1 WHERE owner_id = $2", [banExpiry, id]);
 
-            const playerSocketInfo = Object.values(players).find(p => p.googleId === id);
-            if (playerSocketInfo) {
-                const socketToDisconnect = io.sockets.sockets.get(playerSocketInfo.id);
-                if (socketToDisconnect) {
-                    socketToDisconnect.emit('accountBanned', {
-                        reason: 'Your account has been temporarily suspended by an administrator.',
-                        banned_until: banExpiry.toISOString()
-                    });
-                    socketToDisconnect.disconnect(true);
-                }
-            }
+            emitToPlayer(io, id, 'accountBanned', {
+                reason: 'Your account has been temporarily suspended by an administrator.',
+                banned_until: banExpiry.toISOString()
+            });
+            io.in(userRoom(id)).disconnectSockets(true);
             return res.json({ message: `Player ${id} has been banned for 24 hours.` });
         } catch (err) {
             console.error(`[API/Admin] Error banning player ${id}:`, err);
@@ -192,6 +245,50 @@ module.exports = (pool, io, geofenceService, players) => {
     });
 
 
+    router.get('/movement-violations', async (req, res) => {
+        const { userId, limit } = req.query;
+        const rowLimit = Math.min(parseInt(limit, 10) || 100, 500);
+        try {
+            const result = await pool.query(`
+                SELECT
+                    v.id, v.user_id, t.username, v.game_mode, v.violation_type,
+                    ST_Y(v.location) as lat, ST_X(v.location) as lng,
+                    ST_Y(v.previous_location) as prev_lat, ST_X(v.previous_location) as prev_lng,
+                    v.distance_m, v.elapsed_s, v.speed_kmh, v.accuracy_m, v.run_terminated, v.created_at
+                FROM movement_violations v
+                LEFT JOIN (SELECT DISTINCT ON (owner_id) owner_id, username FROM territories) t ON v.user_id = t.owner_id
+                WHERE ($1::varchar IS NULL OR v.user_id = $1)
+                ORDER BY v.created_at DESC
+                LIMIT $2
+            `, [userId || null, rowLimit]);
+            res.json(result.rows);
+        } catch (err) {
+            console.error('[API/Admin] Error fetching movement violations:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    router.get('/claim-rejections', async (req, res) => {
+        const { userId, limit } = req.query;
+        const rowLimit = Math.min(parseInt(limit, 10) || 100, 500);
+        try {
+            const result = await pool.query(`
+                SELECT r.id, r.user_id, t.username, r.game_mode, r.reason_code, r.details, r.created_at
+                FROM claim_rejections r
+                LEFT JOIN (SELECT DISTINCT ON (owner_id) owner_id, username FROM territories) t ON r.user_id = t.owner_id
+                WHERE ($1::varchar IS NULL OR r.user_id = $1)
+                ORDER BY r.created_at DESC
+                LIMIT $2
+            `, [userId || null, rowLimit]);
+            res.json(result.rows);
+        } catch (err) {
+            console.error('[API/Admin] Error fetching claim rejections:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
     // --- Quest Management ---
     router.get('/quests', async (req, res) => {
         try {
@@ -323,7 +420,7 @@ module.exports = (pool, io, geofenceService, players) => {
                 id: result.rows[0].id,
                 location: JSON.parse(result.rows[0].location).coordinates.reverse()
             };
-            io.emit('chestSpawned', newChest);
+            emitChestSpawned(io, newChest);
             res.status(201).json({ message: 'Superpower chest spawned successfully.', chest: newChest });
         } catch (err) {
             console.error('[ADMIN] Error spawning chest:', err);
@@ -597,4 +694,14 @@ module.exports = (pool, io, geofenceService, players) => {
     });
 
     return router;
-};
\ No newline at end of file
+};
+
+
+function parseClaimRange({ from, to, gameMode }) {
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+        return { error: '`from` and `to` must be valid timestamps.' };
+    }
+    return { from: fromDate, to: toDate, gameMode: gameMode || null };
+}
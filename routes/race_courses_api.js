@@ -0,0 +1,74 @@
+// routes/race_courses_api.js
+
+const express = require('express');
+const { validateWaypoints } = require('../game_logic/race_lobby_handler');
+
+
+module.exports = (pool, authenticate) => {
+    const router = express.Router();
+
+
+    // List saved courses, newest first
+    router.get('/', authenticate, async (req, res) => {
+        try {
+            const result = await pool.query(`
+                SELECT c.id, c.name, c.waypoints, c.checkpoint_radius_m, c.creator_id, c.created_at,
+                       (SELECT username FROM territories WHERE owner_id = c.creator_id LIMIT 1) as creator_name
+                FROM race_courses c
+                ORDER BY c.created_at DESC
+                LIMIT 100
+            `);
+            res.json(result.rows);
+        } catch (err) {
+            console.error('[API/RaceCourses] Error fetching courses:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    // Save a course so hosts can pick it when creating a lobby
+    router.post('/', authenticate, async (req, res) => {
+        const { name, waypoints, checkpointRadius } = req.body;
+        const { googleId } = req.user;
+        if (!name) {
+            return res.status(400).json({ message: 'Course name is required.' });
+        }
+
+        let courseWaypoints;
+        try {
+            courseWaypoints = validateWaypoints(waypoints);
+        } catch (err) {
+            return res.status(400).json({ message: err.message });
+        }
+
+        try {
+            const result = await pool.query(
+                `INSERT INTO race_courses (name, creator_id, waypoints, checkpoint_radius_m)
+                 VALUES ($1, $2, $3, $4) RETURNING id, name, waypoints, checkpoint_radius_m, created_at`,
+                [name, googleId, JSON.stringify(courseWaypoints), checkpointRadius || null]
+            );
+            res.status(201).json(result.rows[0]);
+        } catch (err) {
+            console.error('[API/RaceCourses] Error saving course:', err);
+            res.status(500).json({ message: 'Server error while saving course.' });
+        }
+    });
+
+
+    router.delete('/:id', authenticate, async (req, res) => {
+        const { googleId } = req.user;
+        try {
+            const result = await pool.query('DELETE FROM race_courses WHERE id = $1 AND creator_id = $2', [req.params.id, googleId]);
+            if (result.rowCount === 0) {
+                return res.status(404).json({ message: 'Course not found or you did not create it.' });
+            }
+            res.json({ message: 'Course deleted.' });
+        } catch (err) {
+            console.error('[API/RaceCourses] Error deleting course:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    return router;
+};
@@ -0,0 +1,67 @@
+// routes/territory_history_api.js
+
+const express = require('express');
+const { getMapSnapshot, TERRITORY_EVENT_TYPES } = require('../game_logic/territory_events');
+
+
+module.exports = (pool, authenticate) => {
+    const router = express.Router();
+
+
+    // The map of one game mode as it stood at `at` (ISO timestamp), for disputes and recaps
+    router.get('/snapshot', authenticate, async (req, res) => {
+        const { gameMode = 'areaCapture', at } = req.query;
+        const timestamp = at ? new Date(at) : new Date();
+        if (Number.isNaN(timestamp.getTime())) {
+            return res.status(400).json({ message: '`at` must be a valid timestamp.' });
+        }
+        try {
+            const territories = await getMapSnapshot(pool, gameMode, timestamp);
+            res.json({ gameMode, at: timestamp.toISOString(), territories });
+        } catch (err) {
+            console.error('[API/TerritoryHistory] Error building snapshot:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    // Ordered change events, e.g. to animate a season recap between two snapshots
+    router.get('/events', authenticate, async (req, res) => {
+        const { gameMode = 'areaCapture', from, to, territoryId, ownerId, type } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const fromDate = from ? new Date(from) : new Date(0);
+        const toDate = to ? new Date(to) : new Date();
+        if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+            return res.status(400).json({ message: '`from` and `to` must be valid timestamps.' });
+        }
+        if (type && !TERRITORY_EVENT_TYPES.includes(type)) {
+            return res.status(400).json({ message: `type must be one of: ${TERRITORY_EVENT_TYPES.join(', ')}` });
+        }
+        try {
+            const result = await pool.query(`
+                SELECT id, territory_id as "territoryId", event_type as "type", actor_id as "actorId",
+                       owner_before as "ownerBefore", owner_after as "ownerAfter",
+                       ST_AsGeoJSON(before_area) as before_geojson, ST_AsGeoJSON(after_area) as after_geojson,
+                       laps_before as "lapsBefore", laps_after as "lapsAfter", details, created_at as "createdAt"
+                FROM territory_events
+                WHERE game_mode = $1 AND created_at >= $2 AND created_at <= $3
+                  AND ($4::int IS NULL OR territory_id = $4)
+                  AND ($5::varchar IS NULL OR owner_before = $5 OR owner_after = $5)
+                  AND ($6::varchar IS NULL OR event_type = $6)
+                ORDER BY created_at, id
+                LIMIT $7
+            `, [gameMode, fromDate, toDate, territoryId || null, ownerId || null, type || null, limit]);
+            res.json(result.rows.map(({ before_geojson, after_geojson, ...row }) => ({
+                ...row,
+                before: before_geojson ? JSON.parse(before_geojson) : null,
+                after: after_geojson ? JSON.parse(after_geojson) : null
+            })));
+        } catch (err) {
+            console.error('[API/TerritoryHistory] Error fetching events:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    return router;
+};
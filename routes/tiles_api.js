@@ -0,0 +1,147 @@
+// routes/tiles_api.js
+
+const express = require('express');
+const crypto = require('crypto');
+
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+const MAX_ZOOM = 22;
+const CACHE_MAX_AGE_SECONDS = parseInt(process.env.TILE_CACHE_MAX_AGE_SECONDS, 10) || 60;
+
+// Same active-ad rules as the `existingTerritories` payload, one ad per territory
+const TERRITORY_TILE_QUERY = `
+    WITH bounds AS (
+        SELECT ST_TileEnvelope($1, $2, $3) AS tile, ST_Transform(ST_TileEnvelope($1, $2, $3), 4326) AS wgs84
+    ), features AS (
+        SELECT
+            ST_AsMVTGeom(ST_Transform(t.area, 3857), bounds.tile, ${TILE_EXTENT}, ${TILE_BUFFER}, true) AS geom,
+            t.id,
+            t.owner_id AS "ownerId",
+            t.username AS "ownerName",
+            t.identity_color AS "identityColor",
+            t.area_sqm AS area,
+            t.laps_required AS laps,
+            t.brand_wrapper AS "brandWrapper",
+            a.id AS "adId",
+            a.brand_name AS "adBrandName",
+            a.background_color AS "adBackgroundColor",
+            a.overlay_url AS "adOverlayUrl",
+            a.id IS NOT NULL AS "hasActiveAd"
+        FROM bounds
+        JOIN territories t ON t.area && bounds.wgs84
+        LEFT JOIN LATERAL (
+            SELECT ad.id, ad.brand_name, ad.background_color, ad.overlay_url
+            FROM ads ad
+            WHERE ad.territory_id = t.id
+              AND ad.payment_status = 'PAID'
+              AND (ad.status IS NULL OR ad.status != 'DELETED')
+              AND ad.start_time <= NOW()
+              AND ad.end_time >= NOW()
+              AND ad.overlay_url != 'https://runerrxadsstoragesmith.s3.ap-south-1.amazonaws.com/uploads/1763880012208-292432749.png'
+            ORDER BY ad.start_time DESC
+            LIMIT 1
+        ) a ON TRUE
+        WHERE t.game_mode = $4 AND NOT ST_IsEmpty(t.area)
+    )
+    SELECT ST_AsMVT(features.*, 'territories', ${TILE_EXTENT}, 'geom', 'id') AS tile
+    FROM features
+    WHERE geom IS NOT NULL
+`;
+
+const CLAN_TILE_QUERY = `
+    WITH bounds AS (
+        SELECT ST_TileEnvelope($1, $2, $3) AS tile, ST_Transform(ST_TileEnvelope($1, $2, $3), 4326) AS wgs84
+    ), features AS (
+        SELECT
+            ST_AsMVTGeom(ST_Transform(ct.area, 3857), bounds.tile, ${TILE_EXTENT}, ${TILE_BUFFER}, true) AS geom,
+            c.id,
+            c.name AS "clanName",
+            c.tag AS "clanTag",
+            ct.area_sqm AS area
+        FROM bounds
+        JOIN clan_territories ct ON ct.area && bounds.wgs84
+        JOIN clans c ON c.id = ct.clan_id
+        WHERE NOT ST_IsEmpty(ct.area)
+    )
+    SELECT ST_AsMVT(features.*, 'territories', ${TILE_EXTENT}, 'geom', 'id') AS tile
+    FROM features
+    WHERE geom IS NOT NULL
+`;
+
+const TERRITORY_MODES = ['areaCapture', 'territoryWar', 'singleRun'];
+
+
+module.exports = (pool) => {
+    const router = express.Router();
+
+
+    // Extent of the territory centroids of one game mode, so a map can open where the territories are
+    router.get('/:mode/bounds', async (req, res) => {
+        const { mode } = req.params;
+        if (!TERRITORY_MODES.includes(mode)) {
+            return res.status(404).json({ message: `Unknown game mode '${mode}'.` });
+        }
+        try {
+            const result = await pool.query(
+                `SELECT ST_XMin(e) AS "minLng", ST_YMin(e) AS "minLat", ST_XMax(e) AS "maxLng", ST_YMax(e) AS "maxLat"
+                 FROM (SELECT ST_Extent(ST_Centroid(area)) AS e FROM territories WHERE game_mode = $1 AND area_sqm > 0) extent`,
+                [mode]
+            );
+            const { minLng, minLat, maxLng, maxLat } = result.rows[0];
+            if (minLng === null) {
+                return res.json({ bounds: null, center: null });
+            }
+            res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+            res.json({
+                bounds: [[minLng, minLat], [maxLng, maxLat]],
+                center: { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 }
+            });
+        } catch (err) {
+            console.error(`[API/Tiles] Error computing bounds for ${mode}:`, err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    // Territories of one game mode as a Mapbox Vector Tile, layer `territories`
+    router.get('/:mode/:z/:x/:y.mvt', async (req, res) => {
+        const { mode } = req.params;
+        const z = Number(req.params.z);
+        const x = Number(req.params.x);
+        const y = Number(req.params.y);
+
+        if (mode !== 'clan' && !TERRITORY_MODES.includes(mode)) {
+            return res.status(404).json({ message: `Unknown game mode '${mode}'.` });
+        }
+        const tilesPerSide = 2 ** z;
+        if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_ZOOM || x < 0 || y < 0 || x >= tilesPerSide || y >= tilesPerSide) {
+            return res.status(400).json({ message: 'Invalid tile coordinates.' });
+        }
+
+        try {
+            const result = mode === 'clan'
+                ? await pool.query(CLAN_TILE_QUERY, [z, x, y])
+                : await pool.query(TERRITORY_TILE_QUERY, [z, x, y, mode]);
+            const tile = result.rows[0]?.tile || Buffer.alloc(0);
+
+            res.set({
+                'Content-Type': 'application/vnd.mapbox-vector-tile',
+                'Cache-Control': `public, max-age=${CACHE_MAX_AGE_SECONDS}`,
+                'ETag': `"${crypto.createHash('sha1').update(tile).digest('base64url')}"`
+            });
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+            if (tile.length === 0) {
+                return res.status(204).end();
+            }
+            res.send(tile);
+        } catch (err) {
+            console.error(`[API/Tiles] Error building tile ${mode}/${z}/${x}/${y}:`, err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+
+    return router;
+};
@@ -40,19 +40,41 @@ const handleClanClaim = require('./game_logic/clan_handler');
 const GeofenceService = require('./geofence_service');
 const { updateQuestProgress } = require('./game_logic/quest_handler');
 const RaceHandler = require('./game_logic/race_handler');
+const RaceLobbyHandler = require('./game_logic/race_lobby_handler');
 const ConquestHandler = require('./game_logic/conquest_handler');
+const PlayerBroadcaster = require('./game_logic/player_broadcaster');
+const { ClusterPlayers } = require('./game_logic/cluster_players');
+const { MovementValidator, recordMovementViolation } = require('./game_logic/movement_validator');
+const { reconcileClaimTrail } = require('./game_logic/trail_reconciler');
+const { TRAIL_ENCODINGS, POLYLINE_ROOM, negotiateTrailEncoding, readTrail, writeTrail, encodeTrail } = require('./game_logic/trail_encoding');
+const { SessionManager } = require('./game_logic/session_manager');
+const { planLocationBatch } = require('./game_logic/location_batch');
+const { TrailIndex } = require('./game_logic/trail_index');
+const { createStateStore, attachClusterAdapter, CLUSTERED } = require('./game_logic/state_store');
+const { PlayerDirectory, emitToPlayer, updatePlayer } = require('./game_logic/player_directory');
+const { ServerLifecycle, LIFECYCLE_LIMITS } = require('./game_logic/server_lifecycle');
+const { metrics, registry: metricsRegistry, watchPlayers, instrumentPool } = require('./game_logic/metrics');
+const { checkTerritoryDecay } = require('./game_logic/jobs/territory_decay_job');
+const { captureTerritories, recordTerritoryEvents } = require('./game_logic/territory_events');
+const {
+    subscribeViewport, unsubscribeViewport, emitTerritoryUpdate, emitTrailEvent, listenForRelays
+} = require('./game_logic/viewport_streaming');
 
 // Import routers
 const adminApiRouter = require('./routes/admin_api');
 const sponsorPortalRouter = require('./routes/sponsor_portal');
 const questsApiRouter = require('./routes/quests_api');
+const raceCoursesApiRouter = require('./routes/race_courses_api');
+const territoryHistoryApiRouter = require('./routes/territory_history_api');
+const tilesApiRouter = require('./routes/tiles_api');
 
 process.on('unhandledRejection', (reason, promise) => {
     console.error('SERVER CRITICAL ERROR: Unhandled Rejection at:', promise, 'reason:', reason);
 });
 process.on('uncaughtException', (error) => {
     console.error('SERVER CRITICAL ERROR: Uncaught Exception:', error);
-    process.exit(1);
+    // The process can't be trusted to keep serving, but live runs are still worth saving
+    shutdown('uncaughtException', 1).catch(() => process.exit(1));
 });
 
 const multer = require('multer');
@@ -127,6 +149,7 @@ app.get('/design', (req, res) => {
 
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*", methods: ["GET", "POST", "PUT", "DELETE"] } });
+attachClusterAdapter(io);
 
 try {
     if (process.env.FIREBASE_SERVICE_ACCOUNT) {
@@ -149,8 +172,6 @@ if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
 }
 
 const PORT = process.env.PORT || 10000;
-const SERVER_TICK_RATE_MS = 500;
-const DISCONNECT_TRAIL_PERSIST_SECONDS = 60;
 const CLAN_BASE_RADIUS_METERS = 56.42;
 const CHEST_RADIUS_METERS = 20;
 
@@ -161,9 +182,260 @@ const pool = new Pool({
 
 const superpowerManager = new SuperpowerManager(pool, razorpay, io, () => players);
 const geofenceService = new GeofenceService(pool);
+instrumentPool(pool);
 const players = {};
-const raceHandler = new RaceHandler(io, players);
-const conquestHandler = new ConquestHandler(pool, io, players);
+watchPlayers(players);
+const stateStore = createStateStore();
+const lifecycle = new ServerLifecycle(pool, { isFirebaseReady: () => admin.apps.length > 0 });
+const playerDirectory = new PlayerDirectory(io, players, stateStore);
+const conquestHandler = new ConquestHandler(pool, io, players, { store: stateStore });
+const trailIndex = new TrailIndex();
+// Other instances' runners are indexed too, so trails cross-cut whichever instance holds them
+const clusterPlayers = new ClusterPlayers(io, players, {
+    onTrailChanged: (mirror) => {
+        if (isTrailCutMode(mirror)) trailIndex.sync(mirror.id, mirror.activeTrail);
+    },
+    onRemoved: socketId => trailIndex.remove(socketId)
+});
+const raceHandler = new RaceHandler(pool, io, players, { store: stateStore, clusterPlayers });
+const raceLobbyHandler = new RaceLobbyHandler(pool, io, players, { store: stateStore, clusterPlayers });
+const playerBroadcaster = new PlayerBroadcaster(pool, io, players, clusterPlayers);
+const sessionManager = new SessionManager(pool, io, players, {
+    store: stateStore,
+    // Nobody came back for this run: drop what was kept visible and give up race seats
+    onExpired: (socketId, googleId) => {
+        if (socketId && players[socketId]) {
+            logSocket(`Reconnect window expired for ${players[socketId].name}. Clearing trail and player data.`);
+            delete players[socketId];
+            io.emit('trailCleared', { id: socketId });
+            io.emit('playerLeft', { id: socketId });
+        }
+        if (socketId) trailIndex.remove(socketId);
+        abandonRaces(googleId);
+    },
+    // The player reconnected to another instance, which announces the old socket as gone
+    onMoved: socketId => trailIndex.remove(socketId)
+});
+
+// Races are shared by every instance and outlive the socket, so they are given up by player
+function abandonRaces(googleId) {
+    raceHandler.handleDisconnect(googleId)
+        .catch(err => console.error(`[RACE] Failed to forfeit races of ${googleId}:`, err));
+    raceLobbyHandler.handleDisconnect(googleId)
+        .catch(err => console.error(`[RACE LOBBY] Failed to give up the lobby seat of ${googleId}:`, err));
+}
+
+// Trails can only be cut in these modes, and only while a run is being drawn
+const isTrailCutMode = (player) => player.gameMode === 'territoryWar' || player.gameMode === 'clan';
+const isTrailCuttable = (player) => isTrailCutMode(player) && player.isDrawing && player.activeTrail.length >= 2;
+const isIndexedTrailCurrent = (victimId, trail) => {
+    const victim = clusterPlayers.get(victimId);
+    return !!victim && victim.activeTrail === trail && isTrailCuttable(victim);
+};
+
+const TRAIL_CUT_EVENT = 'trails:cut'; // server-to-server, see cutTrail
+const LOCATION_BATCH_EVENT = 'runs:locationBatch'; // server-to-server, see applyLocationBatchAnywhere
+
+/**
+ * Ends the runs of the players in `crossedIds`, unless one of them has Trail Defense up:
+ * then the attacker's own run ends instead and nobody else is cut.
+ * @returns {Promise<boolean>} Whether the attacker was deflected.
+ */
+async function resolveTrailCuts(socketId, player, crossedIds) {
+    // Walk the players in a fixed order so Trail Defense and cuts resolve the same way every time
+    for (const victim of clusterPlayers.all()) {
+        const victimId = victim.id;
+        if (victimId === socketId || !crossedIds.has(victimId) || !isTrailCuttable(victim)) continue;
+        const result = await cutTrail(victimId, player.name);
+
+        if (result === 'deflected') {
+            logGame(`TRAIL DEFLECTED! Attacker ${player.name} hit Victim ${victim.name}'s defense.`);
+            metrics.trailCuts.inc({ game_mode: player.gameMode, result: 'deflected' });
+            io.to(socketId).emit('runTerminated', { reason: `Your run was deflected by an opponent's Trail Defense!` });
+
+            player.isDrawing = false;
+            player.activeTrail = [];
+            io.emit('trailCleared', { id: socketId });
+            return true;
+        }
+        if (result !== 'cut') continue;
+
+        logGame(`TRAIL CUT! Attacker ${player.name} cut Victim ${victim.name}`);
+        metrics.trailCuts.inc({ game_mode: player.gameMode, result: 'cut' });
+
+        try {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await updateQuestProgress(player.googleId, 'trail_cut', 1, client, io, players);
+                await client.query('COMMIT');
+            } catch (questErr) {
+                await client.query('ROLLBACK');
+                logGame(`Error updating trail_cut quest progress for ${player.name}: %O`, questErr);
+            } finally {
+                client.release();
+            }
+        } catch (err) {
+            logGame(`Error updating trail_cut quest progress for ${player.name}: %O`, err);
+        }
+    }
+    return false;
+}
+
+/**
+ * Cuts the victim's run on the instance that holds their socket, which is the one that knows
+ * about their Trail Defense and owns the trail everyone else mirrors.
+ * @returns {Promise<'cut'|'deflected'|null>} Null when the run was already over.
+ */
+async function cutTrail(victimId, attackerName) {
+    if (clusterPlayers.isLocal(victimId)) return cutLocalTrail(victimId, attackerName);
+    try {
+        const results = await io.serverSideEmitWithAck(TRAIL_CUT_EVENT, victimId, attackerName);
+        return results.find(result => result) || null;
+    } catch (err) {
+        console.error(`[GAME] Failed to cut trail ${victimId} on its instance:`, err);
+        return null;
+    }
+}
+
+function cutLocalTrail(victimId, attackerName) {
+    const victim = players[victimId];
+    if (!victim || !isTrailCuttable(victim)) return null;
+    if (victim.isTrailDefenseActive) return 'deflected';
+
+    io.to(victimId).emit('runTerminated', { reason: `Your trail was cut by ${attackerName}!` });
+    victim.isDrawing = false;
+    victim.activeTrail = [];
+    victim.cooldownUntil = Date.now() + 30000; // 30s cooldown
+    trailIndex.remove(victimId);
+    io.emit('trailCleared', { id: victimId });
+    return 'cut';
+}
+
+// Deactivates a chest and grants its random powers to the player who reached it
+async function awardChest(socketId, player, chestId) {
+    const claimed = await pool.query('UPDATE superpower_chests SET is_active = FALSE WHERE id = $1 AND is_active = TRUE RETURNING id', [chestId]);
+    if (claimed.rowCount === 0) return;
+
+    const availablePowers = ['lastStand', 'infiltrator', 'ghostRunner', 'trailDefense'];
+    const powersToGrant = [];
+    const numToGrant = Math.floor(Math.random() * 2) + 1;
+
+    for (let i = 0; i < numToGrant; i++) {
+        if (availablePowers.length === 0) break;
+        const randomIndex = Math.floor(Math.random() * availablePowers.length);
+        const power = availablePowers.splice(randomIndex, 1)[0];
+        powersToGrant.push(power);
+        await superpowerManager.grantPower(player.googleId, power);
+    }
+
+    io.to(socketId).emit('superpowersGranted', { powers: powersToGrant });
+    io.emit('chestClaimed', { chestId: chestId });
+    logGame(`Player ${player.name} claimed chest ${chestId} and got powers: ${powersToGrant.join(', ')}`);
+}
+
+/**
+ * Warns a drawing player who has entered a blocked zone since `previousZoneId` and returns the
+ * blocked zone `point` is in, or null. Fails open when the zones cannot be loaded: claims are
+ * clipped to the playable area anyway, so only the warning is lost and the previous zone is kept.
+ */
+async function trackBlockedZone(socketId, player, point, previousZoneId) {
+    let zoneStatus;
+    try {
+        zoneStatus = await geofenceService.getLocationStatus(point.lat, point.lng);
+    } catch (err) {
+        console.error(`[GEOFENCE] Failed to check the zone of ${player.name}'s position:`, err);
+        return previousZoneId;
+    }
+    const blockedZoneId = zoneStatus.blockedZone?.id || null;
+    if (blockedZoneId && blockedZoneId !== previousZoneId) {
+        logGame(`Player ${player.name} entered blocked zone '${zoneStatus.blockedZone.name}'.`);
+        io.to(socketId).emit('geofenceViolation', {
+            reason: 'blocked_zone',
+            zoneName: zoneStatus.blockedZone.name,
+            point: { lat: point.lat, lng: point.lng },
+            message: `You are inside a restricted area (${zoneStatus.blockedZone.name}). Land here cannot be claimed.`
+        });
+    }
+    return blockedZoneId;
+}
+
+/**
+ * Splices points a client buffered while offline into the player's run (see planLocationBatch)
+ * and replays what they would have triggered live: cuts of trail segments other players had
+ * drawn by then, and chests that were already out at that spot.
+ * @returns {Promise<object>} The `locationBatchResult` payload.
+ */
+async function applyLocationBatch(socketId, player, points) {
+    const plan = planLocationBatch(player, points);
+    plan.violations.forEach(violation => recordMovementViolation(pool, player, violation, plan.terminate));
+    if (plan.terminate) {
+        logGame(`Terminating run for ${player.name}: repeated GPS plausibility violations in an offline batch.`);
+        player.movementValidator.reset();
+        io.to(socketId).emit('runTerminated', { reason: 'Your run was ended because your GPS position moved faster than is possible on foot or bike.' });
+        player.isDrawing = false;
+        player.activeTrail = [];
+        trailIndex.remove(socketId);
+        io.emit('trailCleared', { id: socketId });
+        return { accepted: 0, rejected: plan.rejected, terminated: true };
+    }
+    if (plan.added.length === 0) {
+        return { accepted: 0, rejected: plan.rejected, terminated: false, trailLength: player.activeTrail.length };
+    }
+
+    // A new array, so the trail index and player broadcasts pick up the splice as a whole new trail
+    player.activeTrail = plan.trail;
+    const newest = plan.added[plan.added.length - 1];
+    const isLatest = !(player.lastKnownPosition?.timestamp >= newest.timestamp);
+    if (isLatest) {
+        player.lastKnownPosition = newest;
+    }
+
+    // Warn about restricted areas the way live updates would have, in the order they were entered
+    let zoneId = player.blockedZoneId;
+    for (const point of plan.added) {
+        zoneId = await trackBlockedZone(socketId, player, point, zoneId);
+    }
+    // Points slotted in before the live position do not say where the player is now
+    if (isLatest) {
+        player.blockedZoneId = zoneId;
+    }
+
+    if (isTrailCutMode(player)) {
+        trailIndex.sync(socketId, player.activeTrail);
+        const crossedIds = new Set();
+        for (const { from, to, at } of plan.segments) {
+            // Only segments the other runner had already drawn when this player passed count
+            const drawnBefore = segment => typeof segment.b.timestamp === 'number' && segment.b.timestamp <= at;
+            trailIndex.findCrossings(from, to, isIndexedTrailCurrent, drawnBefore).forEach(id => crossedIds.add(id));
+        }
+        if (await resolveTrailCuts(socketId, player, crossedIds)) {
+            return { accepted: plan.added.length, rejected: plan.rejected, terminated: true };
+        }
+    }
+
+    try {
+        const chests = await pool.query(`
+            SELECT DISTINCT c.id FROM superpower_chests c
+            JOIN unnest($1::float8[], $2::float8[], $3::float8[]) AS p(lng, lat, recorded_at)
+              ON ST_DWithin(c.location::geography, ST_SetSRID(ST_Point(p.lng, p.lat), 4326)::geography, $4)
+            WHERE c.is_active = TRUE AND c.created_at <= to_timestamp(p.recorded_at / 1000.0)
+        `, [plan.added.map(p => p.lng), plan.added.map(p => p.lat), plan.added.map(p => p.timestamp), CHEST_RADIUS_METERS]);
+        for (const chest of chests.rows) {
+            await awardChest(socketId, player, chest.id);
+        }
+    } catch (err) {
+        logGame(`Error checking batched points for chest collisions for player ${player.name}: %O`, err);
+    }
+
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && !player.isGhostRunnerActive) {
+        emitTrailEvent(socket, player, 'trailBackfilled', { id: socketId, activeTrail: player.activeTrail }, newest,
+            { id: socketId, activeTrail: encodeTrail(player.activeTrail) });
+    }
+    logGame(`Spliced ${plan.added.length} offline point(s) into ${player.name}'s run (${plan.rejected.length} rejected).`);
+    return { accepted: plan.added.length, rejected: plan.rejected, terminated: false, trailLength: player.activeTrail.length };
+}
 
 const setupDatabase = async () => {
     const client = await pool.connect();
@@ -231,6 +503,9 @@ const setupDatabase = async () => {
         await client.query('ALTER TABLE territories ADD COLUMN IF NOT EXISTS banned_until TIMESTAMP WITH TIME ZONE;');
         await client.query('ALTER TABLE territories DROP COLUMN IF EXISTS is_banned;');
         await client.query('ALTER TABLE territories ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;');
+        await client.query('ALTER TABLE territories ADD COLUMN IF NOT EXISTS fortified_at TIMESTAMP WITH TIME ZONE;');
+        await client.query('ALTER TABLE territories ADD COLUMN IF NOT EXISTS decay_warned_at TIMESTAMP WITH TIME ZONE;');
+        await client.query('ALTER TABLE territories ADD COLUMN IF NOT EXISTS last_decayed_at TIMESTAMP WITH TIME ZONE;');
         logDb('Ensured all columns exist on "territories" table.');
 
         await client.query(`
@@ -418,6 +693,195 @@ const setupDatabase = async () => {
     `);
         logDb('"daily_logins" table is ready.');
 
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS movement_violations (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        game_mode VARCHAR(50),
+        violation_type VARCHAR(20) NOT NULL,
+        location GEOMETRY(POINT, 4326),
+        previous_location GEOMETRY(POINT, 4326),
+        distance_m REAL,
+        elapsed_s REAL,
+        speed_kmh REAL,
+        accuracy_m REAL,
+        run_terminated BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_movement_violations_user ON movement_violations(user_id, created_at DESC);');
+        logDb('"movement_violations" table is ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS claim_rejections (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        game_mode VARCHAR(50),
+        reason_code VARCHAR(50) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_claim_rejections_user ON claim_rejections(user_id, created_at DESC);');
+        logDb('"claim_rejections" table is ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS races (
+        id SERIAL PRIMARY KEY,
+        race_key VARCHAR(100) NOT NULL,
+        player1_id VARCHAR(255) NOT NULL,
+        player2_id VARCHAR(255) NOT NULL,
+        winner_id VARCHAR(255),
+        outcome VARCHAR(20) NOT NULL,
+        player1_time_ms INTEGER,
+        player2_time_ms INTEGER,
+        player1_path JSONB,
+        player2_path JSONB,
+        finish_point GEOMETRY(POINT, 4326),
+        player1_rating_change INTEGER,
+        player2_rating_change INTEGER,
+        started_at TIMESTAMP WITH TIME ZONE,
+        ended_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_races_player1 ON races(player1_id);');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_races_player2 ON races(player2_id);');
+        logDb('"races" table is ready.');
+
+        // One row per player who has raced, territory or not
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS race_ratings (
+        player_id VARCHAR(255) PRIMARY KEY,
+        rating INTEGER NOT NULL DEFAULT 1200,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        logDb('"race_ratings" table is ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS race_courses (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        creator_id VARCHAR(255),
+        waypoints JSONB NOT NULL,
+        checkpoint_radius_m REAL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        logDb('"race_courses" table is ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_races (
+        id SERIAL PRIMARY KEY,
+        race_key VARCHAR(100) NOT NULL,
+        name VARCHAR(100),
+        course_id INTEGER REFERENCES race_courses(id) ON DELETE SET NULL,
+        host_id VARCHAR(255),
+        waypoints JSONB NOT NULL,
+        started_at TIMESTAMP WITH TIME ZONE,
+        ended_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_race_results (
+        lobby_race_id INTEGER NOT NULL REFERENCES lobby_races(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL,
+        place INTEGER,
+        status VARCHAR(20) NOT NULL,
+        finish_time_ms INTEGER,
+        splits JSONB,
+        rating_change INTEGER,
+        PRIMARY KEY (lobby_race_id, user_id)
+      );
+    `);
+        logDb('"lobby_races" and "lobby_race_results" tables are ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS conquest_sessions (
+        attacker_id VARCHAR(255) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        attacker_name VARCHAR(255),
+        territory_id INTEGER NOT NULL,
+        victim_owner_id VARCHAR(255) NOT NULL,
+        victim_owner_name VARCHAR(255),
+        status VARCHAR(30),
+        center_lat DOUBLE PRECISION,
+        center_lng DOUBLE PRECISION,
+        radius_m DOUBLE PRECISION,
+        laps_required INTEGER NOT NULL,
+        laps_completed INTEGER NOT NULL DEFAULT 0,
+        reference_path JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        started_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY (attacker_id, kind)
+      );
+    `);
+        await client.query('ALTER TABLE conquest_sessions ADD COLUMN IF NOT EXISTS defense_laps INTEGER NOT NULL DEFAULT 0;');
+        await client.query('ALTER TABLE conquest_sessions ADD COLUMN IF NOT EXISTS part_index INTEGER;');
+        await client.query('ALTER TABLE conquest_sessions ADD COLUMN IF NOT EXISTS part_count INTEGER;');
+        await client.query('ALTER TABLE conquest_sessions ADD COLUMN IF NOT EXISTS target_part JSONB;');
+        await client.query('ALTER TABLE conquest_sessions ADD COLUMN IF NOT EXISTS base_laps_required INTEGER;');
+        await client.query('CREATE INDEX IF NOT EXISTS conquest_sessions_victim_idx ON conquest_sessions (victim_owner_id);');
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS base_links (
+        link_id VARCHAR(255) PRIMARY KEY,
+        player_id VARCHAR(255) NOT NULL,
+        base_a INTEGER NOT NULL,
+        base_b INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        trail JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+        logDb('"conquest_sessions" and "base_links" tables are ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS live_sessions (
+        player_id VARCHAR(255) PRIMARY KEY,
+        game_mode VARCHAR(50) NOT NULL,
+        state JSONB NOT NULL,
+        saved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+        logDb('"live_sessions" table is ready.');
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS territory_events (
+        id BIGSERIAL PRIMARY KEY,
+        territory_id INTEGER NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        actor_id VARCHAR(255),
+        game_mode VARCHAR(50),
+        owner_before VARCHAR(255),
+        owner_after VARCHAR(255),
+        before_area GEOMETRY(GEOMETRY, 4326),
+        after_area GEOMETRY(GEOMETRY, 4326),
+        details JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+        await client.query('ALTER TABLE territory_events ADD COLUMN IF NOT EXISTS laps_before INTEGER;');
+        await client.query('ALTER TABLE territory_events ADD COLUMN IF NOT EXISTS laps_after INTEGER;');
+        await client.query('CREATE INDEX IF NOT EXISTS territory_events_mode_time_idx ON territory_events (game_mode, created_at);');
+        await client.query('CREATE INDEX IF NOT EXISTS territory_events_territory_time_idx ON territory_events (territory_id, created_at);');
+        // History is append-only: corrections are new events, never edits.
+        await client.query(`
+      CREATE OR REPLACE FUNCTION territory_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'territory_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+        await client.query('DROP TRIGGER IF EXISTS territory_events_no_change ON territory_events;');
+        await client.query(`
+      CREATE TRIGGER territory_events_no_change BEFORE UPDATE OR DELETE ON territory_events
+      FOR EACH ROW EXECUTE FUNCTION territory_events_append_only();
+    `);
+        logDb('"territory_events" table is ready.');
+
         const superpowerItems = [
             { id: 'lastStand', name: 'Last Stand', description: 'Protects your territory from the next attack.', price: 29 },
             { id: 'infiltrator', name: 'Infiltrator', description: 'Start a run from deep within enemy territory.', price: 29 },
@@ -444,6 +908,57 @@ const setupDatabase = async () => {
     }
 };
 
+/**
+ * Verifies a Firebase ID token and resolves the player's identity, enforcing `banned_until`.
+ * Errors carry a `code` so both REST and socket callers can report why the token was refused.
+ * @param {string} idToken The Firebase ID token sent by the client.
+ * @param {object} [options]
+ * @param {boolean} [options.checkRevoked=false] Also reject tokens revoked since they were issued.
+ * @returns {Promise<object>} The decoded token with `googleId` attached.
+ */
+const verifyPlayerToken = async (idToken, { checkRevoked = false } = {}) => {
+    if (!idToken) {
+        const error = new Error('No token provided.');
+        error.code = 'TOKEN_MISSING';
+        throw error;
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(idToken, checkRevoked);
+    } catch (firebaseError) {
+        const error = new Error('Invalid token.');
+        if (firebaseError.code === 'auth/id-token-expired') {
+            error.code = 'TOKEN_EXPIRED';
+            error.message = 'Token has expired.';
+        } else if (firebaseError.code === 'auth/id-token-revoked') {
+            error.code = 'TOKEN_REVOKED';
+            error.message = 'Token has been revoked.';
+        } else {
+            error.code = 'TOKEN_INVALID';
+        }
+        error.cause = firebaseError;
+        throw error;
+    }
+
+    const user = decodedToken;
+    if (decodedToken.firebase.identities && decodedToken.firebase.identities['google.com']) {
+        user.googleId = decodedToken.firebase.identities['google.com'][0];
+    } else {
+        user.googleId = decodedToken.uid;
+    }
+
+    const banCheck = await pool.query('SELECT banned_until FROM territories WHERE owner_id = $1 LIMIT 1', [user.googleId]);
+    if (banCheck.rowCount > 0 && banCheck.rows[0].banned_until && new Date(banCheck.rows[0].banned_until) > new Date()) {
+        const error = new Error('Your account has been temporarily suspended.');
+        error.code = 'ACCOUNT_BANNED';
+        error.bannedUntil = banCheck.rows[0].banned_until;
+        throw error;
+    }
+
+    return user;
+};
+
 const authenticate = async (req, res, next) => {
     logAuth('Attempting to authenticate request for:', req.originalUrl);
     const authHeader = req.headers.authorization;
@@ -453,28 +968,39 @@ const authenticate = async (req, res, next) => {
     }
     const idToken = authHeader.split('Bearer ')[1];
     try {
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
-        req.user = decodedToken;
-        if (decodedToken.firebase.identities && decodedToken.firebase.identities['google.com']) {
-            req.user.googleId = decodedToken.firebase.identities['google.com'][0];
-        } else {
-            req.user.googleId = decodedToken.uid;
-        }
-
-        const banCheck = await pool.query('SELECT banned_until FROM territories WHERE owner_id = $1 LIMIT 1', [req.user.googleId]);
-        if (banCheck.rowCount > 0 && banCheck.rows[0].banned_until && new Date(banCheck.rows[0].banned_until) > new Date()) {
-            logAuth(`Authentication failed for user ${req.user.googleId}: Account is banned until ${banCheck.rows[0].banned_until}.`);
-            return res.status(403).send('Forbidden: Your account has been temporarily suspended.');
-        }
-
+        req.user = await verifyPlayerToken(idToken);
         logAuth('Authentication successful for user:', req.user.googleId);
         next();
     } catch (error) {
+        if (error.code === 'ACCOUNT_BANNED') {
+            logAuth(`Authentication failed: Account is banned until ${error.bannedUntil}.`);
+            return res.status(403).send('Forbidden: Your account has been temporarily suspended.');
+        }
         logAuth('Authentication error: Invalid token.', error.message);
         res.status(403).send('Unauthorized: Invalid token.');
     }
 };
 
+// Socket.IO handshake auth: clients pass their Firebase ID token as `auth.token`.
+// The verified identity is bound to `socket.data.user` for the lifetime of the connection.
+const authenticateSocket = async (socket, next) => {
+    const idToken = socket.handshake.auth?.token || socket.handshake.query?.token;
+    try {
+        socket.data.user = await verifyPlayerToken(idToken, { checkRevoked: true });
+        logAuth(`Socket ${socket.id} authenticated as ${socket.data.user.googleId}.`);
+        next();
+    } catch (error) {
+        logAuth(`Socket ${socket.id} rejected (${error.code || 'AUTH_ERROR'}): ${error.message}`);
+        const authError = new Error('Unauthorized');
+        authError.data = {
+            code: error.code || 'AUTH_ERROR',
+            message: error.message,
+            banned_until: error.bannedUntil || null
+        };
+        next(authError);
+    }
+};
+
 const checkAdminAuth = (req, res, next) => {
     logAdmin('Checking admin authentication for route:', req.originalUrl);
     if (req.cookies.admin_session === process.env.ADMIN_SECRET_KEY) {
@@ -490,6 +1016,35 @@ const checkAdminAuth = (req, res, next) => {
 
 // --- BRAND PORTAL API ---
 
+const BRAND_TERRITORY_SELECT = `
+    SELECT t.id, t.username as name, t.area_sqm, t.owner_id, 
+           ST_X(ST_Centroid(t.area)) as center_lng, ST_Y(ST_Centroid(t.area)) as center_lat, 
+           t.identity_color,
+           ST_AsGeoJSON(t.area) as geometry,
+           t.laps_required,
+           t.owner_name,
+           EXISTS (
+               SELECT 1 FROM ads a 
+               WHERE a.territory_id = t.id 
+                 AND (a.status IS NULL OR a.status != 'DELETED')
+                 AND a.end_time > NOW()
+           ) as has_active_ad
+    FROM territories t
+`;
+
+const toBrandTerritory = (row) => ({
+    id: row.id,
+    name: row.name || `Territory ${row.id}`,
+    center: { lat: row.center_lat, lng: row.center_lng },
+    geometry: JSON.parse(row.geometry),
+    areaSqFt: row.area_sqm ? (row.area_sqm * 10.764) : 0, // Convert sqm to sqft
+    laps: row.laps_required || 1,
+    ownerName: row.owner_name || 'Unclaimed',
+    identityColor: row.identity_color,
+    rentPrice: Math.ceil(row.area_sqm * 10.764 * 0.005 * 3), // 3 days default at 0.005/sqft/day
+    activeAd: row.has_active_ad
+});
+
 app.get('/api/brands/territories', async (req, res) => {
     try {
         // Fetch territories with area, laps, and current owner info
@@ -502,36 +1057,10 @@ app.get('/api/brands/territories', async (req, res) => {
         // I'll use a placeholder for laps for now or count from history if I had a history table. 
         // Let's just return basic info + a mock lap count if not present.
 
-        const result = await pool.query(`
-            SELECT t.id, t.username as name, t.area_sqm, t.owner_id, 
-                   ST_X(ST_Centroid(t.area)) as center_lng, ST_Y(ST_Centroid(t.area)) as center_lat, 
-                   t.identity_color,
-                   ST_AsGeoJSON(t.area) as geometry,
-                   t.laps_required,
-                   t.owner_name,
-                   EXISTS (
-                       SELECT 1 FROM ads a 
-                       WHERE a.territory_id = t.id 
-                         AND (a.status IS NULL OR a.status != 'DELETED')
-                         AND a.end_time > NOW()
-                   ) as has_active_ad
-            FROM territories t
-            WHERE t.area_sqm > 0 AND t.game_mode = 'areaCapture'
-        `);
+        const result = await pool.query(`${BRAND_TERRITORY_SELECT} WHERE t.area_sqm > 0 AND t.game_mode = 'areaCapture'`);
 
         // Transform for frontend
-        const territories = result.rows.map(row => ({
-            id: row.id,
-            name: row.name || `Territory ${row.id}`,
-            center: { lat: row.center_lat, lng: row.center_lng },
-            geometry: JSON.parse(row.geometry),
-            areaSqFt: row.area_sqm ? (row.area_sqm * 10.764) : 0, // Convert sqm to sqft
-            laps: row.laps_required || 1,
-            ownerName: row.owner_name || 'Unclaimed',
-            identityColor: row.identity_color,
-            rentPrice: Math.ceil(row.area_sqm * 10.764 * 0.005 * 3), // 3 days default at 0.005/sqft/day
-            activeAd: row.has_active_ad
-        }));
+        const territories = result.rows.map(toBrandTerritory);
 
         console.log(`[API] Fetched ${territories.length} territories. Sample lap count (ID 166):`, territories.find(t => t.id === 166)?.laps);
 
@@ -542,6 +1071,20 @@ app.get('/api/brands/territories', async (req, res) => {
     }
 });
 
+// Full geometry of one territory, for the map once a vector-tile feature is clicked
+app.get('/api/brands/territories/:id', async (req, res) => {
+    try {
+        const result = await pool.query(`${BRAND_TERRITORY_SELECT} WHERE t.id = $1 AND t.area_sqm > 0`, [req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Territory not found' });
+        }
+        res.json(toBrandTerritory(result.rows[0]));
+    } catch (err) {
+        console.error('Error fetching brand territory:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 app.post('/api/brands/calculate-price', (req, res) => {
     const { areaSqFt, laps } = req.body;
     if (!areaSqFt) return res.status(400).json({ error: 'Missing areaSqFt' });
@@ -887,6 +1430,8 @@ app.post('/api/brands/verify-payment', async (req, res) => {
                     [razorpay_payment_id, adId]
                 );
                 console.log(`Ad ${adId} marked as PAID.`);
+                metrics.payments.inc({ type: 'ad', result: 'success' });
+                metrics.adEvents.inc({ event: 'rented' });
 
                 // Send notification to territory owner
                 try {
@@ -900,20 +1445,13 @@ app.post('/api/brands/verify-payment', async (req, res) => {
                     if (adInfo.rows.length > 0) {
                         const { brand_name, amount_paid, owner_id, username } = adInfo.rows[0];
 
-                        // Send notification via WebSocket to the territory owner
-                        const ownerSocket = Array.from(io.sockets.sockets.values())
-                            .find(s => s.handshake.query.userId === owner_id);
-
-                        if (ownerSocket) {
-                            ownerSocket.emit('adRented', {
-                                brandName: brand_name,
-                                amount: amount_paid,
-                                message: `${brand_name} has rented your territory for ₹${amount_paid}! View your earnings in the Rent Screen.`
-                            });
-                            console.log(`Notification sent to ${username} about ad rental`);
-                        } else {
-                            console.log(`User ${username} not connected, notification not sent`);
-                        }
+                        // Send notification via WebSocket to the territory owner, wherever they are connected
+                        emitToPlayer(io, owner_id, 'adRented', {
+                            brandName: brand_name,
+                            amount: amount_paid,
+                            message: `${brand_name} has rented your territory for ₹${amount_paid}! View your earnings in the Rent Screen.`
+                        });
+                        console.log(`Ad rental notification emitted to ${username}'s user room`);
                     }
                 } catch (notifErr) {
                     console.error('Error sending notification:', notifErr);
@@ -921,10 +1459,12 @@ app.post('/api/brands/verify-payment', async (req, res) => {
                 }
             } catch (err) {
                 console.error('Error updating ad status:', err);
+                metrics.payments.inc({ type: 'ad', result: 'error' });
             }
         }
         res.json({ success: true, message: "Payment verified" });
     } else {
+        metrics.payments.inc({ type: 'ad', result: 'rejected' });
         res.status(400).json({ success: false, error: "Invalid signature" });
     }
 });
@@ -933,6 +1473,28 @@ app.post('/api/brands/verify-payment', async (req, res) => {
 // --- ROUTES ---
 app.get('/', (req, res) => { res.send('Claimr Server is running!'); });
 app.get('/ping', (req, res) => { res.status(200).json({ success: true, message: 'pong' }); });
+// Liveness and readiness probes for the load balancer; 503 with the failing checks otherwise
+app.get('/healthz', async (req, res) => {
+    const { ok, checks } = await lifecycle.liveness();
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unhealthy', checks });
+});
+app.get('/readyz', async (req, res) => {
+    const { ok, checks } = await lifecycle.readiness();
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'not_ready', checks });
+});
+// Prometheus scrape target; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).send('Unauthorized');
+    }
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+    } catch (err) {
+        console.error('[METRICS] Failed to collect metrics:', err);
+        res.status(500).send('Failed to collect metrics.');
+    }
+});
 
 // Admin Routes
 app.get('/admin/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
@@ -951,11 +1513,14 @@ app.post('/admin/login', (req, res) => {
 app.get('/admin/dashboard', checkAdminAuth, (req, res) => res.sendFile(path.join(__dirname, 'public', 'dashboard.html')));
 app.get('/admin/player_details.html', checkAdminAuth, (req, res) => res.sendFile(path.join(__dirname, 'public', 'player_details.html')));
 app.get('/admin', (req, res) => res.redirect('/admin/login'));
-app.use('/admin/api', checkAdminAuth, adminApiRouter(pool, io, geofenceService, players));
+app.use('/admin/api', checkAdminAuth, adminApiRouter(pool, io, geofenceService, players, playerDirectory));
 
 // Sponsor & Quest Routes
 app.use('/sponsor', sponsorPortalRouter(pool, io, players));
 app.use('/api/quests', questsApiRouter(pool, authenticate));
+app.use('/api/race-courses', raceCoursesApiRouter(pool, authenticate));
+app.use('/api/territory-history', territoryHistoryApiRouter(pool, authenticate));
+app.use('/tiles', tilesApiRouter(pool));
 
 // User Profile & Data Routes
 app.get('/check-profile', authenticate, async (req, res) => {
@@ -996,6 +1561,7 @@ app.get('/check-profile', authenticate, async (req, res) => {
                     MAX(t.trail_effect) as trail_effect, 
                     MAX(t.superpowers::text)::jsonb as superpowers,
                     SUM(t.total_distance_km) as total_distance_km, 
+                    (SELECT rating FROM race_ratings WHERE player_id = t.owner_id) as race_rating,
                     MAX(c.id) as clan_id, MAX(c.name) as clan_name, MAX(c.tag) as clan_tag, MAX(cm.role) as clan_role,
                     BOOL_OR(c.base_location IS NOT NULL) as base_is_set,
                     (SELECT r.rank FROM (
@@ -1031,6 +1597,7 @@ app.get('/check-profile', authenticate, async (req, res) => {
                 superpowers: row.superpowers || { owned: [] },
                 rank: row.rank,
                 total_distance_km: row.total_distance_km || 0,
+                raceRating: row.race_rating || 1200,
                 dailyLogins: dailyLogins,
                 clan_info: row.clan_id ? { id: row.clan_id.toString(), name: row.clan_name, tag: row.clan_tag, role: row.clan_role, base_is_set: row.base_is_set } : null
             };
@@ -1089,6 +1656,7 @@ app.post('/setup-profile', authenticate, async (req, res) => {
             );
         }
 
+        playerBroadcaster.invalidateProfile(googleId);
         res.status(200).json({ success: true, message: 'Profile set up successfully.' });
     } catch (err) {
         logApi(`Error setting up profile for ${googleId}: %O`, err);
@@ -1103,6 +1671,7 @@ app.put('/users/me/preferences', authenticate, async (req, res) => {
     if (!identityColor) { return res.status(400).json({ message: 'identityColor is required.' }); }
     try {
         await pool.query('UPDATE territories SET identity_color = $1 WHERE owner_id = $2', [identityColor, googleId]);
+        playerBroadcaster.invalidateProfile(googleId);
         res.status(200).json({ success: true, message: 'Preferences updated.' });
     } catch (err) {
         logApi(`Error updating preferences for ${googleId}: %O`, err);
@@ -1148,6 +1717,68 @@ app.post('/users/me/log-run', authenticate, async (req, res) => {
     }
 });
 
+// The run of a player connected to (or parked on) this instance, preferring one being drawn
+function findLocalRun(googleId) {
+    return Object.entries(players)
+        .filter(([, p]) => p.googleId === googleId)
+        .sort(([, a], [, b]) => Number(b.isDrawing) - Number(a.isDrawing))[0] || [];
+}
+
+async function applyLocalLocationBatch(googleId, points) {
+    const [socketId, player] = findLocalRun(googleId);
+    return player ? applyLocationBatch(socketId, player, points) : null;
+}
+
+/**
+ * Applies a batch on whichever instance holds the player's run.
+ * @returns {Promise<object|null>} The `locationBatchResult` payload, or null when no instance has a run.
+ */
+async function applyLocationBatchAnywhere(googleId, points) {
+    const result = await applyLocalLocationBatch(googleId, points);
+    if (result || !CLUSTERED) return result;
+    let replies;
+    try {
+        replies = await io.serverSideEmitWithAck(LOCATION_BATCH_EVENT, googleId, points);
+    } catch (err) {
+        // Only the instance holding the run matters; another one being slow to answer does not
+        replies = err.responses || [];
+        if (!replies.some(r => r)) throw err;
+    }
+    const reply = replies.find(r => r);
+    if (!reply) return null;
+    if (reply.error) {
+        const error = new Error(reply.error);
+        error.code = reply.code;
+        throw error;
+    }
+    return reply.result;
+}
+
+// REST fallback for the `locationBatch` socket event. The run is found by identity on any
+// instance, so this also reaches a run kept alive for a connection that has not come back yet.
+app.post('/users/me/location-batch', authenticate, async (req, res) => {
+    let points;
+    try {
+        points = readTrail(req.body?.points);
+    } catch (err) {
+        return res.status(400).json({ message: err.message });
+    }
+    try {
+        const result = await applyLocationBatchAnywhere(req.user.googleId, points);
+        if (!result) {
+            return res.status(404).json({ message: 'No live run found for this player.' });
+        }
+        res.status(200).json(result);
+    } catch (err) {
+        if (err.code === 'INVALID_BATCH') {
+            return res.status(400).json({ message: err.message });
+        }
+        logApi(`Error applying location batch for ${req.user.googleId}: %O`, err);
+        // Points already spliced in come back as duplicates, so the client can simply retry
+        res.status(500).json({ message: 'Server error while applying location batch.' });
+    }
+});
+
 app.get('/users/me/stats', authenticate, async (req, res) => {
     const { googleId } = req.user;
     logApi(`Fetching stats for user ${googleId}.`);
@@ -1214,8 +1845,10 @@ app.post('/verify-payment', async (req, res) => {
     logPayment(`  - Item ID: ${itemId}`);
     logPayment(`  - Order ID: ${razorpay_order_id}`);
 
+    const paymentType = purchaseType === 'superpower' || purchaseType === 'subscription' ? purchaseType : 'unknown';
     if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !googleId) {
         logPayment(`[FAIL] Payment verification for ${googleId} failed: Missing required data.`);
+        metrics.payments.inc({ type: paymentType, result: 'rejected' });
         return res.status(400).json({ error: 'Missing required payment verification data.' });
     }
 
@@ -1226,21 +1859,15 @@ app.post('/verify-payment', async (req, res) => {
             newInventory = await superpowerManager.verifyAndGrantPower(googleId, itemId, { razorpay_order_id, razorpay_payment_id, razorpay_signature });
             logPayment(`[SUCCESS] SuperpowerManager.verifyAndGrantPower completed for user ${googleId}.`);
 
-            const playerSocketId = Object.keys(players).find(id => players[id].googleId === googleId);
-            if (playerSocketId) {
-                const onlinePlayer = players[playerSocketId];
-                const ownedList = newInventory.owned || [];
-
-                onlinePlayer.hasLastStand = ownedList.includes('lastStand');
-                onlinePlayer.hasInfiltrator = ownedList.includes('infiltrator');
-                onlinePlayer.hasGhostRunner = ownedList.includes('ghostRunner');
-                onlinePlayer.hasTrailDefense = ownedList.includes('trailDefense');
-
-                io.to(playerSocketId).emit('superpowerInventoryUpdated', newInventory);
-                logSocket(`[NOTIFIED] Sent 'superpowerInventoryUpdated' to player ${googleId} (${playerSocketId}) after purchase.`);
-            } else {
-                logSocket(`[INFO] Player ${googleId} is not online. Could not send real-time inventory update after purchase.`);
-            }
+            const ownedList = newInventory.owned || [];
+            updatePlayer(io, players, googleId, {
+                hasLastStand: ownedList.includes('lastStand'),
+                hasInfiltrator: ownedList.includes('infiltrator'),
+                hasGhostRunner: ownedList.includes('ghostRunner'),
+                hasTrailDefense: ownedList.includes('trailDefense')
+            });
+            emitToPlayer(io, googleId, 'superpowerInventoryUpdated', newInventory);
+            logSocket(`[NOTIFIED] Emitted 'superpowerInventoryUpdated' to the user room of ${googleId} after purchase.`);
 
         } else if (purchaseType === 'subscription') {
             logPayment(`Processing subscription logic for ${googleId}.`);
@@ -1251,10 +1878,12 @@ app.post('/verify-payment', async (req, res) => {
         }
 
         logPayment(`[END] Successfully verified payment for user ${googleId}. Sending 200 OK.`);
+        metrics.payments.inc({ type: paymentType, result: 'success' });
         res.status(200).json({ success: true, message: 'Payment verified successfully.' });
 
     } catch (err) {
         logPayment(`[ERROR] Payment verification failed for ${googleId}. Error: %O`, err);
+        metrics.payments.inc({ type: paymentType, result: 'error' });
         res.status(500).json({ error: err.message || 'Server error while verifying payment.' });
     }
 });
@@ -1283,16 +1912,16 @@ app.post('/api/territory/:id/brand', authenticate, async (req, res) => {
         const territoryUpdate = await pool.query(`
             SELECT
                 id, owner_id as "ownerId", username as "ownerName", profile_image_url as "profileImageUrl",
-                identity_color, ST_AsGeoJSON(area) as geojson, area_sqm as area, laps_required, brand_wrapper
+                identity_color, ST_AsGeoJSON(area) as geojson, area_sqm as area, laps_required, brand_wrapper, game_mode
             FROM territories WHERE id = $1
         `, [territoryId]);
 
         if (territoryUpdate.rowCount > 0) {
-            const updatedData = territoryUpdate.rows.map(row => ({
+            const updatedData = territoryUpdate.rows.map(({ game_mode, ...row }) => ({
                 ...row,
                 geojson: row.geojson ? JSON.parse(row.geojson) : null
             }));
-            io.emit('batchTerritoryUpdate', updatedData);
+            emitTerritoryUpdate(io, territoryUpdate.rows[0].game_mode, updatedData);
         }
 
         res.status(200).json({ success: true, message: 'Brand applied successfully.' });
@@ -1398,6 +2027,48 @@ app.get('/leaderboard', async (req, res) => {
     }
 });
 
+app.get('/leaderboard/races', async (req, res) => {
+    logApi('Fetching race leaderboard.');
+    try {
+        const query = `
+            WITH ratings AS (
+                SELECT owner_id, MAX(username) as username, MAX(profile_image_url) as profile_image_url,
+                       MAX(identity_color) as identity_color
+                FROM territories
+                WHERE username IS NOT NULL
+                GROUP BY owner_id
+            ), race_counts AS (
+                SELECT player_id, COUNT(*)::int as races_played, COUNT(*) FILTER (WHERE winner_id = player_id)::int as races_won
+                FROM (
+                    SELECT player1_id as player_id, winner_id FROM races
+                    UNION ALL
+                    SELECT player2_id as player_id, winner_id FROM races
+                ) r
+                GROUP BY player_id
+            )
+            SELECT
+                ratings.owner_id,
+                ratings.username as owner_name,
+                ratings.profile_image_url,
+                ratings.identity_color,
+                COALESCE(race_ratings.rating, 1200) as race_rating,
+                race_counts.races_played,
+                race_counts.races_won,
+                RANK() OVER (ORDER BY COALESCE(race_ratings.rating, 1200) DESC) as rank
+            FROM ratings
+            JOIN race_counts ON race_counts.player_id = ratings.owner_id
+            LEFT JOIN race_ratings ON race_ratings.player_id = ratings.owner_id
+            ORDER BY race_rating DESC
+            LIMIT 100;
+        `;
+        const result = await pool.query(query);
+        res.status(200).json(result.rows);
+    } catch (err) {
+        logApi('Error fetching race leaderboard: %O', err);
+        res.status(500).json({ error: 'Failed to fetch race leaderboard.' });
+    }
+});
+
 app.get('/leaderboard/clans', async (req, res) => {
     logApi('Fetching clan leaderboard.');
     try {
@@ -1548,10 +2219,7 @@ app.post('/clans/:id/set-base', authenticate, async (req, res) => {
 
         const clanMembers = await client.query('SELECT user_id FROM clan_members WHERE clan_id = $1', [id]);
         for (const memberRow of clanMembers.rows) {
-            const memberSocketId = Object.keys(players).find(sockId => players[sockId].googleId === memberRow.user_id);
-            if (memberSocketId) {
-                io.to(memberSocketId).emit('clanBaseActivated', { center: baseLocation });
-            }
+            emitToPlayer(io, memberRow.user_id, 'clanBaseActivated', { center: baseLocation });
         }
         await client.query('COMMIT');
         logDb(`COMMIT transaction for setting clan base.`);
@@ -1621,20 +2289,42 @@ app.post('/clans/:id/requests', authenticate, async (req, res) => {
 
 
 // --- SOCKET.IO LOGIC ---
+// Sockets opened while draining would only be dropped again; send them to another instance
+io.use((socket, next) => {
+    if (!lifecycle.draining) return next();
+    const restartingError = new Error('Server restarting');
+    restartingError.data = { code: 'SERVER_RESTARTING', message: 'The server is restarting. Please reconnect.' };
+    next(restartingError);
+});
+io.use(authenticateSocket);
+
+// Returns the player bound to this socket, but only if it belongs to the identity verified at handshake.
+function getVerifiedPlayer(socket) {
+    const player = players[socket.id];
+    if (!player || !socket.data.user || player.googleId !== socket.data.user.googleId) return null;
+    return player;
+}
+
 io.on('connection', (socket) => {
-    logSocket(`User connected: ${socket.id}`);
+    logSocket(`User connected: ${socket.id} (${socket.data.user.googleId})`);
+    playerDirectory.attach(socket);
 
-    if (players[socket.id] && players[socket.id].disconnectTimer) {
-        clearTimeout(players[socket.id].disconnectTimer);
-        players[socket.id].disconnectTimer = null;
-        logSocket(`Cleared disconnect timer for ${socket.id} on reconnect.`);
+    socket.data.trailEncoding = negotiateTrailEncoding(socket.handshake);
+    if (socket.data.trailEncoding === TRAIL_ENCODINGS.POLYLINE) {
+        socket.join(POLYLINE_ROOM);
     }
+    socket.emit('trailEncoding', { encoding: socket.data.trailEncoding });
 
-    socket.on('playerJoined', async ({ googleId, name, gameMode }) => {
-        if (!googleId || !gameMode) {
-            logSocket(`Invalid playerJoined event from ${socket.id}. Missing googleId or gameMode.`);
+    socket.on('playerJoined', async ({ googleId: claimedGoogleId, name, gameMode, activityType }) => {
+        const { googleId } = socket.data.user;
+        if (!gameMode) {
+            logSocket(`Invalid playerJoined event from ${socket.id}. Missing gameMode.`);
             return;
         }
+        if (claimedGoogleId && claimedGoogleId !== googleId) {
+            logAuth(`Socket ${socket.id} sent googleId ${claimedGoogleId} but is authenticated as ${googleId}. Rejecting.`);
+            return socket.emit('authError', { code: 'IDENTITY_MISMATCH', message: 'Player identity does not match the authenticated account.' });
+        }
         logSocket(`Player ${name} (${googleId}) with socket ${socket.id} joining in [${gameMode}] mode.`);
         const client = await pool.connect();
         try {
@@ -1659,10 +2349,11 @@ io.on('connection', (socket) => {
                 role,
                 gameMode,
                 lastKnownPosition: null,
+                movementValidator: new MovementValidator(activityType),
+                blockedZoneId: null,
                 isDrawing: false,
                 activeTrail: [],
                 hasShield: hasShield,
-                disconnectTimer: null,
                 hasLastStand: ownedPowers.includes('lastStand'),
                 hasInfiltrator: ownedPowers.includes('infiltrator'),
                 hasGhostRunner: ownedPowers.includes('ghostRunner'),
@@ -1682,10 +2373,14 @@ io.on('connection', (socket) => {
                 profileImageUrl: playerRecord ? playerRecord.profile_image_url : null
             };
 
-            // Join mode-specific room for isolation
+            // Join mode-specific room for isolation; a viewport from another mode no longer applies
+            unsubscribeViewport(socket);
             socket.join(gameMode);
             logSocket(`Player ${name} joined room: ${gameMode}`);
 
+            // Pick up a run left behind by a dropped connection or a server restart
+            const resumedSession = await sessionManager.resume(socket.id);
+
             const geofencePolygons = await geofenceService.getGeofencePolygons();
             socket.emit('geofenceUpdate', geofencePolygons);
 
@@ -1766,6 +2461,46 @@ io.on('connection', (socket) => {
             logSocket(`Found ${activeTerritories.length} [${gameMode}] territories. Sending 'existingTerritories' to ${socket.id}.`);
             socket.emit('existingTerritories', { territories: activeTerritories, playerHasRecord: playerHasRecord });
 
+            if (resumedSession) {
+                const player = players[socket.id];
+                const previousId = resumedSession.socketId;
+                if (previousId && previousId !== socket.id) {
+                    trailIndex.remove(previousId);
+                    io.emit('trailCleared', { id: previousId });
+                    io.emit('playerLeft', { id: previousId });
+                }
+                if (player.isDrawing && isTrailCutMode(player)) {
+                    trailIndex.sync(socket.id, player.activeTrail);
+                }
+                if (player.isDrawing && !player.isGhostRunnerActive && player.activeTrail.length > 0) {
+                    const lastPoint = player.activeTrail[player.activeTrail.length - 1];
+                    emitTrailEvent(socket, player, 'trailStarted', { id: socket.id, name: player.name }, lastPoint);
+                }
+                socket.emit('sessionResumed', {
+                    isDrawing: player.isDrawing,
+                    activeTrail: writeTrail(player.activeTrail, socket.data.trailEncoding),
+                    cooldownUntil: player.cooldownUntil || null,
+                    activePowers: {
+                        ghostRunner: player.isGhostRunnerActive,
+                        lastStand: player.isLastStandActive,
+                        infiltrator: player.isInfiltratorActive,
+                        trailDefense: player.isTrailDefenseActive,
+                        reclaimBase: player.isReclaimBaseActive
+                    }
+                });
+                logSocket(`Resumed run of ${name} on ${socket.id} with ${player.activeTrail.length} trail points.`);
+            }
+            // Races are looked up on every join: the player may be back from another instance
+            raceHandler.resume(socket.id).catch(err => console.error('[RACE] Failed to resume race:', err));
+            raceLobbyHandler.resume(socket.id).catch(err => console.error('[RACE LOBBY] Failed to resume lobby:', err));
+
+            playerDirectory.register(socket.id).catch(err => console.error('[PRESENCE] Failed to register player:', err));
+
+            // Resume any arena/conquest the player left behind and re-send live threats against them.
+            conquestHandler.handlePlayerJoined(socket.id)
+                .catch(err => console.error('[CONQUEST] Failed to resume conquest state:', err));
+            await playerBroadcaster.handlePlayerJoined(socket);
+
         } catch (err) {
             logSocket(`FATAL ERROR in playerJoined for ${socket.id}: %O`, err);
             socket.emit('error', { message: 'Failed to load game state.' });
@@ -1779,50 +2514,112 @@ io.on('connection', (socket) => {
     // =========================================================
 
     // --- RACE MODE HANDLERS ---
-    socket.on('challengePlayer', ({ opponentId }) => {
+    socket.on('challengePlayer', async ({ opponentId }) => {
+        if (!getVerifiedPlayer(socket)) return;
         try {
-            raceHandler.createChallenge(socket.id, opponentId);
+            await raceHandler.createChallenge(socket.id, opponentId);
         } catch (err) {
             socket.emit('error', { message: err.message });
         }
     });
 
-    socket.on('acceptChallenge', ({ challengeId }) => {
+    socket.on('acceptChallenge', async ({ challengeId }) => {
         try {
-            raceHandler.acceptChallenge(challengeId, socket.id);
+            await raceHandler.acceptChallenge(challengeId, socket.id);
         } catch (err) {
             socket.emit('error', { message: err.message });
         }
     });
 
     socket.on('rejectChallenge', ({ challengeId }) => {
-        raceHandler.rejectChallenge(challengeId, socket.id);
+        raceHandler.rejectChallenge(challengeId, socket.id)
+            .catch(err => console.error('[RACE] Failed to reject challenge:', err));
+    });
+
+    // --- RACE LOBBY HANDLERS (3-20 runners, waypoint courses) ---
+    socket.on('createRaceLobby', async (options) => {
+        if (!getVerifiedPlayer(socket)) return;
+        try {
+            await raceLobbyHandler.createLobby(socket.id, options);
+        } catch (err) {
+            socket.emit('raceLobbyError', { message: err.message });
+        }
+    });
+
+    socket.on('joinRaceLobby', async ({ lobbyId }) => {
+        try {
+            await raceLobbyHandler.joinLobby(socket.id, lobbyId);
+        } catch (err) {
+            socket.emit('raceLobbyError', { message: err.message });
+        }
+    });
+
+    socket.on('leaveRaceLobby', ({ lobbyId } = {}) => {
+        raceLobbyHandler.leaveLobby(socket.id, lobbyId)
+            .catch(err => console.error('[RACE LOBBY] Failed to leave lobby:', err));
+    });
+
+    socket.on('startRaceLobby', async ({ lobbyId }) => {
+        try {
+            await raceLobbyHandler.startLobby(socket.id, lobbyId);
+        } catch (err) {
+            socket.emit('raceLobbyError', { message: err.message });
+        }
     });
 
     // --- CONQUEST MODE HANDLERS (Free-Form Arena System) ---
-    socket.on('createConquestArena', async ({ territoryId }) => {
+    socket.on('createConquestArena', async ({ territoryId, partIndex }) => {
+        if (!getVerifiedPlayer(socket)) return socket.emit('arenaCreationFailed', { reason: 'Not authenticated.' });
         try {
-            await conquestHandler.createConquestArena(socket.id, territoryId);
+            await conquestHandler.createConquestArena(socket.id, territoryId, partIndex);
         } catch (err) {
             socket.emit('arenaCreationFailed', { reason: err.message });
         }
     });
 
-    socket.on('startConquest', () => {
+    socket.on('startConquest', async () => {
         try {
-            conquestHandler.startConquest(socket.id);
+            await conquestHandler.startConquest(socket.id);
         } catch (err) {
             socket.emit('conquestStartFailed', { reason: err.message });
         }
     });
 
-    socket.on('lapCompleted', ({ lapPath }) => {
-        const result = conquestHandler.recordLap(socket.id, lapPath);
-        if (result) {
-            socket.emit('lapResult', result);
+    socket.on('lapCompleted', async ({ lapPath }) => {
+        try {
+            const result = await conquestHandler.recordLap(socket.id, lapPath);
+            if (result) {
+                socket.emit('lapResult', result);
+            }
+        } catch (err) {
+            console.error('[CONQUEST] Error recording lap:', err);
+            socket.emit('lapResult', { success: false, message: 'Server error while recording lap.' });
         }
     });
 
+    socket.on('startDefense', async ({ territoryId }) => {
+        if (!getVerifiedPlayer(socket)) return socket.emit('defenseError', { message: 'Not authenticated.' });
+        try {
+            await conquestHandler.startDefense(socket.id, territoryId);
+        } catch (err) {
+            socket.emit('defenseError', { message: err.message });
+        }
+    });
+
+    socket.on('defenseLapCompleted', async ({ lapPath }) => {
+        try {
+            const result = await conquestHandler.recordDefenseLap(socket.id, lapPath);
+            socket.emit('defenseLapResult', result);
+        } catch (err) {
+            console.error('[CONQUEST] Error recording defense lap:', err);
+            socket.emit('defenseLapResult', { success: false, message: 'Server error while recording lap.' });
+        }
+    });
+
+    socket.on('stopDefense', () => {
+        conquestHandler.stopDefense(socket.id);
+    });
+
     socket.on('linkBases', async ({ baseA_Id, baseB_Id }) => {
         try {
             const linkId = await conquestHandler.startBaseLink(socket.id, baseA_Id, baseB_Id);
@@ -1833,23 +2630,76 @@ io.on('connection', (socket) => {
     });
     socket.on('finalizeBaseLink', async () => {
         try {
-            await conquestHandler.finalizeBaseLink(socket.id);
+            await conquestHandler.finalizeBaseLink(socket.id, geofenceService);
         } catch (err) {
             socket.emit('error', { message: err.message });
         }
     });
     // =========================================================
 
+    // Opt-in: only stream what is inside the client's map view (see game_logic/viewport_streaming.js)
+    socket.on('subscribeViewport', async ({ bbox, zoom } = {}) => {
+        if (!getVerifiedPlayer(socket)) return socket.emit('viewportError', { message: 'Not authenticated.' });
+        try {
+            await subscribeViewport(pool, socket, clusterPlayers, { bbox, zoom });
+        } catch (err) {
+            socket.emit('viewportError', { message: err.message });
+        }
+    });
+
+    socket.on('unsubscribeViewport', () => {
+        unsubscribeViewport(socket);
+    });
+
+    // Delta clients ask for a fresh `playersSnapshot` when they miss updates (e.g. after backgrounding)
+    socket.on('requestPlayersSnapshot', async () => {
+        try {
+            await playerBroadcaster.sendSnapshot(socket.id);
+        } catch (err) {
+            logSocket(`Error sending players snapshot to ${socket.id}: %O`, err);
+        }
+    });
+
     socket.on('locationUpdate', async (data) => {
         const player = players[socket.id];
         if (!player || !player.googleId) return;
 
+        const movement = player.movementValidator.validate(data);
+        metrics.locationUpdates.inc({ result: movement.accepted ? 'accepted' : 'rejected' });
+        if (!movement.accepted) {
+            if (movement.violation) {
+                logGame(`Rejected ${movement.violation.type} point from ${player.name}: ${movement.violation.speedKmh.toFixed(1)} km/h over ${movement.violation.distanceMeters.toFixed(0)}m.`);
+                recordMovementViolation(pool, player, movement.violation, movement.terminate && player.isDrawing);
+            }
+            if (movement.terminate) {
+                // Re-anchor on the next fix so an idle player is not stuck behind a stale position.
+                player.movementValidator.reset();
+                if (player.isDrawing) {
+                    logGame(`Terminating run for ${player.name}: repeated GPS plausibility violations.`);
+                    socket.emit('runTerminated', { reason: 'Your run was ended because your GPS position moved faster than is possible on foot or bike.' });
+                    player.isDrawing = false;
+                    player.activeTrail = [];
+                    io.emit('trailCleared', { id: socket.id });
+                }
+            }
+            return;
+        }
+
         player.lastKnownPosition = data;
 
         // Check if player entered conquest arena
-        conquestHandler.checkArenaEntry(socket.id, { lat: data.lat, lng: data.lng });
+        conquestHandler.checkArenaEntry(socket.id, { lat: data.lat, lng: data.lng })
+            .catch(err => console.error('[CONQUEST] Error checking arena entry:', err));
+        conquestHandler.checkBaseLinkProgress(socket.id, { lat: data.lat, lng: data.lng })
+            .catch(err => console.error('[CONQUEST] Error tracking base link:', err));
+        raceHandler.checkRaceProgress(socket.id, data.lat, data.lng)
+            .catch(err => console.error('[RACE] Error tracking race progress:', err));
+        raceLobbyHandler.checkProgress(socket.id, data.lat, data.lng)
+            .catch(err => console.error('[RACE LOBBY] Error tracking race progress:', err));
 
         if (player.isDrawing) {
+            player.blockedZoneId = await trackBlockedZone(socket.id, player, data, player.blockedZoneId);
+
             const playerPointWKT = `ST_SetSRID(ST_Point(${data.lng}, ${data.lat}), 4326)`;
             try {
                 const result = await pool.query(`
@@ -1858,89 +2708,40 @@ io.on('connection', (socket) => {
                 LIMIT 1;
             `);
                 if (result.rowCount > 0) {
-                    const chestId = result.rows[0].id;
-                    await pool.query('UPDATE superpower_chests SET is_active = FALSE WHERE id = $1', [chestId]);
-
-                    const availablePowers = ['lastStand', 'infiltrator', 'ghostRunner', 'trailDefense'];
-                    const powersToGrant = [];
-                    const numToGrant = Math.floor(Math.random() * 2) + 1;
-
-                    for (let i = 0; i < numToGrant; i++) {
-                        if (availablePowers.length === 0) break;
-                        const randomIndex = Math.floor(Math.random() * availablePowers.length);
-                        const power = availablePowers.splice(randomIndex, 1)[0];
-                        powersToGrant.push(power);
-                        await superpowerManager.grantPower(player.googleId, power);
-                    }
-
-                    socket.emit('superpowersGranted', { powers: powersToGrant });
-                    io.emit('chestClaimed', { chestId: chestId });
-                    logGame(`Player ${player.name} claimed chest ${chestId} and got powers: ${powersToGrant.join(', ')}`);
+                    await awardChest(socket.id, player, result.rows[0].id);
                 }
             } catch (err) {
                 logGame(`Error checking for chest collision for player ${player.name}: %O`, err);
             }
 
-            if ((player.gameMode === 'territoryWar' || player.gameMode === 'clan') && player.activeTrail.length > 0) {
+            if (isTrailCutMode(player) && player.activeTrail.length > 0) {
                 const lastPoint = player.activeTrail[player.activeTrail.length - 1];
-                const attackerSegmentWKT = (lastPoint.lng === data.lng && lastPoint.lat === data.lat)
-                    ? `POINT(${data.lng} ${data.lat})`
-                    : `LINESTRING(${lastPoint.lng} ${lastPoint.lat}, ${data.lng} ${data.lat})`;
-
-                const attackerSegmentGeom = `ST_SetSRID(ST_GeomFromText('${attackerSegmentWKT}'), 4326)`;
-
-                for (const victimId in players) {
-                    if (victimId === socket.id) continue;
-                    const victim = players[victimId];
-                    if (victim && (victim.gameMode === 'territoryWar' || victim.gameMode === 'clan') && victim.isDrawing && victim.activeTrail.length >= 2) {
-                        const victimTrailWKT = 'LINESTRING(' + victim.activeTrail.map(p => `${p.lng} ${p.lat}`).join(', ') + ')';
-                        const victimTrailGeom = `ST_SetSRID(ST_GeomFromText('${victimTrailWKT}'), 4326)`;
-                        try {
-                            const res = await pool.query(`SELECT ST_Intersects(${attackerSegmentGeom}, ${victimTrailGeom}) as intersects;`);
-                            if (res.rows[0].intersects) {
-                                if (victim.isTrailDefenseActive) {
-                                    logGame(`TRAIL DEFLECTED! Attacker ${player.name} hit Victim ${victim.name}'s defense.`);
-                                    io.to(socket.id).emit('runTerminated', { reason: `Your run was deflected by an opponent's Trail Defense!` });
-
-                                    player.isDrawing = false;
-                                    player.activeTrail = [];
-                                    io.emit('trailCleared', { id: socket.id });
-                                    return;
-                                }
-
-                                logGame(`TRAIL CUT! Attacker ${player.name} cut Victim ${victim.name}`);
-                                io.to(victimId).emit('runTerminated', { reason: `Your trail was cut by ${player.name}!` });
-
-                                const client = await pool.connect();
-                                try {
-                                    await client.query('BEGIN');
-                                    await updateQuestProgress(player.googleId, 'trail_cut', 1, client, io, players);
-                                    await client.query('COMMIT');
-                                } catch (questErr) {
-                                    await client.query('ROLLBACK');
-                                    logGame(`Error updating trail_cut quest progress for ${player.name}: %O`, questErr);
-                                } finally {
-                                    client.release();
-                                }
-
-                                victim.isDrawing = false;
-                                victim.activeTrail = [];
-                                victim.cooldownUntil = Date.now() + 30000; // 30s cooldown
-                                io.emit('trailCleared', { id: victimId });
-                            }
-                        } catch (err) {
-                            logGame(`Error checking trail intersection: %O`, err);
-                        }
-                    }
-                }
+                const crossedIds = trailIndex.findCrossings(lastPoint, data, isIndexedTrailCurrent);
+
+                if (await resolveTrailCuts(socket.id, player, crossedIds)) return;
             }
             player.activeTrail.push(data);
+            if (isTrailCutMode(player)) {
+                trailIndex.sync(socket.id, player.activeTrail);
+            }
             if (!player.isGhostRunnerActive) {
-                socket.broadcast.emit('trailPointAdded', { id: socket.id, point: data });
+                emitTrailEvent(socket, player, 'trailPointAdded', { id: socket.id, point: data }, data, { id: socket.id, point: encodeTrail([data]) });
             }
         }
     });
 
+    // Points the client buffered while it had no signal, uploaded once it is back online
+    socket.on('locationBatch', async ({ points } = {}) => {
+        const player = players[socket.id];
+        if (!player || !player.googleId) return;
+        try {
+            socket.emit('locationBatchResult', await applyLocationBatch(socket.id, player, readTrail(points)));
+        } catch (err) {
+            if (err.code !== 'INVALID_BATCH') logGame(`Error applying location batch from ${player.name}: %O`, err);
+            socket.emit('locationBatchResult', { error: err.message });
+        }
+    });
+
     socket.on('startDrawingTrail', async () => {
         const player = players[socket.id];
         if (!player || player.gameMode === 'spectator' || player.isDrawing) return;
@@ -1951,11 +2752,37 @@ io.on('connection', (socket) => {
             return;
         }
 
+        const startPosition = player.lastKnownPosition;
+        if (!startPosition) {
+            socket.emit('error', { message: 'Waiting for your GPS location before starting a run.' });
+            return;
+        }
+        let zoneStatus;
+        try {
+            zoneStatus = await geofenceService.getLocationStatus(startPosition.lat, startPosition.lng);
+        } catch (err) {
+            // Fails closed: a run started outside the playable area could not be told apart
+            console.error(`[GEOFENCE] Failed to check the start position of ${player.name}:`, err);
+            socket.emit('error', { message: 'Could not check your position against the playable area. Please try again.' });
+            return;
+        }
+        if (!zoneStatus.inAllowedZone || zoneStatus.blockedZone) {
+            logGame(`Refused run start for ${player.name}: outside playable area at ${startPosition.lat}, ${startPosition.lng}.`);
+            socket.emit('geofenceViolation', {
+                reason: zoneStatus.blockedZone ? 'blocked_zone' : 'outside_allowed_zone',
+                zoneName: zoneStatus.blockedZone?.name || null,
+                message: 'You can only start a run inside a playable area.'
+            });
+            return;
+        }
+        if (player.isDrawing) return; // startDrawingTrail may arrive twice while the zone check is pending
+
         player.isDrawing = true;
         player.activeTrail = [];
+        player.movementValidator.reset();
         logGame(`Player ${player.name} (${socket.id}) started drawing trail. Ghost Runner: ${player.isGhostRunnerActive}`);
         if (!player.isGhostRunnerActive) {
-            socket.broadcast.emit('trailStarted', { id: socket.id, name: player.name });
+            emitTrailEvent(socket, player, 'trailStarted', { id: socket.id, name: player.name }, startPosition);
         }
     });
 
@@ -1968,11 +2795,12 @@ io.on('connection', (socket) => {
         player.isGhostRunnerActive = false;
         player.isLastStandActive = false;
         player.isTrailDefenseActive = false;
+        trailIndex.remove(socket.id);
         io.emit('trailCleared', { id: socket.id });
     });
 
     socket.on('activateTrailDefense', async () => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         if (player && player.hasTrailDefense) {
             player.isTrailDefenseActive = true;
             player.hasTrailDefense = false;
@@ -1988,7 +2816,7 @@ io.on('connection', (socket) => {
     });
 
     socket.on('activateGhostRunner', async () => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         if (player && player.hasGhostRunner) {
             player.isGhostRunnerActive = true;
             player.hasGhostRunner = false;
@@ -2004,7 +2832,7 @@ io.on('connection', (socket) => {
     });
 
     socket.on('activateInfiltrator', async () => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         if (player && player.hasInfiltrator) {
             player.isInfiltratorActive = true;
             player.hasInfiltrator = false;
@@ -2020,7 +2848,7 @@ io.on('connection', (socket) => {
     });
 
     socket.on('activateLastStand', async () => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         if (player && player.hasLastStand) {
             player.isLastStandActive = true;
             player.hasLastStand = false;
@@ -2037,7 +2865,7 @@ io.on('connection', (socket) => {
     });
 
     socket.on('activateReclaimBase', async () => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         // Check if player has the power (assuming it's stored in 'hasReclaimBase' or similar)
         // Since we didn't see 'hasReclaimBase' in the player object init, we might need to add it there too.
         // But for now, let's assume the client sends this event only if they have it.
@@ -2058,28 +2886,67 @@ io.on('connection', (socket) => {
     });
 
     socket.on('claimTerritory', async (req) => {
-        const player = players[socket.id];
+        const player = getVerifiedPlayer(socket);
         if (!player || !player.googleId || !req.gameMode) {
             logSocket(`Invalid claimTerritory request from ${socket.id}`);
             return socket.emit('claimRejected', { reason: 'Invalid player data.' });
         }
         logGame(`Player ${player.name} (${socket.id}) is attempting to claim territory in mode [${req.gameMode}].`);
+        metrics.claimAttempts.inc({ game_mode: player.gameMode });
+        const countRejection = (reason) => metrics.claimRejections.inc({ game_mode: player.gameMode, reason });
+
+        try {
+            req = { ...req, trail: readTrail(req.trail) };
+        } catch (err) {
+            logGame(`[CLAIM] Rejected claim by ${player.name}: ${err.message}`);
+            countRejection('malformed_trail');
+            return socket.emit('claimRejected', { reason: 'The run could not be read. Please update the app.', code: 'malformed_trail' });
+        }
+
+        const trailCheck = reconcileClaimTrail(req, player);
+        if (!trailCheck.valid) {
+            logGame(`[CLAIM] Rejected claim by ${player.name} (${trailCheck.code}): %O`, trailCheck.details);
+            countRejection(trailCheck.code);
+            pool.query(
+                'INSERT INTO claim_rejections (user_id, game_mode, reason_code, details) VALUES ($1, $2, $3, $4)',
+                [player.googleId, player.gameMode, trailCheck.code, trailCheck.details]
+            ).catch(err => logDb(`Failed to record claim rejection for ${player.name}: ${err.message}`));
+            return socket.emit('claimRejected', { reason: trailCheck.message, code: trailCheck.code });
+        }
+        req = { ...req, trail: trailCheck.trail };
+
+        if (lifecycle.draining) {
+            // The run is saved with the live sessions, so it can be claimed again after reconnecting
+            countRejection('server_restarting');
+            return socket.emit('claimRejected', { reason: 'The server is restarting. Please claim again in a moment.', code: 'server_restarting' });
+        }
 
         const { gameMode } = req;
-        const client = await pool.connect();
+        const claimDone = lifecycle.begin(`claim by ${player.name}`);
+        let client;
+        try {
+            client = await pool.connect();
+        } catch (err) {
+            claimDone();
+            logDb(`Failed to get a database client for claim by ${player.name}: ${err.message}`);
+            countRejection('error');
+            return socket.emit('claimRejected', { reason: 'Server error during claim.' });
+        }
 
         try {
             await client.query('BEGIN');
             let result;
             if (gameMode === 'singleRun' || gameMode === 'areaCapture' || gameMode === 'territoryWar') {
-                result = await handleSoloClaim(io, socket, player, players, req, client, superpowerManager);
+                result = await handleSoloClaim(io, socket, player, players, req, client, superpowerManager, geofenceService);
             } else if (gameMode === 'clan') {
-                result = await handleClanClaim(io, socket, player, players, req, client, superpowerManager);
+                result = await handleClanClaim(io, socket, player, players, req, client, superpowerManager, geofenceService);
             }
 
             if (!result) {
                 await client.query('ROLLBACK');
                 logDb(`ROLLBACK transaction for claim by ${player.name}, handler returned a nullish result.`);
+                // The mode handler has already told the player why (too small, restricted zone, ...)
+                countRejection('game_rules');
                 return;
             }
 
@@ -2103,7 +2970,7 @@ io.on('connection', (socket) => {
                 newTerritoryData: newTerritoryData
             });
 
-            io.to(player.gameMode).emit('batchTerritoryUpdate', updatedTerritories);
+            emitTerritoryUpdate(io, player.gameMode, updatedTerritories);
 
             player.isDrawing = false;
             player.activeTrail = [];
@@ -2113,78 +2980,38 @@ io.on('connection', (socket) => {
             await client.query('ROLLBACK');
             logDb(`ROLLBACK transaction for claim by ${player.name} due to error: ${err.message}`);
             logGame(`Error during territory claim for ${player.name}: %O`, err);
+            countRejection('error');
             socket.emit('claimRejected', { reason: err.message || 'Server error during claim.' });
         } finally {
             client.release();
+            claimDone();
         }
     });
 
     socket.on('disconnect', () => {
+        playerDirectory.unregister(socket.id, socket.data.user.googleId)
+            .catch(err => console.error('[PRESENCE] Failed to unregister player:', err));
+        unsubscribeViewport(socket);
+        playerBroadcaster.handleDisconnect(socket.id);
+        conquestHandler.handleDisconnect(socket.id);
         const player = players[socket.id];
         if (player) {
             logSocket(`User ${player?.name || 'Unknown'} disconnected: ${socket.id}. Was drawing: ${player.isDrawing}`);
-            if (player.isDrawing) {
-                player.disconnectTimer = setTimeout(() => {
-                    logSocket(`Disconnect timer expired for ${player.name}. Clearing trail and player data.`);
-                    if (players[socket.id]) {
-                        delete players[socket.id];
-                    }
-                    io.emit('trailCleared', { id: socket.id });
-                    io.emit('playerLeft', { id: socket.id });
-                }, DISCONNECT_TRAIL_PERSIST_SECONDS * 1000);
-            } else {
+            // Races and the run are kept until the reconnect window closes (see sessionManager's onExpired)
+            sessionManager.park(socket.id);
+            if (!player.isDrawing) {
                 delete players[socket.id];
+                trailIndex.remove(socket.id);
                 io.emit('playerLeft', { id: socket.id });
             }
         } else {
+            abandonRaces(socket.data.user.googleId);
             logSocket(`Unknown user disconnected: ${socket.id}`);
         }
     });
 });
 
 // --- HELPER FUNCTIONS & INTERVALS ---
-async function broadcastAllPlayers() {
-    const playerIds = Object.keys(players);
-    if (playerIds.length === 0) return;
-    const googleIds = Object.values(players).map(p => p.googleId).filter(id => id);
-    if (googleIds.length === 0) return;
-    try {
-        const profileQuery = await pool.query('SELECT owner_id, username, profile_image_url, identity_color FROM territories WHERE owner_id = ANY($1::varchar[])', [googleIds]);
-        const profiles = profileQuery.rows.reduce((acc, row) => {
-            acc[row.owner_id] = { username: row.username, imageUrl: row.profile_image_url, identityColor: row.identity_color };
-            return acc;
-        }, {});
-        const allPlayersData = Object.values(players).map(p => {
-            const profile = profiles[p.googleId] || {};
-            return {
-                id: p.id,
-                ownerId: p.googleId,
-                name: profile.username || p.name,
-                imageUrl: profile.imageUrl,
-                identityColor: profile.identityColor,
-                lastKnownPosition: p.lastKnownPosition,
-                isDrawing: p.isDrawing,
-                activeTrail: p.activeTrail,
-                gameMode: p.gameMode
-            };
-        });
-
-        // Group players by game mode and broadcast to each room
-        const playersByMode = allPlayersData.reduce((acc, player) => {
-            if (!acc[player.gameMode]) acc[player.gameMode] = [];
-            acc[player.gameMode].push(player);
-            return acc;
-        }, {});
-
-        // Broadcast to each mode room separately
-        for (const [mode, modePlayers] of Object.entries(playersByMode)) {
-            io.to(mode).emit('allPlayersUpdate', modePlayers);
-        }
-    } catch (e) {
-        logSocket('Error during broadcastAllPlayers: %O', e);
-    }
-}
-
 async function checkForScheduledReset() {
     logLifecycle('Checking for scheduled game reset...');
     const client = await pool.connect();
@@ -2207,7 +3034,11 @@ async function checkForScheduledReset() {
                     logLifecycle(`Season winner ${topPlayer.owner_id} recorded with area ${topPlayer.area_sqm}.`);
                 }
 
+                const resetBefore = await captureTerritories(client, 'area IS NOT NULL AND NOT ST_IsEmpty(area)');
                 await client.query(`UPDATE territories SET area = ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326), area_sqm = 0`);
+                await recordTerritoryEvents(client, 'reset', resetBefore, await captureTerritories(client, 'id = ANY($1::int[])', [[...resetBefore.keys()]]), {
+                    details: { reason: 'season_reset' }
+                });
                 logLifecycle('All player territories have been reset.');
 
                 await client.query("DELETE FROM system_settings WHERE setting_key = 'game_reset_time'");
@@ -2241,6 +3072,7 @@ async function checkExpiredAds() {
               AND a.end_time > NOW() - INTERVAL '5 minutes'
         `);
 
+        metrics.adEvents.inc({ event: 'expired' }, expiredAdsRes.rowCount);
         for (const row of expiredAdsRes.rows) {
             const ownerId = row.owner_id;
 
@@ -2261,6 +3093,7 @@ async function checkExpiredAds() {
             // If no more active ads, merge all territories for this user
             if (!hasActiveAds) {
                 console.log(`[AD_EXPIRATION] User ${ownerId} has no more active ads. Merging territories...`);
+                metrics.adEvents.inc({ event: 'merged' });
 
                 // Get all territories for this user
                 const territoriesRes = await client.query(`
@@ -2270,6 +3103,8 @@ async function checkExpiredAds() {
                 `, [ownerId]);
 
                 if (territoriesRes.rows.length > 1) {
+                    const mergeBefore = await captureTerritories(client, 'owner_id = $1', [ownerId]);
+
                     // Merge all territories into one
                     const mergedAreaRes = await client.query(`
                         SELECT ST_AsGeoJSON(ST_Union(area)) as merged_geojson
@@ -2303,6 +3138,10 @@ async function checkExpiredAds() {
                         `, [otherTerritoryIds]);
                     }
 
+                    await recordTerritoryEvents(client, 'merge', mergeBefore, await captureTerritories(client, 'owner_id = $1', [ownerId]), {
+                        details: { reason: 'ads_expired' }
+                    });
+
                     console.log(`[AD_EXPIRATION] Merged ${territoriesRes.rows.length} territories for user ${ownerId}`);
 
                     // Broadcast territory update
@@ -2325,17 +3164,105 @@ async function checkExpiredAds() {
     }
 }
 
+// Database-wide jobs run on one instance at a time: whoever holds the job's lock keeps renewing it,
+// and another instance takes over once it has lapsed for two intervals
+function runExclusively(name, intervalMs, job) {
+    setInterval(async () => {
+        try {
+            if (!(await stateStore.acquireLock(`job:${name}`, intervalMs * 2))) return;
+            await job();
+        } catch (err) {
+            console.error(`[JOBS] ${name} failed:`, err);
+        }
+    }, intervalMs);
+}
+
 const main = async () => {
     server.listen(PORT, '0.0.0.0', () => {
         logLifecycle(`Server listening on 0.0.0.0:${PORT}`);
-        setupDatabase().catch(err => {
-            console.error("[SERVER] FATAL: Failed to setup database after server start:", err);
-            process.exit(1);
+        setupDatabase()
+            .then(() => conquestHandler.restoreState())
+            .then(() => sessionManager.restoreState())
+            .then(() => lifecycle.markStarted())
+            .catch(err => {
+                console.error("[SERVER] FATAL: Failed to setup database after server start:", err);
+                process.exit(1);
+            });
+        runExclusively('scheduledReset', 60 * 1000, checkForScheduledReset); // Check every minute
+        runExclusively('expiredAds', 5 * 60 * 1000, checkExpiredAds); // Check every 5 minutes
+        runExclusively('territoryDecay', 60 * 60 * 1000, () => checkTerritoryDecay(pool, io)); // Decay inactive territories hourly
+        runExclusively('conquestExpiry', 5 * 1000, () => conquestHandler.sweepExpired()); // End arenas and conquests out of time
+        runExclusively('raceExpiry', 5 * 1000, async () => { // Expire stale challenges, lobbies and races
+            await raceHandler.sweepExpired();
+            await raceLobbyHandler.sweepExpired();
         });
-        setInterval(checkForScheduledReset, 60 * 1000); // Check every minute
-        setInterval(checkExpiredAds, 5 * 60 * 1000); // Check every 5 minutes
     });
 };
 
-setInterval(broadcastAllPlayers, SERVER_TICK_RATE_MS);
+/**
+ * Drains this instance: new sockets and claims are refused, connected players are told to
+ * reconnect, in-flight claims get to finish and live runs are saved so they can be resumed
+ * once the players are back on another (or the restarted) instance.
+ */
+let shutdownExitCode = 0;
+async function shutdown(signal, exitCode = 0) {
+    // A crash during a drain still has to show in the exit code; the drain already under way finishes the job
+    shutdownExitCode = Math.max(shutdownExitCode, exitCode);
+    if (lifecycle.draining) {
+        if (exitCode) console.error(`[SERVER] ${signal} while draining. Exiting with code ${exitCode} once the drain finishes.`);
+        return;
+    }
+    logLifecycle(`${signal} received. Draining before exit.`);
+    lifecycle.startDraining();
+    // Never hang on a stuck step; the platform would kill us anyway
+    setTimeout(() => {
+        console.error('[SERVER] Shutdown did not finish in time. Exiting.');
+        process.exit(shutdownExitCode || 1);
+    }, LIFECYCLE_LIMITS.drainTimeoutMs * 2).unref();
+
+    server.close();
+    playerBroadcaster.stop();
+    playerDirectory.stop();
+    clusterPlayers.stop();
+    io.local.emit('serverRestarting', { reconnectInMs: 1000 });
+
+    if (!(await lifecycle.waitForIdle())) {
+        console.error('[SERVER] Claims were still running when the drain timeout ran out.');
+    }
+    try {
+        await sessionManager.saveAll();
+    } catch (err) {
+        console.error('[SERVER] Failed to save live sessions on shutdown:', err);
+    }
+    io.local.disconnectSockets(true);
+    try {
+        await stateStore.close();
+        await pool.end();
+    } catch (err) {
+        console.error('[SERVER] Failed to close connections on shutdown:', err);
+    }
+    logLifecycle('Shutdown complete.');
+    process.exit(shutdownExitCode);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+clusterPlayers.start();
+listenForRelays(io);
+raceHandler.start();
+raceLobbyHandler.start();
+sessionManager.start();
+io.on(TRAIL_CUT_EVENT, (victimId, attackerName, callback) => {
+    callback(players[victimId] ? cutLocalTrail(victimId, attackerName) : null);
+});
+io.on(LOCATION_BATCH_EVENT, (googleId, points, callback) => {
+    applyLocalLocationBatch(googleId, points)
+        .then(result => callback(result && { result }))
+        .catch(err => {
+            if (err.code !== 'INVALID_BATCH') logGame(`Error applying forwarded location batch for ${googleId}: %O`, err);
+            callback({ error: err.message, code: err.code || null });
+        });
+});
+playerBroadcaster.start();
+playerDirectory.start();
 main();
\ No newline at end of file